@@ -0,0 +1,706 @@
+/**
+ * SVG3 Canvas Renderer
+ * Software renderer for SVG3 scenes on a plain Canvas 2D context
+ * Flat or Lambert shading with painter's-algorithm depth sorting - no WebGL needed,
+ * also runs against node-canvas style contexts
+ */
+
+import { AnimationEngine, RotationController, PointerPicker } from './svg3-complete.js';
+import {
+  tessellateGeometry,
+  eulerToQuaternion,
+  composeMatrix,
+  decomposeMatrix,
+  slerpQuaternions,
+  multiplyMatrices,
+  invertMatrix,
+  letterbox,
+  normalize,
+  parseColor,
+  formatColor,
+} from './svg3-geometry.js';
+
+// ============================================================================
+// 1. SCENE NODES - Minimal Object3D stand-ins for AnimationEngine and controllers
+// ============================================================================
+
+class Vector3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.set(x, y, z);
+  }
+
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+
+  toArray() {
+    return [this.x, this.y, this.z];
+  }
+}
+
+class Euler extends Vector3 {
+  constructor(x = 0, y = 0, z = 0, order = 'XYZ') {
+    super(x, y, z);
+    this.order = order;
+  }
+}
+
+/**
+ * A mesh, group, light or camera in the software scene graph. Exposes the
+ * position / rotation / scale interface the animation engine writes to.
+ */
+export class SVG3Node {
+  constructor(tag, name) {
+    this.tag = tag;
+    this.name = name;
+    this.position = new Vector3();
+    this.rotation = new Euler();
+    this.scale = new Vector3(1, 1, 1);
+    this.visible = true;
+    this.parent = null;
+    this.children = [];
+    this.matrixWorld = composeMatrix([0, 0, 0], [0, 0, 0, 1], [1, 1, 1]);
+  }
+
+  add(child) {
+    child.parent = this;
+    this.children.push(child);
+    return this;
+  }
+
+  updateMatrixWorld(parentMatrix = null) {
+    const { x, y, z, order } = this.rotation;
+    const local = composeMatrix(this.position.toArray(), eulerToQuaternion(x, y, z, order), this.scale.toArray());
+    this.matrixWorld = parentMatrix ? multiplyMatrices(parentMatrix, local) : local;
+    this.children.forEach(child => child.updateMatrixWorld(this.matrixWorld));
+  }
+
+  traverse(callback) {
+    callback(this);
+    this.children.forEach(child => child.traverse(callback));
+  }
+}
+
+// ============================================================================
+// 2. PROJECTOR - Scene graph -> shaded, depth-sorted screen polygons
+// ============================================================================
+
+export class SVG3Projector {
+  /**
+   * @param options.shading - 'lambert' (default) or 'flat' (unlit material colors)
+   * @param options.letterbox - Keep the shape of cameras with an aspect attribute or orthographic
+   *   bounds (default false: every camera fills the canvas)
+   */
+  constructor(options = {}) {
+    this.shading = options.shading || 'lambert';
+    this.letterbox = options.letterbox === true;
+  }
+
+  /**
+   * Project every visible mesh under root through a camera node
+   * @returns {{ points: number[][], depth: number, color: number[], opacity: number, id: string }[]}
+   *   Polygons in pixel coordinates, farthest first
+   */
+  project(root, camera, width, height) {
+    root.updateMatrixWorld();
+    const view = invertMatrix(camera.matrixWorld);
+    const lens = camera.camera;
+    const { near, far, zoom } = lens;
+    const orthographic = lens.type === 'orthographic';
+    // With letterbox, cameras with a fixed aspect ratio keep it, like in SVG3ThreeRenderer
+    const aspect = this.letterbox ? viewAspect(lens, width / height) : width / height;
+    const viewport = letterbox(width, height, aspect);
+    // Eye space -> normalized device coordinates, as THREE.PerspectiveCamera / OrthographicCamera
+    const { left, right, top, bottom } = lens.bounds || { left: -aspect, right: aspect, top: 1, bottom: -1 };
+    const focal = 1 / Math.tan(lens.fov * Math.PI / 360);
+    const toDevice = orthographic
+      ? ([x, y]) => [(2 * x - right - left) / (right - left) * zoom, (2 * y - top - bottom) / (top - bottom) * zoom]
+      : ([x, y, z]) => [x * focal * zoom / aspect / -z, y * focal * zoom / -z];
+    const lights = this.collectLights(root);
+
+    const faces = [];
+    root.traverse(node => {
+      if (node.tag !== 'mesh' || !node.visible || !isVisible(node)) return;
+      const { positions, indices } = node.geometry;
+      const material = node.material;
+      const modelView = multiplyMatrices(view, node.matrixWorld);
+      // Mirrored transforms flip the winding order, as in Three.js
+      const mirrored = determinant(node.matrixWorld) < 0;
+
+      const world = transformPositions(node.matrixWorld, positions);
+      const eye = transformPositions(modelView, positions);
+      const vertex = (buffer, index) => [buffer[index * 3], buffer[index * 3 + 1], buffer[index * 3 + 2]];
+
+      for (let i = 0; i + 2 < indices.length; i += 3) {
+        const tri = mirrored
+          ? [indices[i], indices[i + 2], indices[i + 1]]
+          : [indices[i], indices[i + 1], indices[i + 2]];
+
+        // Back-face culling in eye space (camera at the origin looking down -Z)
+        const eyeCorners = tri.map(index => vertex(eye, index));
+        // (orthographic: along -Z, where faces seen edge-on must not survive rounding)
+        const eyeNormal = faceNormal(...eyeCorners);
+        if (orthographic ? normalize(eyeNormal)[2] < 1e-9 : dot(eyeNormal, eyeCorners[0]) >= 0) continue;
+
+        const polygon = clipNear(eyeCorners, near);
+        if (polygon.length < 3) continue;
+        const depth = -polygon.reduce((sum, p) => sum + p[2], 0) / polygon.length;
+        if (depth > far) continue;
+
+        const corners = tri.map(index => vertex(world, index));
+        const center = [0, 1, 2].map(k => (corners[0][k] + corners[1][k] + corners[2][k]) / 3);
+        const normal = normalize(faceNormal(...corners));
+
+        faces.push({
+          id: node.name,
+          depth,
+          points: polygon.map(point => {
+            const [x, y] = toDevice(point);
+            return [viewport.x + (1 + x) * viewport.width / 2, viewport.y + (1 - y) * viewport.height / 2];
+          }),
+          color: this.shade(material, normal, center, lights),
+          opacity: material.opacity,
+        });
+      }
+    });
+
+    return faces.sort((a, b) => b.depth - a.depth);
+  }
+
+  collectLights(root) {
+    const lights = { ambient: [0, 0, 0], directional: [], point: [] };
+    root.traverse(node => {
+      if (node.tag !== 'light' || !node.visible) return;
+      const { type, color, intensity } = node.light;
+      const radiance = color.map(c => c * intensity);
+      const position = [node.matrixWorld[12], node.matrixWorld[13], node.matrixWorld[14]];
+      if (type === 'directional') {
+        // Directional lights shine from their position towards the origin
+        lights.directional.push({ radiance, direction: normalize(position) });
+      } else if (type === 'point' || type === 'spot') {
+        lights.point.push({ radiance, position });
+      } else {
+        lights.ambient = lights.ambient.map((c, k) => c + radiance[k]);
+      }
+    });
+    return lights;
+  }
+
+  /**
+   * Lambert term per face: ambient + sum(N.L * light) times the base color, plus emissive
+   */
+  shade(material, normal, center, lights) {
+    if (this.shading === 'flat' || material.type === 'basic') return material.color;
+
+    const irradiance = [...lights.ambient];
+    const addLight = (radiance, direction) => {
+      const lambert = Math.max(0, dot(normal, direction));
+      for (let k = 0; k < 3; k++) irradiance[k] += radiance[k] * lambert;
+    };
+    lights.directional.forEach(light => addLight(light.radiance, light.direction));
+    lights.point.forEach(light => {
+      addLight(light.radiance, normalize(light.position.map((p, k) => p - center[k])));
+    });
+
+    return material.color.map((c, k) => (
+      Math.min(1, c * irradiance[k] + material.emissive[k] * material.emissiveIntensity)
+    ));
+  }
+}
+
+// Width / height of a camera's view: its orthographic bounds, its aspect attribute, or the canvas
+function viewAspect(lens, canvasAspect) {
+  const { bounds } = lens;
+  if (bounds) return (bounds.right - bounds.left) / (bounds.top - bounds.bottom);
+  return lens.aspect || canvasAspect;
+}
+
+function isVisible(node) {
+  for (let n = node.parent; n; n = n.parent) {
+    if (!n.visible) return false;
+  }
+  return true;
+}
+
+function transformPositions(m, positions) {
+  const out = new Float64Array(positions.length);
+  for (let v = 0; v < positions.length; v += 3) {
+    const x = positions[v], y = positions[v + 1], z = positions[v + 2];
+    out[v] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    out[v + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    out[v + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+  }
+  return out;
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function faceNormal(a, b, c) {
+  const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  return [
+    ab[1] * ac[2] - ab[2] * ac[1],
+    ab[2] * ac[0] - ab[0] * ac[2],
+    ab[0] * ac[1] - ab[1] * ac[0],
+  ];
+}
+
+function determinant(m) {
+  return m[0] * (m[5] * m[10] - m[6] * m[9]) -
+    m[4] * (m[1] * m[10] - m[2] * m[9]) +
+    m[8] * (m[1] * m[6] - m[2] * m[5]);
+}
+
+/**
+ * Clip an eye-space polygon against the near plane (z = -near)
+ */
+function clipNear(polygon, near) {
+  const inside = p => p[2] <= -near;
+  const clipped = [];
+  polygon.forEach((current, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    if (inside(current)) clipped.push(current);
+    if (inside(current) !== inside(next)) {
+      const t = (-near - current[2]) / (next[2] - current[2]);
+      clipped.push(current.map((c, k) => c + (next[k] - c) * t));
+    }
+  });
+  return clipped;
+}
+
+/**
+ * Even-odd test of a pixel against a projected polygon
+ */
+function containsPoint(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// ============================================================================
+// 3. CANVAS RENDERER - Same surface as SVG3ThreeRenderer, drawn with Canvas 2D
+// ============================================================================
+
+export class SVG3CanvasRenderer {
+  /**
+   * @param options.shading - 'lambert' (default) or 'flat'
+   * @param options.background - Clear color, or null for a transparent canvas
+   * @param options.rotationInterpolation - 'euler' (default) or 'slerp' for rotation animations
+   * @param options.letterbox - Letterbox cameras with a fixed aspect ratio (default false)
+   */
+  constructor(sceneData, canvas, options = {}) {
+    this.sceneData = sceneData;
+    this.canvas = canvas;
+    this.context = null;
+    this.scene = null;
+    this.cameras = new Map();
+    this.activeCamera = null;
+    this.cameraTransition = null;
+    this.meshes = new Map();
+    // Meshes, groups and cameras by id: everything animations can target
+    this.objects = new Map();
+    this.materials = new Map();
+    this.geometries = new Map();
+    this.animationEngine = new AnimationEngine({ rotationInterpolation: options.rotationInterpolation });
+    this.rotationControllers = new Map();
+    this.pointerPicker = null;
+    this.projector = new SVG3Projector({ shading: options.shading, letterbox: options.letterbox });
+    this.background = options.background === undefined ? '#1a1a1a' : options.background;
+    this.frameId = null;
+    this.lastFrameTime = null;
+    this.lastFaces = [];
+  }
+
+  async init() {
+    this.context = this.canvas.getContext('2d');
+    if (!this.context) throw new Error('Canvas 2D context not available');
+
+    // Browser canvases are sized from their layout box; headless canvases keep their size
+    if (this.canvas.clientWidth && this.canvas.style) {
+      this.resizeToDisplay();
+    }
+
+    this.build();
+
+    if (typeof window !== 'undefined') {
+      this._boundOnResize = this.onWindowResize.bind(this);
+      window.addEventListener('resize', this._boundOnResize);
+    }
+
+    return { scene: this.scene, context: this.context };
+  }
+
+  /**
+   * Build the scene graph from the parsed scene (no canvas needed)
+   */
+  build() {
+    this.scene = new SVG3Node('scene', 'scene');
+    this.buildGeometries();
+    this.buildMaterials();
+    this.sceneData.scenes.forEach(sceneData => this.buildScene(sceneData));
+    // The first scene camera="..." that exists starts out active, else the first <camera>
+    const named = this.sceneData.scenes.map(scene => scene.camera).find(id => this.cameras.has(id));
+    this.activeCamera = this.cameras.get(named) || this.cameras.values().next().value || null;
+    this.setupAnimations();
+    return this.scene;
+  }
+
+  buildGeometries() {
+    this.sceneData.defs.geometries.forEach(geom => {
+      this.geometries.set(geom.id, tessellateGeometry(geom));
+    });
+  }
+
+  buildMaterials() {
+    this.sceneData.defs.materials.forEach(mat => {
+      const p = mat.params;
+      this.materials.set(mat.id, {
+        type: mat.type,
+        color: parseColor(p.color),
+        emissive: parseColor(p.emissive, [0, 0, 0]),
+        // Only standard materials take emissiveIntensity in the Three.js renderer
+        emissiveIntensity: mat.type === 'standard' ? (p.emissiveIntensity || 0) : 1,
+        opacity: p.opacity ?? 1,
+      });
+    });
+  }
+
+  buildScene(sceneData) {
+    const ambient = new SVG3Node('light', `${sceneData.id}-ambient`);
+    ambient.light = { type: 'ambient', color: [1, 1, 1], intensity: sceneData.ambientLight || 0.5 };
+    this.scene.add(ambient);
+
+    sceneData.children?.forEach(child => {
+      const object = this.buildElement(child);
+      if (object) this.scene.add(object);
+    });
+  }
+
+  buildElement(elementData) {
+    if (elementData.tag === 'mesh') {
+      return this.buildMesh(elementData);
+    } else if (elementData.tag === 'group') {
+      return this.buildGroup(elementData);
+    } else if (elementData.tag === 'light') {
+      return this.buildLight(elementData);
+    } else if (elementData.tag === 'camera') {
+      const camera = this.buildCamera(elementData);
+      this.cameras.set(elementData.id, camera);
+      this.objects.set(elementData.id, camera);
+      return camera;
+    }
+    return null;
+  }
+
+  buildMesh(meshData) {
+    const geom = this.geometries.get(meshData.attrs.geometry);
+    const mat = this.materials.get(meshData.attrs.material);
+
+    if (!geom || !mat) {
+      console.warn(`Missing geometry or material for mesh ${meshData.id}`);
+      return null;
+    }
+
+    const mesh = this.createNode('mesh', meshData);
+    mesh.geometry = geom;
+    mesh.material = { ...mat, color: [...mat.color], emissive: [...mat.emissive] };
+
+    this.meshes.set(meshData.id, mesh);
+    this.objects.set(meshData.id, mesh);
+    return mesh;
+  }
+
+  buildGroup(groupData) {
+    const group = this.createNode('group', groupData);
+    this.meshes.set(groupData.id, group);
+    this.objects.set(groupData.id, group);
+
+    groupData.children?.forEach(child => {
+      const obj = this.buildElement(child);
+      if (obj) group.add(obj);
+    });
+
+    return group;
+  }
+
+  buildCamera(cameraData) {
+    const attrs = cameraData.attrs;
+    const camera = new SVG3Node('camera', cameraData.id);
+    const bounds = ['left', 'right', 'top', 'bottom'];
+    camera.camera = {
+      type: attrs.type === 'orthographic' ? 'orthographic' : 'perspective',
+      fov: attrs.fov || 75,
+      near: attrs.near ?? 0.1,
+      far: attrs.far ?? 1000,
+      zoom: attrs.zoom ?? 1,
+      aspect: attrs.aspect,
+    };
+    // Without all four bounds an orthographic view spans y -1..1 and the aspect ratio in x
+    if (camera.camera.type === 'orthographic' && bounds.every(name => attrs[name] !== undefined)) {
+      camera.camera.bounds = Object.fromEntries(bounds.map(name => [name, attrs[name]]));
+    }
+    camera.position.set(...(attrs.position || [0, 0, 5]));
+    camera.rotation.order = attrs.rotationOrder || 'XYZ';
+    camera.rotation.set(...(attrs.rotation || [0, 0, 0]));
+    return camera;
+  }
+
+  /**
+   * Render through another <camera>, optionally moving there over
+   * options.duration seconds (see SVG3ThreeRenderer.setActiveCamera)
+   * @returns {SVG3Node|null} The camera, or null for an unknown id
+   */
+  setActiveCamera(id, options = {}) {
+    const camera = this.cameras.get(id);
+    if (!camera) {
+      console.warn(`Camera ${id} not found`);
+      return null;
+    }
+
+    const from = this.getRenderCamera();
+    const duration = options.duration || 0;
+    this.activeCamera = camera;
+    this.cameraTransition = duration > 0 && from && from !== camera
+      ? { from, to: camera, view: new SVG3Node('camera', camera.name), elapsed: 0, duration }
+      : null;
+    return camera;
+  }
+
+  // The camera frames are drawn with: the active one, or the in-between view of a transition
+  getRenderCamera() {
+    return this.cameraTransition ? this.cameraTransition.view : this.activeCamera;
+  }
+
+  updateCameraTransition(delta) {
+    const transition = this.cameraTransition;
+    if (!transition) return;
+    transition.elapsed += delta;
+    const t = Math.min(1, transition.elapsed / transition.duration);
+    const k = t * t * (3 - 2 * t);
+    const mix = (a, b) => a + (b - a) * k;
+
+    const { from, to, view } = transition;
+    // Both ends may be animated or parented, so blend their current world transforms
+    this.scene.updateMatrixWorld();
+    const [a, b] = [from, to].map(camera => decomposeMatrix(camera.matrixWorld));
+    view.matrixWorld = composeMatrix(
+      a.translation.map((value, i) => mix(value, b.translation[i])),
+      slerpQuaternions(a.quaternion, b.quaternion, k),
+      a.scale.map((value, i) => mix(value, b.scale[i]))
+    );
+
+    view.camera = { ...to.camera };
+    if (from.camera.type === to.camera.type) {
+      ['fov', 'zoom', 'near', 'far'].forEach(name => {
+        view.camera[name] = mix(from.camera[name], to.camera[name]);
+      });
+      if (from.camera.aspect && to.camera.aspect) view.camera.aspect = mix(from.camera.aspect, to.camera.aspect);
+      if (from.camera.bounds && to.camera.bounds) {
+        view.camera.bounds = Object.fromEntries(Object.entries(to.camera.bounds)
+          .map(([name, value]) => [name, mix(from.camera.bounds[name], value)]));
+      }
+    }
+
+    if (t >= 1) this.cameraTransition = null;
+  }
+
+  buildLight(lightData) {
+    const attrs = lightData.attrs;
+    const light = new SVG3Node('light', lightData.id);
+    light.light = {
+      type: attrs.type,
+      color: parseColor(attrs.color),
+      intensity: attrs.intensity || 1,
+    };
+    light.position.set(...(attrs.position || [0, 0, 5]));
+    return light;
+  }
+
+  createNode(tag, elementData) {
+    const node = new SVG3Node(tag, elementData.id);
+    node.position.set(...(elementData.attrs?.position || [0, 0, 0]));
+    node.rotation.order = elementData.attrs?.rotationOrder || 'XYZ';
+    node.rotation.set(...(elementData.attrs?.rotation || [0, 0, 0]));
+    node.scale.set(...(elementData.attrs?.scale || [1, 1, 1]));
+    return node;
+  }
+
+  setupAnimations() {
+    this.sceneData.animations.forEach(track => {
+      this.animationEngine.registerAnimation(track.targetId, track.animation);
+    });
+    // Event begin values (begin="door.click") need pointer hits from the canvas
+    if (this.animationEngine.usesEvents()) {
+      this.pointerPicker = new PointerPicker(this.canvas, this);
+    }
+  }
+
+  /**
+   * Topmost mesh under a point in normalized device coordinates (-1..1), as
+   * drawn by the last render(), or null
+   */
+  pick(x, y) {
+    if (!this.canvas) return null;
+    const px = (x + 1) / 2 * this.canvas.width;
+    const py = (1 - y) / 2 * this.canvas.height;
+    // Faces are sorted far to near, so search from the front
+    for (let i = this.lastFaces.length - 1; i >= 0; i--) {
+      if (containsPoint(this.lastFaces[i].points, px, py)) return this.meshes.get(this.lastFaces[i].id) || null;
+    }
+    return null;
+  }
+
+  setupRotationControl(objectId, sensitivity = 0.01) {
+    const obj = this.meshes.get(objectId);
+    if (!obj) {
+      console.warn(`Object ${objectId} not found for rotation control`);
+      return null;
+    }
+
+    const controller = new RotationController(this.canvas, obj, sensitivity);
+    this.rotationControllers.set(objectId, controller);
+    return controller;
+  }
+
+  animate(timestamp) {
+    // Without requestAnimationFrame (e.g. Node) a single frame is drawn per call
+    if (typeof requestAnimationFrame === 'function') {
+      this.frameId = requestAnimationFrame(t => this.animate(t));
+    }
+
+    const delta = this.frameDelta(timestamp);
+    this.animationEngine.tick(delta, this.objects);
+    // Camera transitions run in real time, also while the timeline is paused
+    this.updateCameraTransition(delta);
+    this.render();
+  }
+
+  // Timeline - delegates to the AnimationEngine clock
+
+  play() {
+    this.animationEngine.play();
+  }
+
+  pause() {
+    this.animationEngine.pause();
+  }
+
+  /**
+   * Show the scene as it is `seconds` into its animations
+   */
+  seek(seconds) {
+    this.animationEngine.seek(seconds, this.objects);
+  }
+
+  setPlaybackRate(rate) {
+    this.animationEngine.setPlaybackRate(rate);
+  }
+
+  getCurrentTime() {
+    return this.animationEngine.getCurrentTime();
+  }
+
+  getDuration() {
+    return this.animationEngine.getDuration();
+  }
+
+  // Animation time events (beginEvent, endEvent, repeatEvent), as on SVG3ThreeRenderer
+  addEventListener(type, listener, options) {
+    this.animationEngine.addEventListener(type, listener, options);
+  }
+
+  removeEventListener(type, listener, options) {
+    this.animationEngine.removeEventListener(type, listener, options);
+  }
+
+  // Seconds since the previous frame (0 on the first one)
+  frameDelta(timestamp = performance.now()) {
+    const delta = this.lastFrameTime === null ? 0 : (timestamp - this.lastFrameTime) / 1000;
+    this.lastFrameTime = timestamp;
+    return delta;
+  }
+
+  /**
+   * Draw the current state of the scene once
+   */
+  render() {
+    const ctx = this.context;
+    const { width, height } = this.canvas;
+    const camera = this.getRenderCamera();
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    if (this.background) {
+      ctx.fillStyle = this.background;
+      ctx.fillRect(0, 0, width, height);
+    } else {
+      ctx.clearRect(0, 0, width, height);
+    }
+    if (!camera) {
+      this.lastFaces = [];
+      return [];
+    }
+
+    const faces = this.projector.project(this.scene, camera, width, height);
+    this.lastFaces = faces;
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = 0.5;
+    faces.forEach(face => {
+      ctx.beginPath();
+      face.points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      ctx.globalAlpha = face.opacity;
+      ctx.fillStyle = formatColor(face.color);
+      ctx.fill();
+      // Stroking opaque faces in their own color hides anti-aliasing seams between triangles
+      if (face.opacity >= 1) {
+        ctx.strokeStyle = ctx.fillStyle;
+        ctx.stroke();
+      }
+    });
+    return faces;
+  }
+
+  resizeToDisplay() {
+    const width = Math.max(1, Math.floor(this.canvas.clientWidth));
+    const height = Math.max(1, Math.floor(this.canvas.clientHeight));
+    const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+    this.canvas.width = Math.max(1, Math.floor(width * dpr));
+    this.canvas.height = Math.max(1, Math.floor(height * dpr));
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
+  }
+
+  onWindowResize() {
+    if (this.canvas.clientWidth && this.canvas.style) {
+      this.resizeToDisplay();
+    }
+  }
+
+  dispose() {
+    if (this.frameId !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this.frameId);
+    }
+    if (this._boundOnResize) {
+      window.removeEventListener('resize', this._boundOnResize);
+    }
+    this.geometries.clear();
+    this.materials.clear();
+  }
+}
+
+export default {
+  SVG3CanvasRenderer,
+  SVG3Projector,
+  SVG3Node,
+};
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * SVG3 command-line tool
+ *
+ *   svg3 validate <file.svg3...> [--strict] [--json]
+ *   svg3 info <file> [--json]
+ *   svg3 convert <input> [-o output] [--to svg3|json|gltf|glb|svg] [--time seconds] [--json]
+ *   svg3 optimize <file.svg3> [-o output] [--precision digits] [--json]
+ *
+ * Exit codes: 0 success, 1 invalid input or failed command, 2 usage error
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { SVG3Parser, AnimationEngine } from './svg3-complete.js';
+import { SVG3Validator } from './svg3-validator.js';
+import { SVG3Serializer } from './svg3-serializer.js';
+import { SVG3Optimizer } from './svg3-optimizer.js';
+import { SVG3GLTFExporter, SVG3GLTFImporter } from './svg3-gltf.js';
+import { SVG3SnapshotExporter } from './svg3-snapshot.js';
+
+// ============================================================================
+// 1. COMMANDS
+// ============================================================================
+
+const USAGE = `Usage: svg3 <command> [options]
+
+Commands:
+  validate <file...>   Check files for errors (--strict also fails on warnings)
+  info <file>          Count geometries, materials, meshes and animations
+  convert <input>      Convert between .svg3, .json, .gltf and .glb, or to a flat .svg
+  optimize <file>      Drop unused defs, merge duplicate materials, normalize numbers
+
+Options:
+  -o, --output <file>  Write the result to a file instead of stdout
+  --to <format>        Output format for convert: svg3, json, gltf, glb or svg
+  --time <seconds>     Animation time of the flat .svg snapshot (default 0)
+  --precision <n>      Decimals kept by optimize (default 6)
+  --strict             Treat warnings as errors in validate
+  --json               Machine-readable output
+  -h, --help           Show this help`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  to: { type: 'string' },
+  time: { type: 'string' },
+  precision: { type: 'string' },
+  strict: { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const FORMATS = ['svg3', 'json', 'gltf', 'glb', 'svg'];
+
+class UsageError extends Error {}
+
+const commands = {
+  validate(files, options, io) {
+    if (!files.length) throw new UsageError('validate needs at least one file');
+
+    const results = files.map(file => {
+      const result = new SVG3Validator().validate(fs.readFileSync(file, 'utf8'));
+      const passed = result.valid && !(options.strict && result.warnings.length);
+      return { file, valid: passed, errors: result.errors, warnings: result.warnings };
+    });
+
+    if (options.json) {
+      io.out(JSON.stringify({ valid: results.every(r => r.valid), files: results }, null, 2));
+    } else {
+      results.forEach(({ file, valid, errors, warnings }) => {
+        [...errors, ...warnings]
+          .sort((a, b) => (a.line - b.line) || (a.column - b.column))
+          .forEach(d => io.out(SVG3Validator.format(d, file)));
+        io.out(`${file}: ${valid ? 'ok' : 'invalid'} (${errors.length} error(s), ${warnings.length} warning(s))`);
+      });
+    }
+    return results.every(r => r.valid) ? 0 : 1;
+  },
+
+  info(files, options, io) {
+    if (files.length !== 1) throw new UsageError('info takes exactly one file');
+    const warnings = [];
+    const stats = sceneInfo(readScene(files[0], warnings));
+
+    if (options.json) {
+      io.out(JSON.stringify({ file: files[0], ...stats, warnings }, null, 2));
+    } else {
+      printWarnings('info', warnings, io);
+      io.out(`${files[0]}`);
+      Object.entries(stats).forEach(([name, value]) => {
+        io.out(`  ${(name + ':').padEnd(12)} ${name === 'duration' ? formatDuration(value) : value}`);
+      });
+    }
+    return 0;
+  },
+
+  convert(files, options, io) {
+    if (files.length !== 1) throw new UsageError('convert takes exactly one input file');
+    const format = options.to || formatFromPath(options.output);
+    if (!format) throw new UsageError('convert needs --to or an --output file with a known extension');
+    if (!FORMATS.includes(format)) {
+      throw new UsageError(`Unknown output format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+    }
+
+    if (options.json && !options.output) {
+      throw new UsageError('convert --json prints a report, so the result needs --output');
+    }
+
+    // What the conversion left out or approximated
+    const warnings = [];
+    const sceneData = readScene(files[0], warnings);
+    let output;
+    switch (format) {
+      case 'svg3':
+        output = new SVG3Serializer().serialize(sceneData);
+        break;
+      case 'json':
+        output = JSON.stringify(sceneData, null, 2) + '\n';
+        break;
+      case 'gltf': {
+        const exporter = new SVG3GLTFExporter();
+        output = JSON.stringify(exporter.toGLTF(sceneData)) + '\n';
+        warnings.push(...exporter.warnings);
+        break;
+      }
+      case 'glb': {
+        const exporter = new SVG3GLTFExporter();
+        output = exporter.toGLB(sceneData);
+        warnings.push(...exporter.warnings);
+        break;
+      }
+      case 'svg': {
+        const time = options.time === undefined ? 0 : Number(options.time);
+        if (!Number.isFinite(time)) throw new UsageError(`Invalid --time "${options.time}"`);
+        output = new SVG3SnapshotExporter().toSVG(sceneData, time);
+        break;
+      }
+    }
+
+    io.write(options.output, output);
+    if (options.json) {
+      io.out(JSON.stringify({ file: files[0], output: options.output, format, warnings }, null, 2));
+    } else {
+      printWarnings('convert', warnings, io);
+    }
+    return 0;
+  },
+
+  optimize(files, options, io) {
+    if (files.length !== 1) throw new UsageError('optimize takes exactly one file');
+    if (options.json && !options.output) {
+      throw new UsageError('optimize --json prints a report, so the result needs --output');
+    }
+    const precision = options.precision === undefined ? 6 : Number(options.precision);
+    if (!Number.isInteger(precision) || precision < 0) {
+      throw new UsageError(`Invalid --precision "${options.precision}"`);
+    }
+
+    const input = fs.readFileSync(files[0], 'utf8');
+    const warnings = [];
+    const { sceneData, report } = new SVG3Optimizer({ precision }).optimize(readScene(files[0], warnings));
+    const output = new SVG3Serializer({ precision }).serialize(sceneData);
+    io.write(options.output, output);
+
+    const summary = { file: files[0], ...report, bytesBefore: byteLength(input), bytesAfter: byteLength(output) };
+    if (options.json) {
+      io.out(JSON.stringify({ ...summary, warnings }, null, 2));
+    } else {
+      printWarnings('optimize', warnings, io);
+      const merged = Object.entries(report.mergedMaterials).map(([from, to]) => `${from} -> ${to}`);
+      io.err(`removed geometries: ${report.removedGeometries.join(', ') || 'none'}`);
+      io.err(`removed materials: ${report.removedMaterials.join(', ') || 'none'}`);
+      io.err(`removed textures: ${report.removedTextures.join(', ') || 'none'}`);
+      io.err(`removed symbols: ${report.removedSymbols.join(', ') || 'none'}`);
+      io.err(`merged materials: ${merged.join(', ') || 'none'}`);
+      io.err(`${summary.bytesBefore} -> ${summary.bytesAfter} bytes`);
+    }
+    return 0;
+  },
+};
+
+// ============================================================================
+// 2. HELPERS
+// ============================================================================
+
+/**
+ * Load a scene object from .svg3, .json (scene object), .gltf or .glb
+ * @param warnings - Receives what a glTF import approximated
+ */
+function readScene(file, warnings = []) {
+  const format = formatFromPath(file);
+  if (format === 'glb' || format === 'gltf') {
+    const importer = new SVG3GLTFImporter({
+      resolveURI: uri => fs.readFileSync(path.resolve(path.dirname(file), decodeURIComponent(uri))),
+    });
+    const input = format === 'glb' ? new Uint8Array(fs.readFileSync(file)) : fs.readFileSync(file, 'utf8');
+    const sceneData = importer.toSceneData(input);
+    warnings.push(...importer.warnings);
+    return sceneData;
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  if (format === 'json') return JSON.parse(text);
+  return new SVG3Parser({ backend: 'headless' }).parse(text);
+}
+
+function printWarnings(command, warnings, io) {
+  warnings.forEach(message => io.err(`svg3 ${command}: warning: ${message}`));
+}
+
+function formatFromPath(file) {
+  if (!file) return null;
+  const ext = path.extname(file).slice(1).toLowerCase();
+  return FORMATS.includes(ext) ? ext : null;
+}
+
+function sceneInfo(sceneData) {
+  const counts = { meshes: 0, groups: 0, lights: 0, cameras: 0 };
+  const tagCounts = { mesh: 'meshes', group: 'groups', light: 'lights', camera: 'cameras' };
+  const animations = [];
+  const visit = element => {
+    if (tagCounts[element.tag]) counts[tagCounts[element.tag]] += 1;
+    animations.push(...(element.animations || []));
+    (element.children || []).forEach(visit);
+  };
+  (sceneData.scenes || []).forEach(scene => (scene.children || []).forEach(visit));
+
+  return {
+    scenes: (sceneData.scenes || []).length,
+    geometries: (sceneData.defs?.geometries || []).length,
+    textures: (sceneData.defs?.textures || []).length,
+    materials: (sceneData.defs?.materials || []).length,
+    ...counts,
+    animations: animations.length,
+    duration: totalDuration(animations),
+  };
+}
+
+/**
+ * End of the last animation in seconds, or null when one runs indefinitely
+ */
+function totalDuration(animations) {
+  const engine = new AnimationEngine();
+  animations.forEach((anim, i) => {
+    engine.registerAnimation(`track-${i}`, anim);
+  });
+  const end = engine.getDuration();
+  return Number.isFinite(end) ? end : null;
+}
+
+function formatDuration(seconds) {
+  return seconds === null ? 'indefinite' : `${Number(seconds.toFixed(3))}s`;
+}
+
+function byteLength(output) {
+  return typeof output === 'string' ? Buffer.byteLength(output) : output.length;
+}
+
+// ============================================================================
+// 3. ENTRY POINT
+// ============================================================================
+
+/**
+ * Run the CLI with an argument list (without "node svg3")
+ * @returns {number} Exit code
+ */
+export function run(argv, io = defaultIO()) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    io.err(`svg3: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command, ...files] = parsed.positionals;
+  const options = parsed.values;
+  if (options.help || !command) {
+    io.out(USAGE);
+    return command || options.help ? 0 : 2;
+  }
+  if (!commands[command]) {
+    io.err(`svg3: unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return commands[command](files, options, io);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      io.err(`svg3 ${command}: ${err.message}`);
+      return 2;
+    }
+    if (options.json) {
+      io.out(JSON.stringify({ error: err.message }, null, 2));
+    } else {
+      io.err(`svg3 ${command}: ${err.message}`);
+    }
+    return 1;
+  }
+}
+
+function defaultIO() {
+  return {
+    out: text => process.stdout.write(text + '\n'),
+    err: text => process.stderr.write(text + '\n'),
+    write: (file, data) => (file ? fs.writeFileSync(file, data) : process.stdout.write(data)),
+  };
+}
+
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Piping into e.g. `head` closes stdout early; that is not an error
+  process.stdout.on('error', err => {
+    if (err.code !== 'EPIPE') throw err;
+  });
+  process.exitCode = run(process.argv.slice(2));
+}
+
+export default {
+  run,
+};
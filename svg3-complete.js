@@ -9,22 +9,43 @@
  * - Three.js and Canvas renderer backends
  */
 
+import {
+  parseColor,
+  rgbToHsl,
+  hslToRgb,
+  srgbToLinear,
+  linearToSrgb,
+  eulerToQuaternion,
+  quaternionToEuler,
+  multiplyQuaternions,
+  slerpQuaternions,
+  lookRotation,
+  letterbox,
+  parsePath3D,
+  flattenPath3D,
+  samplePath3D,
+  tessellateGeometry,
+  unknownGeometryType,
+  parseVertexArray,
+  checkMeshData,
+} from './svg3-geometry.js';
+
 // ============================================================================
 // 1. SVG3 PARSER - Parses XML into scene graph
 // ============================================================================
 
 export class SVG3Parser {
-  constructor() {
+  constructor(options = {}) {
     this.geometries = new Map();
     this.materials = new Map();
     this.animationTracks = [];
     this._autoIdCounter = 0;
+    // 'auto' uses the browser DOMParser when present, 'headless' always uses SVG3XMLReader
+    this.backend = options.backend || 'auto';
   }
 
   parse(svgString) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(svgString, 'text/xml');
-    const root = doc.documentElement;
+    const root = this.readDocument(svgString);
 
     if (root.tagName !== 'svg3') {
       throw new Error('Invalid SVG3: root element must be <svg3>');
@@ -35,47 +56,107 @@ export class SVG3Parser {
       metadata: this.parseMetadata(root),
       defs: this.parseDefs(root),
       scenes: this.parseScenes(root),
-      animations: this.animationTracks,
     };
+    // Collected from the finished tree, so every <use> instance gets tracks of its own
+    this.animationTracks = collectAnimationTracks(scene.scenes);
+    scene.animations = this.animationTracks;
 
     return scene;
   }
 
+  readDocument(svgString) {
+    const useDOM = this.backend === 'dom' ||
+      (this.backend === 'auto' && typeof DOMParser !== 'undefined');
+
+    if (useDOM) {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(svgString, 'text/xml');
+      return doc.documentElement;
+    }
+
+    return new SVG3XMLReader().read(svgString);
+  }
+
   parseMetadata(root) {
-    const metadata = root.querySelector('metadata');
+    const metadata = findDescendant(root, 'metadata');
     if (!metadata) return {};
     const result = {};
-    metadata.querySelectorAll('*').forEach(el => {
+    findDescendants(metadata, '*').forEach(el => {
       result[el.tagName] = el.textContent;
     });
     return result;
   }
 
   parseDefs(root) {
-    const defs = root.querySelector('defs');
-    if (!defs) return { geometries: [], materials: [] };
+    const defs = findDescendant(root, 'defs');
+    this.paths = new Map();
+    this.symbols = new Map();
+    this.symbolElements = new Map();
+    this.symbolStack = [];
+    if (!defs) return { geometries: [], textures: [], materials: [], paths: [], symbols: [] };
 
     return {
       geometries: this.parseGeometries(defs),
+      textures: this.parseTextures(defs),
       materials: this.parseMaterials(defs),
+      paths: this.parsePaths(defs),
+      symbols: this.parseSymbols(defs),
     };
   }
 
   parseGeometries(defsElement) {
     const geometries = [];
-    defsElement.querySelectorAll('geometry').forEach(geom => {
-      geometries.push({
+    findDescendants(defsElement, 'geometry').forEach(geom => {
+      const def = {
         id: geom.id,
         type: geom.getAttribute('type'),
         params: this.parseAttributes(geom),
-      });
+      };
+      const data = this.parseGeometryData(geom);
+      if (data) def.data = data;
+      if (def.type === 'mesh') {
+        const problems = checkMeshData(data || {});
+        if (problems.length) throw new Error(`Invalid SVG3: mesh geometry "${def.id}": ${problems[0]}`);
+      }
+      geometries.push(def);
     });
     return geometries;
   }
 
+  /**
+   * Inline vertex data for type="mesh" geometries: <positions>, <normals>, <uvs>, <indices>
+   * holding numbers, or base64 typed arrays (<positions encoding="base64" type="float32">)
+   */
+  parseGeometryData(geomElement) {
+    const arrays = findChildren(geomElement, ['positions', 'normals', 'uvs', 'indices']);
+    if (!arrays.length) return null;
+
+    const data = {};
+    arrays.forEach(el => {
+      const options = {
+        encoding: el.getAttribute('encoding') || 'text',
+        type: el.getAttribute('type') || (el.tagName === 'indices' ? 'uint32' : 'float32'),
+      };
+      try {
+        data[el.tagName] = parseVertexArray(el.textContent, options);
+      } catch (err) {
+        throw new Error(`Invalid SVG3: <${el.tagName}> of geometry "${geomElement.id}": ${err.message}`);
+      }
+    });
+    return data;
+  }
+
+  // <texture id="wood" href="wood.jpg" repeat="2,2"> images, referenced by material map="#wood"
+  parseTextures(defsElement) {
+    return findDescendants(defsElement, 'texture').map(tex => ({
+      id: tex.id,
+      params: this.parseAttributes(tex),
+    }));
+  }
+
   parseMaterials(defsElement) {
     const materials = [];
-    defsElement.querySelectorAll('material').forEach(mat => {
+    findDescendants(defsElement, 'material').forEach(mat => {
       materials.push({
         id: mat.id,
         type: mat.getAttribute('type') || 'standard',
@@ -85,9 +166,42 @@ export class SVG3Parser {
     return materials;
   }
 
+  // <path3d id="orbit" d="M 5 0 0 C ..."> motion paths, referenced by <mpath href="#orbit">
+  parsePaths(defsElement) {
+    return findDescendants(defsElement, 'path3d').map(path => {
+      const def = { id: path.id, d: path.getAttribute('d') || '' };
+      this.paths.set(def.id, def.d);
+      return def;
+    });
+  }
+
+  // <symbol id="tree"> sub-assemblies of meshes, groups, lights and animations, placed by <use href="#tree">
+  parseSymbols(defsElement) {
+    findChildren(defsElement, ['symbol']).filter(el => el.id).forEach(el => {
+      this.symbolElements.set(el.id, el);
+    });
+    return Array.from(this.symbolElements.keys()).map(id => this.parseSymbol(id));
+  }
+
+  // Parsed on first use, so symbols may <use> each other in any order
+  parseSymbol(id) {
+    if (this.symbols.has(id)) return this.symbols.get(id);
+    const el = this.symbolElements.get(id);
+    if (!el) return null;
+    if (this.symbolStack.includes(id)) {
+      throw new Error(`Invalid SVG3: <use> cycle ${[...this.symbolStack, id].join(' -> ')}`);
+    }
+
+    this.symbolStack.push(id);
+    const symbol = { id, children: this.parseChildren(el) };
+    this.symbolStack.pop();
+    this.symbols.set(id, symbol);
+    return symbol;
+  }
+
   parseScenes(root) {
     const scenes = [];
-    root.querySelectorAll('scene').forEach(sceneEl => {
+    findDescendants(root, 'scene').forEach(sceneEl => {
       scenes.push({
         id: sceneEl.id,
         camera: sceneEl.getAttribute('camera'),
@@ -103,6 +217,8 @@ export class SVG3Parser {
     Array.from(parent.children).forEach(child => {
       if (['mesh', 'group', 'light', 'camera'].includes(child.tagName)) {
         children.push(this.parseElement(child));
+      } else if (child.tagName === 'use') {
+        children.push(this.parseUse(child));
       }
     });
     return children;
@@ -130,30 +246,81 @@ export class SVG3Parser {
     return element;
   }
 
+  /**
+   * <use href="#tree"> becomes a group holding a copy of the symbol. Ids inside the copy
+   * are scoped by the instance id ("tree3/trunk"), so every instance stays addressable.
+   */
+  parseUse(el) {
+    const element = this.parseElement(el);
+    const href = el.getAttribute('href') || el.getAttribute('xlink:href') || '';
+    const symbolId = href.replace(/^#/, '');
+    const symbol = this.parseSymbol(symbolId);
+    if (!symbol) console.warn(`<use> ${element.id}: no <symbol> "${href}" in <defs>`);
+
+    const overrides = parseMaterialOverrides(el.getAttribute('material-override'));
+    return {
+      ...element,
+      tag: 'group',
+      use: symbolId,
+      children: symbol ? instantiateSymbol(symbol, element.id, overrides) : [],
+    };
+  }
+
   parseAnimations(el) {
     const animations = [];
-    el.querySelectorAll(':scope > animate, :scope > animateTransform, :scope > set').forEach(anim => {
+    findChildren(el, ['animate', 'animateTransform', 'animateMotion', 'set']).forEach(anim => {
+      const motion = anim.tagName === 'animateMotion';
       animations.push({
         type: anim.tagName,
+        id: anim.getAttribute('id'),
         attributeName: anim.getAttribute('attributeName'),
         from: anim.getAttribute('from'),
         to: anim.getAttribute('to'),
         dur: anim.getAttribute('dur') || '1s',
         begin: anim.getAttribute('begin') || '0s',
         end: anim.getAttribute('end'),
-        repeatCount: anim.getAttribute('repeatCount') || '1',
+        // Without repeatCount, a repeatDur alone sets the active duration (SMIL)
+        repeatCount: anim.getAttribute('repeatCount') || (anim.hasAttribute('repeatDur') ? null : '1'),
+        repeatDur: anim.getAttribute('repeatDur'),
+        min: anim.getAttribute('min'),
+        max: anim.getAttribute('max'),
         fill: anim.getAttribute('fill') || 'freeze',
+        by: anim.getAttribute('by'),
         values: anim.getAttribute('values')?.split(';'),
         keyTimes: anim.getAttribute('keyTimes')?.split(';').map(parseFloat),
-      });
-      this.animationTracks.push({
-        targetId: el.id,
-        animation: animations[animations.length - 1],
+        // SMIL moves along motion paths at constant speed unless told otherwise
+        calcMode: anim.getAttribute('calcMode') || (motion ? 'paced' : 'linear'),
+        colorInterpolation: anim.getAttribute('colorInterpolation') || 'linearRGB',
+        // "x1 y1 x2 y2" control points per keyframe interval
+        keySplines: anim.getAttribute('keySplines')?.split(';')
+          .filter(spline => spline.trim())
+          .map(spline => spline.trim().split(/[\s,]+/).map(parseFloat)),
+        // "slerp" interpolates rotations through quaternions; unset follows the renderer
+        rotationInterpolation: anim.getAttribute('rotationInterpolation'),
+        additive: anim.getAttribute('additive') || 'replace',
+        accumulate: anim.getAttribute('accumulate') || 'none',
+        ...(motion ? this.parseMotion(anim) : {}),
+        ...(anim.tagName === 'animateTransform' ? { transformType: anim.getAttribute('type') } : {}),
       });
     });
     return animations;
   }
 
+  /**
+   * <animateMotion> specifics: the path (inline, or from the <path3d> an <mpath> points at),
+   * rotate and keyPoints
+   */
+  parseMotion(anim) {
+    const mpath = findChildren(anim, ['mpath'])[0];
+    const href = mpath ? mpath.getAttribute('href') || mpath.getAttribute('xlink:href') : null;
+    return {
+      path: href ? this.paths?.get(href.replace(/^#/, '')) ?? null : anim.getAttribute('path'),
+      href,
+      rotate: anim.getAttribute('rotate'),
+      keyPoints: anim.getAttribute('keyPoints')?.split(';').map(parseFloat),
+    };
+  }
+
   parseAttributes(el) {
     const attrs = {};
     Array.from(el.attributes).forEach(attr => {
@@ -168,8 +335,12 @@ export class SVG3Parser {
         } else {
           attrs[name] = value.split(',').map(v => parseFloat(v.trim()));
         }
-      } else if (['fov', 'aspect', 'near', 'far', 'intensity', 'metalness', 
-                  'roughness', 'emissiveIntensity', 'shininess', 'opacity'].includes(name)) {
+      } else if (name === 'aspect' && value.includes('/')) {
+        // Aspect ratios may be written as a fraction, e.g. "16/9"
+        const [w, h] = value.split('/').map(v => parseFloat(v.trim()));
+        attrs[name] = w / h;
+      } else if (['fov', 'aspect', 'near', 'far', 'left', 'right', 'top', 'bottom', 'zoom', 'intensity',
+                  'metalness', 'roughness', 'emissiveIntensity', 'shininess', 'opacity'].includes(name)) {
         attrs[name] = parseFloat(value);
       } else if (['castShadow', 'receiveShadow', 'bevelEnabled'].includes(name)) {
         attrs[name] = value === 'true';
@@ -181,22 +352,371 @@ export class SVG3Parser {
   }
 }
 
+// ============================================================================
+// 2. XML READER - Dependency-free XML tokenizer for Node and headless use
+// ============================================================================
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const XML_NAME = /[A-Za-z_:\u00C0-\uFFFF][\w:.\-\u00B7\u00C0-\uFFFF]*/y;
+
+/**
+ * Element node produced by SVG3XMLReader. Implements the subset of the DOM
+ * Element interface used by SVG3Parser and records its source position.
+ */
+export class SVG3XMLElement {
+  constructor(tagName, line, column) {
+    this.tagName = tagName;
+    this.attributes = [];
+    this.children = [];
+    this.childNodes = [];
+    this.parentElement = null;
+    this.line = line;
+    this.column = column;
+  }
+
+  get localName() {
+    return this.tagName.slice(this.tagName.indexOf(':') + 1);
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  get textContent() {
+    return this.childNodes
+      .map(node => (typeof node === 'string' ? node : node.textContent))
+      .join('');
+  }
+
+  getAttribute(name) {
+    const attr = this.attributes.find(a => a.name === name);
+    return attr ? attr.value : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.some(a => a.name === name);
+  }
+
+  getAttributeNode(name) {
+    return this.attributes.find(a => a.name === name) || null;
+  }
+}
+
+export class SVG3XMLReader {
+  read(source) {
+    this.source = String(source).replace(/\r\n?/g, '\n');
+    this.pos = 0;
+    this.lineStarts = [0];
+    for (let i = 0; i < this.source.length; i++) {
+      if (this.source[i] === '\n') this.lineStarts.push(i + 1);
+    }
+
+    const src = this.source;
+    const stack = [];
+    let root = null;
+
+    while (this.pos < src.length) {
+      if (src.startsWith('<!--', this.pos)) {
+        this.pos = this.skipPast('-->', 'Unterminated comment');
+      } else if (src.startsWith('<![CDATA[', this.pos)) {
+        if (!stack.length) this.fail('CDATA section outside of root element');
+        const start = this.pos + 9;
+        this.pos = this.skipPast(']]>', 'Unterminated CDATA section');
+        stack[stack.length - 1].childNodes.push(src.slice(start, this.pos - 3));
+      } else if (src.startsWith('<?', this.pos)) {
+        this.pos = this.skipPast('?>', 'Unterminated processing instruction');
+      } else if (src.startsWith('<!', this.pos)) {
+        this.skipDoctype();
+      } else if (src.startsWith('</', this.pos)) {
+        const offset = this.pos;
+        this.pos += 2;
+        const name = this.readName();
+        this.skipWhitespace();
+        this.expect('>');
+        const open = stack.pop();
+        if (!open) {
+          this.fail(`Unexpected closing tag </${name}>`, offset);
+        }
+        if (open.tagName !== name) {
+          this.fail(`Mismatched closing tag </${name}>, expected </${open.tagName}>`, offset);
+        }
+      } else if (src[this.pos] === '<') {
+        const offset = this.pos;
+        const { element, selfClosing } = this.readStartTag();
+        if (stack.length) {
+          const parent = stack[stack.length - 1];
+          element.parentElement = parent;
+          parent.children.push(element);
+          parent.childNodes.push(element);
+        } else if (root) {
+          this.fail('Document has more than one root element', offset);
+        } else {
+          root = element;
+        }
+        if (!selfClosing) stack.push(element);
+      } else {
+        const offset = this.pos;
+        let end = src.indexOf('<', this.pos);
+        if (end === -1) end = src.length;
+        const raw = src.slice(this.pos, end);
+        if (stack.length) {
+          stack[stack.length - 1].childNodes.push(this.decode(raw, offset));
+        } else if (raw.trim() !== '') {
+          this.fail('Text content outside of root element', offset + raw.search(/\S/));
+        }
+        this.pos = end;
+      }
+    }
+
+    if (stack.length) {
+      const open = stack[stack.length - 1];
+      const err = new Error(`Invalid SVG3: unclosed element <${open.tagName}> at line ${open.line}, column ${open.column}`);
+      err.line = open.line;
+      err.column = open.column;
+      throw err;
+    }
+    if (!root) this.fail('Document has no root element');
+
+    return root;
+  }
+
+  readStartTag() {
+    const src = this.source;
+    const [line, column] = this.locate(this.pos);
+    this.pos += 1;
+    const element = new SVG3XMLElement(this.readName(), line, column);
+
+    for (;;) {
+      const hadSpace = this.skipWhitespace();
+      if (src.startsWith('/>', this.pos)) {
+        this.pos += 2;
+        return { element, selfClosing: true };
+      }
+      if (src[this.pos] === '>') {
+        this.pos += 1;
+        return { element, selfClosing: false };
+      }
+      if (this.pos >= src.length) this.fail(`Unterminated start tag <${element.tagName}>`);
+      if (!hadSpace) this.fail('Expected whitespace between attributes');
+
+      const attrOffset = this.pos;
+      const name = this.readName();
+      if (element.hasAttribute(name)) {
+        this.fail(`Duplicate attribute "${name}" on <${element.tagName}>`, attrOffset);
+      }
+      this.skipWhitespace();
+      this.expect('=');
+      this.skipWhitespace();
+
+      const quote = src[this.pos];
+      if (quote !== '"' && quote !== "'") this.fail(`Attribute "${name}" value must be quoted`);
+      const valueOffset = this.pos + 1;
+      const end = src.indexOf(quote, valueOffset);
+      if (end === -1) this.fail(`Unterminated value for attribute "${name}"`, attrOffset);
+      const raw = src.slice(valueOffset, end);
+      if (raw.includes('<')) this.fail(`Attribute "${name}" value must not contain "<"`, attrOffset);
+      this.pos = end + 1;
+
+      // XML attribute-value normalization: literal whitespace characters become spaces
+      const [attrLine, attrColumn] = this.locate(attrOffset);
+      element.attributes.push({
+        name,
+        value: this.decode(raw.replace(/[\t\n]/g, ' '), valueOffset),
+        line: attrLine,
+        column: attrColumn,
+      });
+    }
+  }
+
+  readName() {
+    XML_NAME.lastIndex = this.pos;
+    const match = XML_NAME.exec(this.source);
+    if (!match) this.fail('Expected a tag or attribute name');
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  decode(text, offset) {
+    return text.replace(/&([^;&\s]*);?/g, (entity, name, index) => {
+      if (!entity.endsWith(';')) this.fail('Unescaped "&" in text or attribute value', offset + index);
+      if (name[0] === '#') {
+        const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        if (Number.isNaN(code)) this.fail(`Invalid character reference ${entity}`, offset + index);
+        return String.fromCodePoint(code);
+      }
+      if (!(name in XML_ENTITIES)) this.fail(`Unknown entity ${entity}`, offset + index);
+      return XML_ENTITIES[name];
+    });
+  }
+
+  skipDoctype() {
+    const src = this.source;
+    let depth = 0;
+    for (let i = this.pos + 2; i < src.length; i++) {
+      if (src[i] === '[') depth += 1;
+      else if (src[i] === ']') depth -= 1;
+      else if (src[i] === '>' && depth <= 0) {
+        this.pos = i + 1;
+        return;
+      }
+    }
+    this.fail('Unterminated markup declaration');
+  }
+
+  skipPast(terminator, message) {
+    const end = this.source.indexOf(terminator, this.pos);
+    if (end === -1) this.fail(message);
+    return end + terminator.length;
+  }
+
+  skipWhitespace() {
+    const start = this.pos;
+    while (/\s/.test(this.source[this.pos] || '')) this.pos += 1;
+    return this.pos > start;
+  }
+
+  expect(ch) {
+    if (this.source[this.pos] !== ch) this.fail(`Expected "${ch}"`);
+    this.pos += 1;
+  }
+
+  locate(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return [low + 1, offset - this.lineStarts[low] + 1];
+  }
+
+  fail(message, offset = this.pos) {
+    const [line, column] = this.locate(offset);
+    const err = new Error(`Invalid SVG3: ${message} at line ${line}, column ${column}`);
+    err.line = line;
+    err.column = column;
+    throw err;
+  }
+}
+
+// Traversal helpers shared by DOM Elements and SVG3XMLElement nodes
+function matchesTag(el, tagName) {
+  return tagName === '*' || (el.localName || el.tagName) === tagName;
+}
+
+function findDescendants(el, tagName, result = []) {
+  Array.from(el.children).forEach(child => {
+    if (matchesTag(child, tagName)) result.push(child);
+    findDescendants(child, tagName, result);
+  });
+  return result;
+}
+
+function findDescendant(el, tagName) {
+  return findDescendants(el, tagName)[0] || null;
+}
+
+function findChildren(el, tagNames) {
+  return Array.from(el.children).filter(child => tagNames.some(tag => matchesTag(child, tag)));
+}
+
+function forEachElement(elements, callback) {
+  elements.forEach(element => {
+    callback(element);
+    forEachElement(element.children || [], callback);
+  });
+}
+
+// { targetId, animation } for every animation in the scenes, in document order
+function collectAnimationTracks(scenes) {
+  const tracks = [];
+  scenes.forEach(scene => forEachElement(scene.children || [], element => {
+    element.animations.forEach(animation => tracks.push({ targetId: element.id, animation }));
+  }));
+  return tracks;
+}
+
+// material-override="gold" replaces every material; "bark:darkBark; leaf:autumn" replaces by id
+function parseMaterialOverrides(value) {
+  const overrides = new Map();
+  String(value || '').split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [from, to] = entry.includes(':') ? entry.split(':').map(part => part.trim()) : ['*', entry];
+    overrides.set(from, to);
+  });
+  return overrides;
+}
+
+/**
+ * Copy of a symbol's elements for one <use> instance. Element and animation ids get the
+ * instance prefix, begin values that reference them follow, and materials are overridden.
+ */
+function instantiateSymbol(symbol, instanceId, overrides) {
+  const children = structuredClone(symbol.children);
+  const localIds = new Set();
+  forEachElement(children, element => {
+    localIds.add(element.id);
+    element.animations.forEach(anim => anim.id && localIds.add(anim.id));
+  });
+  const scoped = id => `${instanceId}/${id}`;
+
+  forEachElement(children, element => {
+    element.id = scoped(element.id);
+    if (element.attrs.id !== undefined) element.attrs.id = element.id;
+    if (element.tag === 'mesh') {
+      element.attrs.material = overrides.get(element.attrs.material) ?? overrides.get('*') ?? element.attrs.material;
+    }
+    element.animations.forEach(anim => {
+      if (anim.id) anim.id = scoped(anim.id);
+      anim.begin = scopeBeginList(anim.begin, localIds, scoped);
+    });
+  });
+  return children;
+}
+
+// "spin.end+1s; door.click" with ids inside the symbol rewritten to the instance's ids
+function scopeBeginList(value, localIds, scoped) {
+  return String(value).split(';').map(item => {
+    const trimmed = item.trim();
+    if (/^[+-]?[\d.:]+[a-z]*$/.test(trimmed)) return item;
+    const match = trimmed.match(/^(.+?)\.([A-Za-z]+(?:\(\d+\))?\s*(?:[+-].*)?)$/);
+    return match && localIds.has(match[1]) ? `${scoped(match[1])}.${match[2]}` : item;
+  }).join(';');
+}
+
 // ============================================================================
 // 3. THREE.JS RENDERER - Renders SVG3 scenes with Three.js
 // ============================================================================
 
 export class SVG3ThreeRenderer {
-  constructor(sceneData, canvas) {
+  /**
+   * @param options.rotationInterpolation - 'euler' (default) or 'slerp' for rotation animations
+   * @param options.instancing - Draw meshes that share geometry and material as one instanced
+   *   mesh (default true); touching a mesh's material or geometry takes it out of its batch
+   * @param options.letterbox - Keep the shape of cameras with an aspect attribute or orthographic
+   *   bounds, with bars around it (default false: every camera fills the canvas)
+   */
+  constructor(sceneData, canvas, options = {}) {
     this.sceneData = sceneData;
     this.canvas = canvas;
     this.scene = null;
     this.cameras = new Map();
+    this.activeCamera = null;
+    this.cameraTransition = null;
     this.meshes = new Map();
+    // Meshes, groups and cameras by id: everything animations can target
+    this.objects = new Map();
     this.materials = new Map();
     this.geometries = new Map();
+    this.textures = new Map();
     this.renderer = null;
-    this.animationEngine = new AnimationEngine();
+    this.animationEngine = new AnimationEngine({ rotationInterpolation: options.rotationInterpolation });
     this.rotationControllers = new Map();
+    this.pointerPicker = null;
+    this.lastFrameTime = null;
+    this.instancing = options.instancing !== false;
+    this.letterbox = options.letterbox === true;
+    this.instanceBatches = new Map();
   }
 
   async init() {
@@ -226,8 +746,12 @@ export class SVG3ThreeRenderer {
     // Build scene
     this.scene = new THREE.Scene();
     this.buildGeometries(THREE);
+    // Materials take the texture objects right away; init() resolves once the images are in
+    const texturesLoaded = this.buildTextures(THREE);
     this.buildMaterials(THREE);
+    this.planInstancing();
     this.buildScenes(THREE);
+    this.buildInstances(THREE);
     this.setupAnimations();
 
     // Debug overlay showing canvas and camera info
@@ -253,8 +777,8 @@ export class SVG3ThreeRenderer {
         const w = this.canvas.clientWidth;
         const h = this.canvas.clientHeight;
         const d = window.devicePixelRatio || 1;
-        const cam = Array.from(this.cameras.values())[0];
-        const aspect = cam ? cam.aspect.toFixed(2) : 'n/a';
+        const cam = this.activeCamera;
+        const aspect = cam ? cameraAspect(cam).toFixed(2) : 'n/a';
         const objs = this.meshes.size;
         overlay.innerText = `size: ${w}x${h}\nDPR: ${d}\naspect: ${aspect}\nobjects: ${objs}`;
       };
@@ -269,6 +793,7 @@ export class SVG3ThreeRenderer {
     this._boundOnResize = this.onWindowResize.bind(this);
     window.addEventListener('resize', this._boundOnResize);
 
+    await texturesLoaded;
     return { scene: this.scene, renderer: this.renderer };
   }
 
@@ -276,6 +801,9 @@ export class SVG3ThreeRenderer {
     this.sceneData.defs.geometries.forEach(geom => {
       let geometry;
       const p = geom.params;
+      const n = name => Number(p[name]);
+      // Angles are written in degrees, like rotation attributes
+      const degrees = (name, fallback) => (p[name] === undefined ? fallback : Number(p[name])) * Math.PI / 180;
 
       switch (geom.type) {
         case 'box':
@@ -302,14 +830,121 @@ export class SVG3ThreeRenderer {
             p.radius || 1, p.tube || 0.4, p.radialSegments || 16, p.tubularSegments || 100
           );
           break;
+        case 'mesh':
+          geometry = this.buildInlineGeometry(THREE, geom.data || {});
+          break;
+        case 'cone':
+          geometry = new THREE.ConeGeometry(
+            n('radius') || 1, n('height') || 2, n('radialSegments') || 32, n('heightSegments') || 1,
+            p.openEnded === true || p.openEnded === 'true'
+          );
+          break;
+        case 'circle':
+          geometry = new THREE.CircleGeometry(
+            n('radius') || 1, n('segments') || 32, degrees('thetaStart', 0), degrees('thetaLength', 360)
+          );
+          break;
+        case 'ring':
+          geometry = new THREE.RingGeometry(
+            n('innerRadius') || 0.5, n('outerRadius') || 1, n('thetaSegments') || 32, n('phiSegments') || 1,
+            degrees('thetaStart', 0), degrees('thetaLength', 360)
+          );
+          break;
+        case 'torusKnot':
+          geometry = new THREE.TorusKnotGeometry(
+            n('radius') || 1, n('tube') || 0.4, n('tubularSegments') || 64, n('radialSegments') || 8, n('p') || 2, n('q') || 3
+          );
+          break;
+        case 'tetrahedron':
+          geometry = new THREE.TetrahedronGeometry(n('radius') || 1, n('detail') || 0);
+          break;
+        case 'octahedron':
+          geometry = new THREE.OctahedronGeometry(n('radius') || 1, n('detail') || 0);
+          break;
+        case 'icosahedron':
+          geometry = new THREE.IcosahedronGeometry(n('radius') || 1, n('detail') || 0);
+          break;
+        case 'dodecahedron':
+          geometry = new THREE.DodecahedronGeometry(n('radius') || 1, n('detail') || 0);
+          break;
+        case 'extrude':
+        case 'lathe':
+        case 'capsule':
+        case 'tube':
+          // Built from SVG / SVG3 path data and point lists, shared with the headless exporters
+          // (THREE.CapsuleGeometry is newer than r128)
+          geometry = this.buildInlineGeometry(THREE, tessellateGeometry(geom));
+          break;
         default:
-          geometry = new THREE.BoxGeometry(1, 1, 1);
+          throw unknownGeometryType(geom);
       }
 
       this.geometries.set(geom.id, geometry);
     });
   }
 
+  /**
+   * Build a BufferGeometry from inline <positions>/<normals>/<uvs>/<indices> data
+   */
+  buildInlineGeometry(THREE, data) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(data.positions || [], 3));
+    if (data.normals) geometry.setAttribute('normal', new THREE.Float32BufferAttribute(data.normals, 3));
+    if (data.uvs) geometry.setAttribute('uv', new THREE.Float32BufferAttribute(data.uvs, 2));
+    if (data.indices) geometry.setIndex(data.indices);
+    if (!data.normals) geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  /**
+   * Create a texture for every <texture> def and start loading its image
+   * @returns {Promise} Settles when every image has loaded or failed
+   */
+  buildTextures(THREE) {
+    const wrapModes = {
+      repeat: THREE.RepeatWrapping,
+      clamp: THREE.ClampToEdgeWrapping,
+      mirror: THREE.MirroredRepeatWrapping,
+    };
+    const pair = (value, fallback) => {
+      if (value === undefined) return fallback;
+      const [u, v = u] = String(value).split(',').map(Number);
+      return [u, v];
+    };
+
+    const loads = (this.sceneData.defs.textures || []).map(tex => {
+      const p = tex.params;
+      const texture = new THREE.Texture();
+      texture.name = tex.id;
+      texture.wrapS = wrapModes[p.wrapS] ?? THREE.RepeatWrapping;
+      texture.wrapT = wrapModes[p.wrapT] ?? THREE.RepeatWrapping;
+      texture.repeat.set(...pair(p.repeat, [1, 1]));
+      texture.offset.set(...pair(p.offset, [0, 0]));
+      if (p.flipY !== undefined) texture.flipY = p.flipY !== 'false';
+      if (p.colorSpace) setColorSpace(THREE, texture, p.colorSpace);
+      this.textures.set(tex.id, texture);
+
+      return this.loadImage(THREE, p.href).then(image => {
+        texture.image = image;
+        texture.needsUpdate = true;
+      }, err => {
+        console.warn(`SVG3: texture "${tex.id}" failed to load from "${p.href}"`, err);
+      });
+    });
+    return Promise.all(loads);
+  }
+
+  /**
+   * Load the image behind a texture href (a URL or a data: URI). Override to
+   * supply images another way, e.g. from a bundle.
+   * @returns {Promise} Resolves with the image
+   */
+  loadImage(THREE, href) {
+    return new Promise((resolve, reject) => {
+      new THREE.ImageLoader().load(href, resolve, undefined, reject);
+    });
+  }
+
   buildMaterials(THREE) {
     this.sceneData.defs.materials.forEach(mat => {
       let material;
@@ -342,25 +977,49 @@ export class SVG3ThreeRenderer {
           material = new THREE.MeshBasicMaterial({ color: p.color || 0xffffff });
       }
 
+      if (p.opacity !== undefined) {
+        material.opacity = p.opacity;
+        material.transparent = p.opacity < 1;
+      }
+      this.applyTextures(THREE, mat, material);
+
       this.materials.set(mat.id, material);
     });
   }
 
+  applyTextures(THREE, mat, material) {
+    TEXTURE_SLOTS.forEach(slot => {
+      if (mat.params[slot] === undefined) return;
+      const id = String(mat.params[slot]).replace(/^#/, '');
+      const texture = this.textures.get(id);
+      if (!texture) {
+        console.warn(`SVG3: material "${mat.id}" references unknown texture "${id}"`);
+        return;
+      }
+      if (!(slot in material)) {
+        console.warn(`SVG3: ${mat.type} material "${mat.id}" has no ${slot}`);
+        return;
+      }
+      // Where Three.js manages color (r152+), color images are sRGB unless the <texture> says otherwise
+      const def = this.sceneData.defs.textures.find(tex => tex.id === id);
+      if (COLOR_SLOTS.includes(slot) && !def.params.colorSpace && 'colorSpace' in texture) {
+        setColorSpace(THREE, texture, 'srgb');
+      }
+      material[slot] = texture;
+      if (slot === 'alphaMap') material.transparent = true;
+    });
+  }
+
   buildScenes(THREE) {
     this.sceneData.scenes.forEach(sceneData => {
       this.buildScene(THREE, sceneData);
     });
+    // The first scene camera="..." that exists starts out active, else the first <camera>
+    const named = this.sceneData.scenes.map(scene => scene.camera).find(id => this.cameras.has(id));
+    this.activeCamera = this.cameras.get(named) || this.cameras.values().next().value || null;
   }
 
   buildScene(THREE, sceneData) {
-    // Set up camera
-    const cameraData = sceneData.children?.find(c => c.id === sceneData.camera);
-    if (cameraData) {
-      const camera = this.buildCamera(THREE, cameraData);
-      this.cameras.set(cameraData.id, camera);
-      this.scene.add(camera);
-    }
-
     // Add ambient light
     const ambientLight = new THREE.AmbientLight(0xffffff, sceneData.ambientLight || 0.5);
     this.scene.add(ambientLight);
@@ -381,6 +1040,12 @@ export class SVG3ThreeRenderer {
       return this.buildGroup(THREE, elementData);
     } else if (elementData.tag === 'light') {
       return this.buildLight(THREE, elementData);
+    } else if (elementData.tag === 'camera') {
+      const camera = this.buildCamera(THREE, elementData);
+      camera.name = elementData.id;
+      this.cameras.set(elementData.id, camera);
+      this.objects.set(elementData.id, camera);
+      return camera;
     }
     return null;
   }
@@ -394,15 +1059,19 @@ export class SVG3ThreeRenderer {
       return null;
     }
 
-    const mesh = new THREE.Mesh(geom, mat.clone());
+    // Batched meshes are handles that buildInstances() draws as part of the whole batch
+    const batch = this.instanceBatches.get(instanceKey(meshData.attrs));
+    const instanced = Boolean(batch?.ids.has(meshData.id));
+    const mesh = new THREE.Mesh(geom, instanced ? mat : mat.clone());
     mesh.name = meshData.id;
+    if (instanced) this.addInstanceHandle(batch, mesh);
 
     const pos = meshData.attrs.position || [0, 0, 0];
     const rot = meshData.attrs.rotation || [0, 0, 0];
     const scale = meshData.attrs.scale || [1, 1, 1];
 
     mesh.position.set(...pos);
-    mesh.rotation.order = 'XYZ';
+    mesh.rotation.order = meshData.attrs.rotationOrder || 'XYZ';
     mesh.rotation.set(...rot);
     mesh.scale.set(...scale);
 
@@ -410,9 +1079,135 @@ export class SVG3ThreeRenderer {
     mesh.receiveShadow = meshData.attrs.receiveShadow || false;
 
     this.meshes.set(meshData.id, mesh);
+    this.objects.set(meshData.id, mesh);
+    return mesh;
+  }
+
+  /**
+   * Pick the meshes to draw instanced: leaf meshes that share geometry, material and
+   * shadow flags with at least one other. Meshes with material animations keep their
+   * own material, since instances share one.
+   */
+  planInstancing() {
+    this.instanceBatches.clear();
+    if (!this.instancing) return;
+
+    const animatesMaterial = element => (element.animations || []).some(anim => (
+      this.animationEngine.animationTargets(anim).some(t => MATERIAL_COLORS.includes(t) || MATERIAL_SCALARS.includes(t))
+    ));
+    const candidates = new Map();
+    const visit = element => {
+      const attrs = element.attrs || {};
+      if (element.tag === 'mesh' && !element.children?.length && !animatesMaterial(element) &&
+          this.geometries.has(attrs.geometry) && this.materials.has(attrs.material)) {
+        const key = instanceKey(attrs);
+        if (!candidates.has(key)) candidates.set(key, { attrs, ids: new Set() });
+        candidates.get(key).ids.add(element.id);
+      }
+      element.children?.forEach(visit);
+    };
+    this.sceneData.scenes.forEach(scene => scene.children?.forEach(visit));
+
+    candidates.forEach(({ attrs, ids }, key) => {
+      if (ids.size < MIN_INSTANCES) return;
+      this.instanceBatches.set(key, {
+        geometry: attrs.geometry,
+        material: attrs.material,
+        castShadow: attrs.castShadow || false,
+        receiveShadow: attrs.receiveShadow || false,
+        ids,
+        handles: [],
+        // Handles taken out of the batch (see detachFromBatch())
+        split: new Set(),
+        mesh: null,
+      });
+    });
+  }
+
+  /**
+   * One InstancedMesh per batch at the scene root. updateInstances() copies the world
+   * transform of every handle into it, so animations and controllers keep working.
+   */
+  buildInstances(THREE) {
+    this.hiddenInstanceMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+    this.instanceBatches.forEach(batch => {
+      if (!batch.handles.length) return;
+      const mesh = new THREE.InstancedMesh(
+        this.geometries.get(batch.geometry),
+        this.materials.get(batch.material).clone(),
+        batch.handles.length
+      );
+      mesh.name = `${batch.geometry}|${batch.material}`;
+      mesh.castShadow = batch.castShadow;
+      mesh.receiveShadow = batch.receiveShadow;
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      // The geometry's own bounds say nothing about where the instances are
+      mesh.frustumCulled = false;
+      mesh.userData.instanceHandles = batch.handles;
+      batch.mesh = mesh;
+      this.scene.add(mesh);
+    });
+    this.updateInstances();
+  }
+
+  /**
+   * A batched mesh is left out of drawing and picking (it has no layers) while its
+   * instance stands in for it. Assigning its material or geometry takes it out of the
+   * batch for good, see detachFromBatch(). Reading them does not: the material read
+   * from a batched mesh is the shared one from <defs>.
+   */
+  addInstanceHandle(batch, mesh) {
+    batch.handles.push(mesh);
+    mesh.layers.disableAll();
+    const own = { geometry: mesh.geometry, material: mesh.material };
+    Object.keys(own).forEach(name => {
+      Object.defineProperty(mesh, name, {
+        configurable: true,
+        enumerable: true,
+        get: () => own[name],
+        set: value => {
+          this.splitInstanceHandle(batch, mesh);
+          mesh[name] = value;
+        },
+      });
+    });
+  }
+
+  splitInstanceHandle(batch, mesh) {
+    if (batch.split.has(mesh)) return;
+    const own = { geometry: mesh.geometry, material: mesh.material.clone() };
+    batch.split.add(mesh);
+    Object.keys(own).forEach(name => {
+      Object.defineProperty(mesh, name, { value: own[name], writable: true, configurable: true, enumerable: true });
+    });
+    mesh.layers.enableAll();
+  }
+
+  /**
+   * Take a batched mesh out of its batch, so it draws itself with a material of its own
+   * that can be changed in place. Returns the mesh; meshes outside a batch are returned as is.
+   */
+  detachFromBatch(id) {
+    const mesh = this.meshes.get(id);
+    this.instanceBatches.forEach(batch => {
+      if (batch.handles.includes(mesh)) this.splitInstanceHandle(batch, mesh);
+    });
     return mesh;
   }
 
+  updateInstances() {
+    if (!this.instanceBatches.size) return;
+    this.scene.updateMatrixWorld();
+    this.instanceBatches.forEach(({ mesh, handles, split }) => {
+      if (!mesh) return;
+      handles.forEach((handle, i) => {
+        const shown = isShown(handle) && !split.has(handle);
+        mesh.setMatrixAt(i, shown ? handle.matrixWorld : this.hiddenInstanceMatrix);
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+    });
+  }
+
   buildGroup(THREE, groupData) {
     const group = new THREE.Group();
     group.name = groupData.id;
@@ -422,11 +1217,12 @@ export class SVG3ThreeRenderer {
     const scale = groupData.attrs?.scale || [1, 1, 1];
 
     group.position.set(...pos);
-    group.rotation.order = 'XYZ';
+    group.rotation.order = groupData.attrs?.rotationOrder || 'XYZ';
     group.rotation.set(...rot);
     group.scale.set(...scale);
 
     this.meshes.set(groupData.id, group);
+    this.objects.set(groupData.id, group);
 
     groupData.children?.forEach(child => {
       const obj = this.buildElement(THREE, child);
@@ -436,21 +1232,124 @@ export class SVG3ThreeRenderer {
     return group;
   }
 
+  /**
+   * Perspective (default) or orthographic camera. An orthographic camera without
+   * left/right/top/bottom spans y -1..1 and the aspect ratio in x; zoom magnifies either type.
+   */
   buildCamera(THREE, cameraData) {
     const attrs = cameraData.attrs;
-    const camera = new THREE.PerspectiveCamera(
-      attrs.fov || 75,
-      this.canvas.clientWidth / this.canvas.clientHeight,
-      attrs.near || 0.1,
-      attrs.far || 1000
-    );
+    const near = attrs.near ?? 0.1;
+    const far = attrs.far ?? 1000;
+    let camera;
+    if (attrs.type === 'orthographic') {
+      const bounds = ['left', 'right', 'top', 'bottom'].every(name => attrs[name] !== undefined);
+      camera = bounds
+        ? new THREE.OrthographicCamera(attrs.left, attrs.right, attrs.top, attrs.bottom, near, far)
+        : new THREE.OrthographicCamera(-1, 1, 1, -1, near, far);
+      // Explicit bounds fix the frustum; otherwise it follows the canvas like a perspective camera
+      camera.userData.fitsCanvas = !bounds;
+    } else {
+      camera = new THREE.PerspectiveCamera(attrs.fov || 75, 1, near, far);
+      camera.userData.fitsCanvas = true;
+    }
+    // aspect="16/9" keeps that ratio whatever the canvas shape
+    camera.userData.aspect = attrs.aspect;
+    camera.zoom = attrs.zoom ?? 1;
+    this.fitCamera(camera);
 
     const pos = attrs.position || [0, 0, 5];
     camera.position.set(...pos);
+    camera.rotation.order = attrs.rotationOrder || 'XYZ';
+    camera.rotation.set(...(attrs.rotation || [0, 0, 0]));
 
     return camera;
   }
 
+  // Match a camera's aspect ratio to its aspect attribute or the canvas
+  fitCamera(camera) {
+    if (camera.userData.fitsCanvas) {
+      const aspect = (this.letterbox && camera.userData.aspect)
+        || Math.max(1, this.canvas.clientWidth) / Math.max(1, this.canvas.clientHeight);
+      if (camera.isOrthographicCamera) {
+        const halfWidth = (camera.top - camera.bottom) / 2 * aspect;
+        camera.left = -halfWidth;
+        camera.right = halfWidth;
+      } else {
+        camera.aspect = aspect;
+      }
+    }
+    camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Render through another <camera>. With options.duration (seconds) the view
+   * moves there, easing in and out; fov, zoom and frustum blend when both
+   * cameras have the same type.
+   * @returns {object|null} The camera, or null for an unknown id
+   */
+  setActiveCamera(id, options = {}) {
+    const camera = this.cameras.get(id);
+    if (!camera) {
+      console.warn(`Camera ${id} not found`);
+      return null;
+    }
+
+    const from = this.getRenderCamera();
+    const duration = options.duration || 0;
+    this.activeCamera = camera;
+    this.cameraTransition = duration > 0 && from && from !== camera
+      ? { from, to: camera, view: camera.clone(false), elapsed: 0, duration }
+      : null;
+    return camera;
+  }
+
+  /**
+   * Canvas area (CSS pixels) a camera draws into. Cameras with a fixed aspect
+   * ratio are letterboxed with options.letterbox, otherwise every camera fills the canvas.
+   */
+  viewportOf(camera) {
+    const width = Math.max(1, Math.floor(this.canvas.clientWidth));
+    const height = Math.max(1, Math.floor(this.canvas.clientHeight));
+    return letterbox(width, height, this.letterbox ? cameraAspect(camera) : width / height);
+  }
+
+  // The camera frames are drawn with: the active one, or the in-between view of a transition
+  getRenderCamera() {
+    return this.cameraTransition ? this.cameraTransition.view : this.activeCamera;
+  }
+
+  updateCameraTransition(delta) {
+    const transition = this.cameraTransition;
+    if (!transition) return;
+    transition.elapsed += delta;
+    const t = Math.min(1, transition.elapsed / transition.duration);
+    const k = t * t * (3 - 2 * t);
+
+    const { from, to, view } = transition;
+    const THREE = window.THREE;
+    // Both ends may be animated or parented, so blend their current world transforms
+    const ends = [from, to].map(camera => {
+      camera.updateWorldMatrix(true, false);
+      const end = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() };
+      camera.matrixWorld.decompose(end.position, end.quaternion, end.scale);
+      return end;
+    });
+
+    view.copy(to, false);
+    view.position.lerpVectors(ends[0].position, ends[1].position, k);
+    view.quaternion.slerpQuaternions(ends[0].quaternion, ends[1].quaternion, k);
+    view.scale.lerpVectors(ends[0].scale, ends[1].scale, k);
+    if (from.type === to.type) {
+      const blended = to.isOrthographicCamera ? ['left', 'right', 'top', 'bottom'] : ['fov', 'aspect'];
+      [...blended, 'zoom', 'near', 'far'].forEach(name => {
+        view[name] = from[name] + (to[name] - from[name]) * k;
+      });
+    }
+    view.updateProjectionMatrix();
+
+    if (t >= 1) this.cameraTransition = null;
+  }
+
   buildLight(THREE, lightData) {
     const attrs = lightData.attrs;
     const color = attrs.color || 0xffffff;
@@ -482,6 +1381,35 @@ export class SVG3ThreeRenderer {
     this.sceneData.animations.forEach(track => {
       this.animationEngine.registerAnimation(track.targetId, track.animation);
     });
+    // Event begin values (begin="door.click") need pointer hits from the canvas
+    if (this.animationEngine.usesEvents()) {
+      this.pointerPicker = new PointerPicker(this.canvas, this);
+    }
+  }
+
+  /**
+   * Topmost object under a point in normalized device coordinates (-1..1), or null
+   */
+  pick(x, y) {
+    const THREE = window.THREE;
+    const camera = this.getRenderCamera();
+    if (!camera) return null;
+
+    // Canvas coordinates -> the camera's (possibly letterboxed) viewport
+    const width = Math.max(1, Math.floor(this.canvas.clientWidth));
+    const height = Math.max(1, Math.floor(this.canvas.clientHeight));
+    const view = this.viewportOf(camera);
+    const viewX = (((x + 1) / 2 * width - view.x) / view.width) * 2 - 1;
+    const viewY = (((y + 1) / 2 * height - view.y) / view.height) * 2 - 1;
+    if (Math.abs(viewX) > 1 || Math.abs(viewY) > 1) return null;
+
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(viewX, viewY), camera);
+    // A hit on an instanced mesh stands for the handle of that instance
+    const hitObject = h => (h.instanceId !== undefined ? h.object.userData.instanceHandles[h.instanceId] : null);
+    const hit = raycaster.intersectObject(this.scene, true)
+      .find(h => (hitObject(h) ? isShown(hitObject(h)) : h.object.visible));
+    return hit ? hitObject(hit) || hit.object : null;
   }
 
   setupRotationControl(objectId, sensitivity = 0.01) {
@@ -496,19 +1424,73 @@ export class SVG3ThreeRenderer {
     return controller;
   }
 
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  animate(timestamp) {
+    requestAnimationFrame(t => this.animate(t));
 
-    // Update animations
-    this.animationEngine.update(0.016, this.meshes);
+    // Update animations by the real time since the last frame
+    const delta = this.frameDelta(timestamp);
+    this.animationEngine.tick(delta, this.objects);
+    this.updateInstances();
+    // Camera transitions run in real time, also while the timeline is paused
+    this.updateCameraTransition(delta);
 
     // Render
-    const camera = Array.from(this.cameras.values())[0];
+    const camera = this.getRenderCamera();
     if (camera) {
+      const view = this.viewportOf(camera);
+      this.renderer.setViewport(view.x, view.y, view.width, view.height);
       this.renderer.render(this.scene, camera);
     }
   }
 
+  // Timeline - delegates to the AnimationEngine clock
+
+  play() {
+    this.animationEngine.play();
+  }
+
+  pause() {
+    this.animationEngine.pause();
+  }
+
+  /**
+   * Show the scene as it is `seconds` into its animations
+   */
+  seek(seconds) {
+    this.animationEngine.seek(seconds, this.objects);
+  }
+
+  setPlaybackRate(rate) {
+    this.animationEngine.setPlaybackRate(rate);
+  }
+
+  getCurrentTime() {
+    return this.animationEngine.getCurrentTime();
+  }
+
+  getDuration() {
+    return this.animationEngine.getDuration();
+  }
+
+  /**
+   * Listen for animation time events: 'beginEvent', 'endEvent' or 'repeatEvent'.
+   * Listeners get an SVG3TimeEvent with targetId, attributeName and time.
+   */
+  addEventListener(type, listener, options) {
+    this.animationEngine.addEventListener(type, listener, options);
+  }
+
+  removeEventListener(type, listener, options) {
+    this.animationEngine.removeEventListener(type, listener, options);
+  }
+
+  // Seconds since the previous frame (0 on the first one)
+  frameDelta(timestamp = performance.now()) {
+    const delta = this.lastFrameTime === null ? 0 : (timestamp - this.lastFrameTime) / 1000;
+    this.lastFrameTime = timestamp;
+    return delta;
+  }
+
   onWindowResize() {
     const width = Math.max(1, Math.floor(this.canvas.clientWidth));
     const height = Math.max(1, Math.floor(this.canvas.clientHeight));
@@ -520,10 +1502,9 @@ export class SVG3ThreeRenderer {
     this.canvas.style.width = width + 'px';
     this.canvas.style.height = height + 'px';
 
-    this.cameras.forEach(camera => {
-      camera.aspect = width / height;
-      camera.updateProjectionMatrix();
-    });
+    this.cameras.forEach(camera => this.fitCamera(camera));
+    // A running transition blends the refitted cameras again
+    this.updateCameraTransition(0);
 
     this.renderer.setPixelRatio(dpr);
     this.renderer.setSize(width, height, false);
@@ -534,81 +1515,994 @@ export class SVG3ThreeRenderer {
   dispose() {
     this.geometries.forEach(geom => geom.dispose());
     this.materials.forEach(mat => mat.dispose());
+    this.textures.forEach(texture => texture.dispose());
+    this.instanceBatches.forEach(({ mesh, split }) => {
+      split.forEach(handle => {
+        handle.material.dispose();
+        handle.geometry.dispose();
+      });
+      mesh?.material.dispose();
+      mesh?.dispose();
+    });
     this.renderer.dispose();
   }
 }
 
-export class AnimationEngine {
-  constructor() {
+// Width / height of a perspective or orthographic camera's view
+function cameraAspect(camera) {
+  return camera.isOrthographicCamera
+    ? (camera.right - camera.left) / (camera.top - camera.bottom)
+    : camera.aspect;
+}
+
+// Material attributes that take a texture id, in the order SVG3ThreeRenderer assigns them
+const TEXTURE_SLOTS = ['map', 'normalMap', 'roughnessMap', 'emissiveMap', 'alphaMap'];
+// Slots holding colors rather than data, so their images default to sRGB
+const COLOR_SLOTS = ['map', 'emissiveMap'];
+
+/**
+ * 'srgb' or 'linear'. Three.js r152+ names this texture.colorSpace, older
+ * releases texture.encoding.
+ */
+function setColorSpace(THREE, texture, colorSpace) {
+  const srgb = colorSpace === 'srgb';
+  if ('colorSpace' in texture) {
+    texture.colorSpace = srgb ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace;
+  } else {
+    texture.encoding = srgb ? THREE.sRGBEncoding : THREE.LinearEncoding;
+  }
+}
+
+// Fewest meshes sharing geometry and material that SVG3ThreeRenderer draws instanced
+const MIN_INSTANCES = 2;
+
+function instanceKey(attrs) {
+  return [attrs.geometry, attrs.material, Boolean(attrs.castShadow), Boolean(attrs.receiveShadow)].join('|');
+}
+
+// Hidden itself or through a parent
+function isShown(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+// Seconds per SMIL clock-value metric
+const TIME_UNITS = { h: 3600, min: 60, s: 1, ms: 0.001 };
+
+// Upper bound on syncbase resolution passes per frame (guards zero-duration cycles)
+const MAX_SYNC_PASSES = 1000;
+
+// Mesh material attributes that can be animated besides the rotation / position / scale transforms
+const MATERIAL_COLORS = ['color', 'emissive'];
+const MATERIAL_SCALARS = ['opacity', 'emissiveIntensity', 'metalness', 'roughness', 'shininess'];
+
+// THREE.SRGBColorSpace: animated colors are sRGB, like the markup, also where Three.js r152+
+// keeps THREE.Color in linear space (older releases ignore it)
+const SRGB = 'srgb';
+
+// Object property each <animateTransform type="..."> drives
+const TRANSFORM_ATTRIBUTES = { translate: 'position', rotate: 'rotation', scale: 'scale' };
+
+/**
+ * SMIL-style time event (beginEvent, endEvent or repeatEvent) dispatched by AnimationEngine
+ */
+export class SVG3TimeEvent extends Event {
+  /**
+   * @param detail.targetId - Id of the animated object
+   * @param detail.attributeName - Object property the animation drives (position, color, ...)
+   * @param detail.animationId - id attribute of the animation element, or null
+   * @param detail.time - Document time of the event in seconds
+   * @param detail.iteration - Repeat iteration (0 for beginEvent)
+   */
+  constructor(type, { targetId, attributeName, animationId = null, time, iteration = 0 }) {
+    super(type);
+    this.targetId = targetId;
+    this.attributeName = attributeName;
+    this.animationId = animationId;
+    this.time = time;
+    this.iteration = iteration;
+  }
+}
+
+/**
+ * Dispatches SVG3TimeEvent beginEvent / endEvent / repeatEvent as playback crosses them
+ */
+export class AnimationEngine extends EventTarget {
+  /**
+   * @param options.rotationInterpolation - 'euler' (default) interpolates rotation angles one by
+   *   one; 'slerp' goes through quaternions. Animations can override it with rotationInterpolation.
+   */
+  constructor(options = {}) {
+    super();
+    this.rotationInterpolation = options.rotationInterpolation || 'euler';
     this.activeAnimations = new Map();
+    this.animationsById = new Map();
+    // Per animated object property: the value underneath all its animations
+    this.sandwiches = new Map();
+    this.eventLog = [];
+    this.eventCursor = 0;
+    this.resolvedTime = -Infinity;
+    // Time events up to this document time have been dispatched
+    this.dispatchedTime = -Infinity;
+    // Intervals begun at or before dispatchedTime whose time events are still owed
+    this.lateBegins = [];
     this.clock = { time: 0, delta: 0 };
+    this.playing = true;
+    this.playbackRate = 1;
   }
 
+  /**
+   * Parse a SMIL clock value: "2s", "150ms", "1.5min", "0.5h", "01:30", "00:01:30.5"
+   * or "indefinite" (Infinity). Unparseable values are 0.
+   */
   parseTime(timeStr) {
-    const match = timeStr.match(/^([\d.]+)(s|ms)?$/);
+    const text = String(timeStr ?? '').trim();
+    if (text === 'indefinite') return Infinity;
+
+    const clock = text.match(/^([+-])?(?:(\d+):)?(\d+):(\d{2}(?:\.\d+)?)$/);
+    if (clock) {
+      const seconds = (parseInt(clock[2] || '0', 10) * 60 + parseInt(clock[3], 10)) * 60 + parseFloat(clock[4]);
+      return clock[1] === '-' ? -seconds : seconds;
+    }
+
+    const match = text.match(/^([+-])?(\d+(?:\.\d*)?|\.\d+)(h|min|s|ms)?$/);
     if (!match) return 0;
-    const value = parseFloat(match[1]);
-    const unit = match[2] || 's';
-    return unit === 'ms' ? value / 1000 : value;
+    const value = parseFloat(match[2]) * TIME_UNITS[match[3] || 's'];
+    return match[1] === '-' ? -value : value;
   }
 
+  /**
+   * Add an animation of a scene object. Several animations may drive the same
+   * property; they are layered in begin / document order (see evaluate()).
+   */
   registerAnimation(targetId, animationData) {
-    const key = `${targetId}-${animationData.attributeName}`;
-    this.activeAnimations.set(key, {
+    const targets = this.animationTargets(animationData);
+    const order = this.activeAnimations.size;
+    const key = `${targetId}-${targets.join('+')}-${order}`;
+    const anim = {
       targetId,
       ...animationData,
-      startTime: this.parseTime(animationData.begin),
+      targets,
+      order,
+      beginConditions: this.parseBeginList(animationData.begin, targetId),
+      beginTimes: [],
+      startTime: 0,
       duration: this.parseTime(animationData.dur),
+      repeatDuration: 0,
+      activeDuration: 0,
       startValue: null,
       targetValue: null,
       isActive: false,
       hasStarted: false,
       elapsed: 0,
+    };
+    // Offset begin values are known up front; syncbase and event values resolve while playing
+    anim.beginConditions.forEach(condition => {
+      if (condition.type === 'offset') this.addBeginTime(anim, condition.offset);
+    });
+    this.eventLog.forEach(event => this.addEventInstances(anim, event));
+    anim.startTime = anim.beginTimes.length ? anim.beginTimes[0] : Infinity;
+    anim.isDynamic = anim.beginConditions.some(condition => condition.type !== 'offset');
+
+    this.resolveActiveDuration(anim);
+    anim.keyframes = this.prepareKeyframes(anim);
+    this.activeAnimations.set(key, anim);
+    if (anim.id) this.animationsById.set(anim.id, anim);
+    // Syncbase values may now point at this animation's past intervals
+    this.resolvedTime = -Infinity;
+  }
+
+  /**
+   * Object properties an animation drives: its attributeName, the property of an
+   * <animateTransform type>, or position (plus rotation with rotate="auto") for
+   * <animateMotion>
+   */
+  animationTargets(anim) {
+    if (anim.type === 'animateMotion') {
+      return anim.rotate === 'auto' || anim.rotate === 'auto-reverse' ? ['position', 'rotation'] : ['position'];
+    }
+    if (anim.type === 'animateTransform' && TRANSFORM_ATTRIBUTES[anim.transformType]) {
+      return [TRANSFORM_ATTRIBUTES[anim.transformType]];
+    }
+    return [anim.attributeName];
+  }
+
+  /**
+   * Parse a SMIL begin list, e.g. "0s; spin.end+0.5s; door.click; intro.repeat(2)"
+   * @returns {object[]} Conditions of type offset, syncbase, repeat, event or indefinite
+   */
+  parseBeginList(value, targetId) {
+    return String(value ?? '0s').split(';').map(item => item.trim()).filter(Boolean).map(item => {
+      if (item === 'indefinite') return { type: 'indefinite' };
+      if (/^[+-]?[\d.:]+[a-z]*$/.test(item)) return { type: 'offset', offset: this.parseTime(item) };
+
+      const match = item.match(/^(?:(.+?)\.)?([A-Za-z]+)(?:\((\d+)\))?\s*(?:([+-])\s*(.+))?$/);
+      if (!match) return { type: 'offset', offset: 0 };
+      const [, id, name, iteration, sign, offsetText] = match;
+      const offset = offsetText ? this.parseTime(offsetText) * (sign === '-' ? -1 : 1) : 0;
+
+      if (id && (name === 'begin' || name === 'end')) return { type: 'syncbase', id, event: name, offset };
+      if (id && name === 'repeat' && iteration) return { type: 'repeat', id, iteration: parseInt(iteration, 10), offset };
+      // Event values without an element id listen on the animated element itself
+      return { type: 'event', id: id || targetId, event: name, offset };
+    });
+  }
+
+  /**
+   * Record a DOM-style event (click, mouseenter, ...) on a scene object at the
+   * current time, starting any animation whose begin waits for it
+   */
+  triggerEvent(targetId, eventType, time = this.clock.time) {
+    // Animations it begins right now still get their beginEvent on the next update
+    this.eventLog.push({ targetId, eventType, time });
+  }
+
+  usesEvents() {
+    return [...this.activeAnimations.values()].some(anim =>
+      anim.beginConditions.some(condition => condition.type === 'event'));
+  }
+
+  /**
+   * SMIL active duration: repeatCount / repeatDur, clipped by end and
+   * constrained by min / max. Sets anim.repeatDuration and anim.activeDuration.
+   */
+  resolveActiveDuration(anim) {
+    const repeatCount = anim.repeatCount === 'indefinite' ? Infinity : parseFloat(anim.repeatCount);
+    const hasRepeatCount = Number.isFinite(repeatCount) ? repeatCount > 0 : repeatCount === Infinity;
+    const hasRepeatDur = anim.repeatDur !== null && anim.repeatDur !== undefined;
+
+    let active = anim.duration;
+    if (hasRepeatCount || hasRepeatDur) {
+      active = Math.min(
+        hasRepeatCount ? anim.duration * repeatCount : Infinity,
+        hasRepeatDur ? this.parseTime(anim.repeatDur) : Infinity
+      );
+    }
+    anim.repeatDuration = active;
+    anim.endTime = anim.end !== null && anim.end !== undefined ? this.parseTime(anim.end) : Infinity;
+    anim.minDuration = anim.min ? this.parseTime(anim.min) : 0;
+    anim.maxDuration = anim.max ? this.parseTime(anim.max) : Infinity;
+
+    anim.activeDuration = this.activeDurationFrom(anim, anim.startTime);
+    return anim.activeDuration;
+  }
+
+  // Active duration of an interval starting at `begin` (end is an absolute time)
+  activeDurationFrom(anim, begin) {
+    const active = Math.min(anim.repeatDuration, Math.max(0, anim.endTime - begin));
+    const { minDuration: min, maxDuration: max } = anim;
+    return min <= max ? Math.min(Math.max(active, min), max) : active;
+  }
+
+  /**
+   * Resolve syncbase, repeat and event begin values into begin times up to `time`.
+   * Chains (a.end -> b.begin -> a.begin ...) are followed until nothing new resolves;
+   * intervals already resolved on an earlier frame are not revisited.
+   * @returns {boolean} False when a cycle kept producing begin times (capped)
+   */
+  resolveBeginTimes(time) {
+    const dynamic = [...this.activeAnimations.values()].filter(anim => anim.isDynamic);
+    const since = this.resolvedTime;
+    const events = this.eventLog.slice(this.eventCursor);
+    this.eventCursor = this.eventLog.length;
+    this.resolvedTime = time;
+    if (!dynamic.length) return true;
+
+    // New begin times the dispatch cursor has already passed: events at the current time,
+    // and the syncbase instances that follow from them frame by frame (after a seek every
+    // syncbase instance is found again, silently)
+    const late = (anim, begin) => {
+      if (begin <= this.dispatchedTime) this.lateBegins.push({ anim, begin });
+    };
+    const incremental = since >= this.dispatchedTime;
+    events.forEach(event => dynamic.forEach(anim => {
+      this.addEventInstances(anim, event).forEach(begin => late(anim, begin));
+    }));
+
+    let settled = false;
+    for (let pass = 0; pass < MAX_SYNC_PASSES && !settled; pass++) {
+      let changed = false;
+      dynamic.forEach(anim => {
+        anim.beginConditions.forEach(condition => {
+          const source = this.animationsById.get(condition.id);
+          if (!source || (condition.type !== 'syncbase' && condition.type !== 'repeat')) return;
+
+          // A positive offset makes instances from older intervals come due now
+          this.intervalsOf(source, time, since - Math.max(0, condition.offset)).forEach(interval => {
+            let instance = null;
+            if (condition.type === 'repeat') {
+              const offset = condition.iteration * source.duration;
+              if (offset > 0 && offset < interval.end - interval.begin) instance = interval.begin + offset;
+            } else {
+              instance = condition.event === 'begin' ? interval.begin : interval.end;
+            }
+            if (instance === null || !Number.isFinite(instance)) return;
+            instance += condition.offset;
+            if (instance <= time && this.addBeginTime(anim, instance)) {
+              changed = true;
+              if (incremental) late(anim, instance);
+            }
+          });
+        });
+      });
+      settled = !changed;
+    }
+
+    dynamic.forEach(anim => {
+      anim.startTime = anim.beginTimes.length ? anim.beginTimes[0] : Infinity;
     });
+    return settled;
+  }
+
+  /**
+   * @returns {number[]} The begin times the event added
+   */
+  addEventInstances(anim, event) {
+    const added = [];
+    anim.beginConditions.forEach(condition => {
+      if (condition.type === 'event' && condition.id === event.targetId && condition.event === event.eventType) {
+        const begin = event.time + condition.offset;
+        if (this.addBeginTime(anim, begin)) added.push(begin);
+      }
+    });
+    return added;
+  }
+
+  /**
+   * Insert a begin time, keeping anim.beginTimes sorted and unique
+   * @returns {boolean} Whether the time was new
+   */
+  addBeginTime(anim, time) {
+    const times = anim.beginTimes;
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] < time) lo = mid + 1; else hi = mid;
+    }
+    if (lo < times.length && Math.abs(times[lo] - time) < 1e-9) return false;
+    if (lo > 0 && Math.abs(times[lo - 1] - time) < 1e-9) return false;
+    times.splice(lo, 0, time);
+    return true;
   }
 
+  /**
+   * Intervals [begin, end] of an animation that begin by `time` and end at or
+   * after `since`. A later begin restarts the animation and cuts the previous
+   * interval short.
+   */
+  intervalsOf(anim, time, since = -Infinity) {
+    const begins = anim.beginTimes;
+    const intervals = [];
+    for (let i = this.lastBeginIndex(anim, time); i >= 0; i--) {
+      const begin = begins[i];
+      const end = Math.min(begin + this.activeDurationFrom(anim, begin), begins[i + 1] ?? Infinity);
+      // Interval ends only grow with their begins, so everything earlier is older still
+      if (end < since) break;
+      intervals.unshift({ begin, end });
+    }
+    return intervals;
+  }
+
+  lastBeginIndex(anim, time) {
+    let i = anim.beginTimes.length - 1;
+    while (i >= 0 && anim.beginTimes[i] > time) i--;
+    return i;
+  }
+
+  /**
+   * Where an animation is at document time `time`
+   * @returns {{ phase: 'before'|'active'|'after', progress: number, iteration: number, begin: number }}
+   */
+  sampleTiming(anim, time) {
+    // The latest begin at or before `time` owns the current interval
+    const index = this.lastBeginIndex(anim, time);
+    if (index < 0) return { phase: 'before', progress: 0, iteration: 0, begin: null };
+    const begin = anim.beginTimes[index];
+
+    const activeDuration = this.activeDurationFrom(anim, begin);
+    const phase = time - begin < activeDuration ? 'active' : 'after';
+    // Past the repeat duration (e.g. an active duration extended by min) the last value holds
+    const elapsed = phase === 'active' ? time - begin : activeDuration;
+    const local = Math.min(elapsed, anim.repeatDuration);
+    const frozen = phase === 'after' || elapsed >= anim.repeatDuration;
+    const duration = anim.duration;
+
+    if (duration === Infinity) return { phase, progress: 0, iteration: 0, begin };
+    if (duration <= 0) return { phase, progress: 1, iteration: 0, begin };
+
+    let iteration = Math.floor(local / duration);
+    let progress = local / duration - iteration;
+    // A frozen animation that ends on an iteration boundary holds its last value
+    if (frozen && local > 0 && progress < 1e-9) {
+      iteration -= 1;
+      progress = 1;
+    }
+    return { phase, progress, iteration, begin };
+  }
+
+  /**
+   * Advance document time by `deltaTime` seconds and apply every track,
+   * regardless of play state or playback rate (see tick() for wall-clock playback)
+   */
   update(deltaTime, objects) {
     this.clock.time += deltaTime;
     this.clock.delta = deltaTime;
+    this.evaluate(objects);
+    const late = this.lateBegins;
+    this.lateBegins = [];
+    this.dispatchTimeEvents(this.dispatchedTime, this.clock.time, late);
+    this.dispatchedTime = this.clock.time;
+  }
+
+  /**
+   * Dispatch the begin, repeat and end events of every interval boundary in
+   * (from, to], in time order, even when one frame skips over several. `late`
+   * lists intervals ({ anim, begin }) begun at or before `from` after it was
+   * dispatched; their boundaries up to `from` are dispatched too, once.
+   */
+  dispatchTimeEvents(from, to, late = []) {
+    const events = [];
+    if (to > from) {
+      this.activeAnimations.forEach(anim => {
+        this.intervalsOf(anim, to, from).forEach(interval => {
+          this.collectTimeEvents(anim, interval, from, to, events);
+        });
+      });
+    }
+
+    late.forEach(({ anim, begin }) => {
+      this.intervalsOf(anim, from, begin).forEach(interval => {
+        if (interval.begin === begin) {
+          this.collectTimeEvents(anim, interval, begin - 1e-9, from, events);
+        } else if (interval.end === begin && interval.begin + this.activeDurationFrom(anim, interval.begin) > from) {
+          // The restart cut short an interval whose end was still to come
+          events.push({ type: 'endEvent', time: begin, anim, iteration: 0 });
+        }
+      });
+    });
+
+    events.sort((a, b) => a.time - b.time);
+    events.forEach(({ type, time, anim, iteration }) => {
+      this.dispatchEvent(new SVG3TimeEvent(type, {
+        targetId: anim.targetId,
+        attributeName: anim.targets[0],
+        animationId: anim.id || null,
+        time,
+        iteration,
+      }));
+    });
+  }
+
+  // Begin, repeat and end events of one interval that fall in (from, to]
+  collectTimeEvents(anim, { begin, end }, from, to, events) {
+    const within = time => time > from && time <= to;
+    const add = (type, time, iteration) => events.push({ type, time, anim, iteration });
+    if (within(begin)) add('beginEvent', begin, 0);
+
+    // Repeats start every simple duration until the repeat duration (or the interval) runs out
+    const duration = anim.duration;
+    if (duration > 0 && Number.isFinite(duration)) {
+      const repeatEnd = Math.min(end, begin + anim.repeatDuration);
+      for (let iteration = Math.max(1, Math.floor((from - begin) / duration) + 1); ; iteration++) {
+        const time = begin + iteration * duration;
+        if (time >= repeatEnd || time > to) break;
+        if (within(time)) add('repeatEvent', time, iteration);
+      }
+    }
+
+    if (within(end)) add('endEvent', end, 0);
+  }
+
+  /**
+   * Advance by a real elapsed time in seconds, scaled by the playback rate.
+   * Does nothing while paused.
+   */
+  tick(realDelta, objects) {
+    if (!this.playing || realDelta <= 0) return;
+    const delta = realDelta * this.playbackRate;
+    if (delta >= 0) {
+      this.update(delta, objects);
+    } else {
+      // Reverse playback re-evaluates from scratch, like a scrubber moving left
+      this.seek(Math.max(0, this.clock.time + delta), objects);
+    }
+  }
+
+  play() {
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Playback speed multiplier: 1 is real time, 0.5 half speed, negative plays backwards
+   */
+  setPlaybackRate(rate) {
+    if (!Number.isFinite(rate)) throw new Error(`Invalid playback rate: ${rate}`);
+    this.playbackRate = rate;
+  }
+
+  getPlaybackRate() {
+    return this.playbackRate;
+  }
+
+  getCurrentTime() {
+    return this.clock.time;
+  }
+
+  /**
+   * Jump to document time `seconds` and evaluate every track there. The result
+   * only depends on the target time (and the recorded pointer events), not on
+   * the frames played before, so it can back a scrubber.
+   */
+  seek(seconds, objects) {
+    if (!Number.isFinite(seconds)) throw new Error(`Invalid seek time: ${seconds}`);
+
+    // Syncbase begin times are re-derived; event begin times replay from the log
+    this.eventCursor = this.eventLog.length;
+    this.resolvedTime = -Infinity;
+    this.activeAnimations.forEach(anim => {
+      anim.beginTimes = [];
+      anim.beginConditions.forEach(condition => {
+        if (condition.type === 'offset') this.addBeginTime(anim, condition.offset);
+      });
+      this.eventLog.forEach(event => this.addEventInstances(anim, event));
+    });
 
-    this.activeAnimations.forEach((anim, key) => {
+    this.clock.time = Math.max(0, seconds);
+    this.clock.delta = 0;
+    // Seeking is silent; boundaries at the new time itself still fire on the next update
+    this.dispatchedTime = this.clock.time - 1e-9;
+    this.lateBegins = [];
+    if (objects) this.evaluate(objects);
+  }
+
+  /**
+   * End of the last animation in seconds, Infinity when one runs indefinitely.
+   * Animations that only begin on pointer events are not counted.
+   */
+  getDuration() {
+    // Resolve on a scratch engine so predicted begin times don't leak into playback
+    const engine = new AnimationEngine();
+    this.activeAnimations.forEach(anim => engine.registerAnimation(anim.targetId, anim));
+    // Follow syncbase chains (a.end -> b.begin) as if the timeline played forever;
+    // a chain that loops back on itself never ends
+    if (!engine.resolveBeginTimes(Infinity)) return Infinity;
+
+    let end = 0;
+    engine.activeAnimations.forEach(anim => {
+      engine.intervalsOf(anim, Infinity).forEach(interval => {
+        end = Math.max(end, interval.begin + engine.activeDurationFrom(anim, interval.begin));
+      });
+    });
+    return end;
+  }
+
+  /**
+   * Drop every animation, recorded event and the clock, e.g. before loading another scene
+   */
+  reset() {
+    this.activeAnimations.clear();
+    this.animationsById.clear();
+    this.sandwiches.clear();
+    this.eventLog = [];
+    this.eventCursor = 0;
+    this.resolvedTime = -Infinity;
+    this.dispatchedTime = -Infinity;
+    this.lateBegins = [];
+    this.clock = { time: 0, delta: 0 };
+  }
+
+  /**
+   * Sample every track at the current clock time and write the values to the objects.
+   * The animations on one object property form a SMIL sandwich: from the value
+   * underneath, each active or frozen animation either replaces the result so far
+   * or, with additive="sum", adds to it. Later begins sit higher; equal begins
+   * keep document order.
+   */
+  evaluate(objects) {
+    this.resolveBeginTimes(this.clock.time);
+
+    const layers = new Map();
+    this.activeAnimations.forEach(anim => {
       const obj = objects.get(anim.targetId);
       if (!obj) return;
 
-      if (!anim.hasStarted && this.clock.time >= anim.startTime) {
-        anim.hasStarted = true;
-        anim.isActive = true;
+      const timing = this.sampleTiming(anim, this.clock.time);
+      anim.hasStarted = timing.phase !== 'before';
+      anim.isActive = timing.phase === 'active';
+      if (timing.begin !== null) {
+        anim.startTime = timing.begin;
+        anim.activeDuration = this.activeDurationFrom(anim, timing.begin);
       }
+      anim.elapsed = anim.hasStarted ? Math.min(this.clock.time - anim.startTime, anim.activeDuration) : 0;
 
-      if (anim.isActive) {
-        anim.elapsed = this.clock.time - anim.startTime;
-        const progress = Math.min(anim.elapsed / anim.duration, 1);
-        this.applySimpleAnimation(obj, anim, progress);
+      const visible = timing.phase === 'active' || (timing.phase === 'after' && anim.fill !== 'remove');
+      anim.targets.forEach(attribute => {
+        const key = `${anim.targetId}-${attribute}`;
+        if (!layers.has(key)) layers.set(key, { obj, attribute, entries: [] });
+        if (visible) layers.get(key).entries.push({ anim, timing });
+      });
+    });
 
-        if (progress >= 1) {
-          anim.isActive = false;
-        }
+    layers.forEach((layer, key) => this.applySandwich(key, layer));
+  }
+
+  applySandwich(key, { obj, attribute, entries }) {
+    let sandwich = this.sandwiches.get(key);
+    if (!sandwich || sandwich.obj !== obj) {
+      sandwich = { obj, baseValue: null, applied: false };
+      this.sandwiches.set(key, sandwich);
+    }
+
+    if (!entries.length) {
+      // Every animation is over and removed (or not started): restore the value underneath
+      if (sandwich.applied) this.writeValue(obj, attribute, sandwich.baseValue);
+      sandwich.applied = false;
+      return;
+    }
+
+    if (!sandwich.applied) sandwich.baseValue = this.readValue(obj, attribute);
+    entries.sort((a, b) => (a.timing.begin - b.timing.begin) || (a.anim.order - b.anim.order));
+
+    let value = sandwich.baseValue;
+    entries.forEach(({ anim, timing }) => {
+      const sample = this.sampleValue(obj, anim, attribute, timing, value);
+      if (!sample) return;
+      if (anim.additive !== 'sum' || !value) {
+        value = sample;
+      } else if (attribute === 'rotation' && this.slerps(anim)) {
+        // Quaternion layers compose: the animation's rotation on top of the one underneath
+        const order = obj.rotation.order;
+        const composed = multiplyQuaternions(eulerToQuaternion(...value, order), eulerToQuaternion(...sample, order));
+        value = quaternionToEuler(composed, order);
+      } else {
+        value = combineValues(anim, attribute, value, sample);
       }
     });
+    this.writeValue(obj, attribute, value);
+    sandwich.applied = true;
+  }
+
+  /**
+   * Value of an object property underneath its animations, or null while none of them
+   * writes to it (the object then holds the value itself)
+   */
+  baseValue(targetId, attribute) {
+    const sandwich = this.sandwiches.get(`${targetId}-${attribute}`);
+    return sandwich?.applied ? [...sandwich.baseValue] : null;
+  }
+
+  readValue(obj, attributeName) {
+    if (MATERIAL_COLORS.includes(attributeName) || MATERIAL_SCALARS.includes(attributeName)) {
+      const value = obj.material?.[attributeName];
+      if (value === undefined || value === null) return null;
+      if (typeof value === 'number') return [value];
+      // THREE.Color, or [r, g, b] in the canvas renderer
+      if (Array.isArray(value)) return [...value];
+      const { r, g, b } = value.getRGB ? value.getRGB({}, SRGB) : value;
+      return [r, g, b];
+    }
+    const target = obj[attributeName];
+    return target ? [target.x, target.y, target.z] : null;
+  }
+
+  writeValue(obj, attributeName, value) {
+    if (!value) return;
+    if (MATERIAL_COLORS.includes(attributeName)) {
+      const color = obj.material?.[attributeName];
+      if (Array.isArray(color)) color.splice(0, 3, ...value);
+      else if (color) color.setRGB(...value, SRGB);
+    } else if (MATERIAL_SCALARS.includes(attributeName)) {
+      const material = obj.material;
+      if (!material || material[attributeName] === undefined) return;
+      material[attributeName] = value[0];
+      if (attributeName === 'opacity') this.updateTransparency(material);
+    } else if (obj[attributeName]) {
+      obj[attributeName].set(...value);
+    }
+  }
+
+  // Three.js only blends materials flagged transparent, and needs a recompile when the flag flips
+  updateTransparency(material) {
+    if (typeof material.transparent !== 'boolean') return;
+    const transparent = material.opacity < 1;
+    if (material.transparent !== transparent) {
+      material.transparent = transparent;
+      material.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Resolve an animation's keyframes: values (or from / to / by) as numeric
+   * vectors, and the key time of each one for its calcMode. `underlying` is the
+   * value under the animation in keyframe units (degrees for rotations), or null
+   * while it is unknown.
+   */
+  prepareKeyframes(anim, underlying = null) {
+    const isColor = MATERIAL_COLORS.includes(anim.attributeName);
+    const isMaterial = isColor || MATERIAL_SCALARS.includes(anim.attributeName);
+    const uniform = this.animationTargets(anim)[0] === 'scale';
+    const parse = isColor
+      ? str => parseColor(String(str).trim(), [0, 0, 0])
+      : str => {
+        const vector = String(str).split(',').map(v => parseFloat(v.trim()));
+        // A single scale factor scales all three axes
+        return uniform && vector.length === 1 ? [vector[0], vector[0], vector[0]] : vector;
+      };
+
+    let values;
+    let needsBase = false;
+    let motion = null;
+    if (anim.type === 'animateMotion') {
+      motion = this.resolveMotionPath(anim);
+      // Keyframes are distances along the path, as fractions of its length: keyPoints
+      // when given, otherwise the end of every path segment
+      const total = motion?.length || 1;
+      values = anim.keyPoints?.length
+        ? anim.keyPoints.map(point => [point])
+        : (motion ? motion.vertices : [0]).map(distance => [distance / total]);
+    } else if (anim.values && anim.values.some(v => v.trim())) {
+      values = anim.values.filter(v => v.trim()).map(parse);
+    } else {
+      const defaultTo = isColor ? '#ffffff' : isMaterial ? '1' : '1,1,1';
+      // Without from, an animation starts at the value underneath it (to) or adds to it (by)
+      let from = anim.from ? parse(anim.from) : underlying;
+      needsBase = !from;
+      let to = parse(anim.to || defaultTo);
+      if (!from) {
+        // Placeholder until the underlying value is known (see update())
+        from = to;
+      } else if (!anim.to && anim.by) {
+        to = parse(anim.by).map((v, i) => from[i] + v);
+      }
+      values = [from, to];
+    }
+
+    const colorInterpolation = isColor ? anim.colorInterpolation || 'linearRGB' : null;
+    if (isColor) values = encodeColors(values, colorInterpolation);
+
+    let calcMode = anim.calcMode || 'linear';
+    const evenly = count => values.map((_, i) => (count > 0 ? i / count : 0));
+    let keyTimes;
+    if (calcMode === 'paced') {
+      keyTimes = pacedKeyTimes(values);
+    } else if (anim.keyTimes && anim.keyTimes.length === values.length) {
+      keyTimes = anim.keyTimes;
+    } else {
+      // Discrete keyframes split the duration into equal steps, the others into equal segments
+      keyTimes = calcMode === 'discrete' ? evenly(values.length) : evenly(values.length - 1);
+    }
+
+    let keySplines = null;
+    if (calcMode === 'spline') {
+      if (anim.keySplines && anim.keySplines.length === values.length - 1) {
+        keySplines = anim.keySplines;
+      } else {
+        calcMode = 'linear';
+      }
+    }
+
+    return { values, keyTimes, calcMode, keySplines, colorInterpolation, needsBase, motion };
+  }
+
+  /**
+   * Flattened motion path of an <animateMotion>: its path data, or a polyline
+   * through values / from-to points. Null (with a warning) when there is none.
+   */
+  resolveMotionPath(anim) {
+    let d = anim.path;
+    if (!d) {
+      const points = anim.values?.filter(v => v.trim()) ||
+        [anim.from || '0,0,0', anim.to].filter(Boolean);
+      if (points.length) d = 'M ' + points.map(p => p.split(',').join(' ')).join(' L ');
+    }
+    try {
+      return flattenPath3D(parsePath3D(d));
+    } catch (err) {
+      console.warn(`animateMotion on ${anim.targetId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Value of prepared keyframes at simple-duration progress 0..1
+   */
+  interpolateKeyframes(keyframes, progress) {
+    const { index, t } = this.keyframeSegment(keyframes, progress);
+    const from = keyframes.values[index];
+    if (t <= 0) return from;
+    const to = keyframes.values[index + 1];
+    return from.map((v, k) => v + (to[k] - v) * t);
+  }
+
+  /**
+   * Keyframe interval at progress 0..1: the index of its first value and how far
+   * into it (0..1, already eased by keySplines) the progress is
+   */
+  keyframeSegment(keyframes, progress) {
+    const { values, keyTimes, calcMode, keySplines } = keyframes;
+    if (values.length === 1) return { index: 0, t: 0 };
+
+    if (calcMode === 'discrete') {
+      if (progress >= 1) return { index: values.length - 1, t: 0 };
+      let i = 0;
+      while (i + 1 < keyTimes.length && progress >= keyTimes[i + 1]) i++;
+      return { index: i, t: 0 };
+    }
+
+    let i = 0;
+    while (i + 2 < keyTimes.length && progress > keyTimes[i + 1]) i++;
+    const span = keyTimes[i + 1] - keyTimes[i];
+    let t = span > 0 ? (progress - keyTimes[i]) / span : 1;
+    t = Math.min(Math.max(t, 0), 1);
+    if (keySplines) t = cubicBezier(keySplines[i], t);
+    return { index: i, t };
+  }
+
+  /**
+   * Value an animation contributes to `attribute` (in the object's own units:
+   * radians, linear numbers, sRGB colors), or null when it has none.
+   * `underlying` is the sandwich value below it.
+   */
+  sampleValue(obj, anim, attribute, { progress, iteration }, underlying) {
+    if (anim.keyframes.needsBase) {
+      const base = attribute === 'rotation' && underlying ? underlying.map(v => v * 180 / Math.PI) : underlying;
+      anim.keyframes = this.prepareKeyframes(anim, base);
+    }
+    const keyframes = anim.keyframes;
+    if (anim.type === 'animateMotion') return this.sampleMotion(obj, anim, attribute, progress, iteration);
+    if (attribute === 'rotation' && this.slerps(anim)) {
+      return quaternionToEuler(this.sampleQuaternion(obj, anim, progress, iteration), obj.rotation.order);
+    }
+
+    const toObjectUnits = value => {
+      // Rotation values are written in degrees
+      if (attribute === 'rotation') return value.map(v => v * Math.PI / 180);
+      if (keyframes.colorInterpolation) return decodeColor(value, keyframes.colorInterpolation);
+      return value;
+    };
+    const value = toObjectUnits(this.interpolateKeyframes(keyframes, progress));
+    if (anim.accumulate !== 'sum' || iteration <= 0) return value;
+
+    // Each repeat builds on the end value of the ones before it
+    const last = toObjectUnits(keyframes.values[keyframes.values.length - 1]);
+    return multiplies(anim, attribute)
+      ? value.map((v, k) => v * last[k] ** iteration)
+      : value.map((v, k) => v + last[k] * iteration);
   }
 
-  applySimpleAnimation(obj, anim, progress) {
-    const fromValues = (anim.from || '0,0,0').split(',').map(v => parseFloat(v.trim()));
-    const toValues = (anim.to || '1,1,1').split(',').map(v => parseFloat(v.trim()));
-    const interpolated = fromValues.map((from, i) => from + (toValues[i] - from) * progress);
+  slerps(anim) {
+    return (anim.rotationInterpolation || this.rotationInterpolation) === 'slerp';
+  }
 
-    if (anim.attributeName === 'rotation') {
-      // Animations provide rotation values in degrees in XML; convert to radians
-      const rad = interpolated.map(v => v * Math.PI / 180);
-      obj.rotation.set(...rad);
-    } else if (anim.attributeName === 'position') {
-      obj.position.set(...interpolated);
-    } else if (anim.attributeName === 'scale') {
-      obj.scale.set(...interpolated);
+  /**
+   * Rotation keyframes slerped as quaternions (in the object's rotation order);
+   * accumulate="sum" repeats the final rotation once per finished iteration
+   */
+  sampleQuaternion(obj, anim, progress, iteration) {
+    const keyframes = anim.keyframes;
+    const order = obj.rotation.order || 'XYZ';
+    if (keyframes.quaternionOrder !== order) {
+      keyframes.quaternions = keyframes.values.map(degrees => (
+        eulerToQuaternion(...degrees.map(v => v * Math.PI / 180), order)
+      ));
+      keyframes.quaternionOrder = order;
     }
+
+    const quaternions = keyframes.quaternions;
+    const { index, t } = this.keyframeSegment(keyframes, progress);
+    const rotation = t > 0 ? slerpQuaternions(quaternions[index], quaternions[index + 1], t) : quaternions[index];
+    if (anim.accumulate !== 'sum' || iteration <= 0) return rotation;
+    const repeated = slerpQuaternions([0, 0, 0, 1], quaternions[quaternions.length - 1], iteration);
+    return multiplyQuaternions(repeated, rotation);
+  }
+
+  /**
+   * Point along an <animateMotion> path for position; for rotation (rotate="auto"),
+   * the orientation that turns +Z along the path (cameras look down -Z, so they
+   * face the other way round)
+   */
+  sampleMotion(obj, anim, attribute, progress, iteration) {
+    const { motion, values } = anim.keyframes;
+    if (!motion) return null;
+    const fraction = this.interpolateKeyframes(anim.keyframes, progress)[0];
+    const { point, tangent } = samplePath3D(motion, fraction * motion.length);
+
+    if (attribute === 'position') {
+      if (anim.accumulate !== 'sum' || iteration <= 0) return point;
+      const end = samplePath3D(motion, values[values.length - 1][0] * motion.length).point;
+      return point.map((c, k) => c + end[k] * iteration);
+    }
+
+    const backwards = (anim.rotate === 'auto-reverse') !== Boolean(obj.isCamera || obj.tag === 'camera');
+    return quaternionToEuler(lookRotation(backwards ? tangent.map(c => -c) : tangent), obj.rotation.order);
   }
 }
 
+// <animateTransform type="scale"> composes by multiplying; everything else adds
+function multiplies(anim, attribute) {
+  return anim.type === 'animateTransform' && attribute === 'scale';
+}
+
+/**
+ * additive="sum": the animation's value on top of the value underneath
+ */
+function combineValues(anim, attribute, underlying, value) {
+  return multiplies(anim, attribute)
+    ? value.map((v, k) => underlying[k] * v)
+    : value.map((v, k) => underlying[k] + v);
+}
+
+/**
+ * sRGB keyframe colors -> the space they are interpolated in: 'linearRGB'
+ * (linear light), 'sRGB' (as authored) or 'hsl'. HSL hues are unwrapped so
+ * each step takes the short way around the color wheel.
+ */
+function encodeColors(colors, space) {
+  if (space === 'sRGB') return colors;
+  if (space !== 'hsl') return colors.map(color => color.map(srgbToLinear));
+
+  const hsl = colors.map(rgbToHsl);
+  // Grays have no hue of their own; borrow a neighbour's so they don't sweep through red
+  const chromatic = hsl.filter(([, saturation]) => saturation > 0);
+  let hue = chromatic.length ? chromatic[0][0] : 0;
+  return hsl.map(([h, saturation, lightness]) => {
+    if (saturation > 0) {
+      h += Math.round(hue - h);
+      hue = h;
+    }
+    return [hue, saturation, lightness];
+  });
+}
+
+function decodeColor(value, space) {
+  if (space === 'sRGB') return value;
+  if (space === 'hsl') return hslToRgb(value);
+  return value.map(linearToSrgb);
+}
+
+/**
+ * SMIL paced key times: proportional to the distance covered between values
+ */
+function pacedKeyTimes(values) {
+  const distances = values.slice(1).map((value, i) => (
+    Math.hypot(...value.map((v, k) => v - values[i][k]))
+  ));
+  const total = distances.reduce((sum, d) => sum + d, 0);
+  if (!total) return values.map((_, i) => (values.length > 1 ? i / (values.length - 1) : 0));
+
+  let covered = 0;
+  return [0, ...distances.map(d => (covered += d) / total)];
+}
+
+/**
+ * Evaluate a keySplines cubic bezier [x1, y1, x2, y2] at x (0..1)
+ */
+function cubicBezier([x1, y1, x2, y2], x) {
+  const curve = (a, b, t) => 3 * a * (1 - t) * (1 - t) * t + 3 * b * (1 - t) * t * t + t * t * t;
+  // x(t) is monotonic for control points in 0..1, so bisection always converges
+  let lo = 0;
+  let hi = 1;
+  let t = x;
+  for (let i = 0; i < 40; i++) {
+    const error = curve(x1, x2, t) - x;
+    if (Math.abs(error) < 1e-7) break;
+    if (error < 0) lo = t; else hi = t;
+    t = (lo + hi) / 2;
+  }
+  return curve(y1, y2, t);
+}
+
 export class RotationController {
   constructor(canvas, targetObject, sensitivity = 0.01) {
     this.canvas = canvas;
@@ -621,6 +2515,8 @@ export class RotationController {
   }
 
   setupEventListeners() {
+    // Headless canvases (e.g. node-canvas) have no DOM events to listen to
+    if (typeof this.canvas.addEventListener !== 'function') return;
     this.canvas.addEventListener('mousedown', e => this.onMouseDown(e));
     this.canvas.addEventListener('mousemove', e => this.onMouseMove(e));
     this.canvas.addEventListener('mouseup', e => this.onMouseUp(e));
@@ -690,9 +2586,79 @@ export class RotationController {
   }
 }
 
+// Pointer events that can start animations, e.g. begin="door.click": the button events
+// the canvas fires, and the hover events PointerPicker derives from mousemove
+const BUTTON_EVENTS = ['click', 'dblclick', 'mousedown', 'mouseup'];
+export const POINTER_EVENTS = [...BUTTON_EVENTS, 'mouseover', 'mouseout', 'mouseenter', 'mouseleave'];
+
+/**
+ * Turns canvas pointer input into per-object events for AnimationEngine.
+ * The renderer supplies pick(x, y) in normalized device coordinates; events
+ * bubble from the hit object up through its ancestors, as in the DOM.
+ */
+export class PointerPicker {
+  constructor(canvas, renderer) {
+    this.canvas = canvas;
+    this.renderer = renderer;
+    this.hovered = [];
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // Headless canvases (e.g. node-canvas) have no DOM events to listen to
+    if (!this.canvas || typeof this.canvas.addEventListener !== 'function') return;
+    BUTTON_EVENTS.forEach(type => {
+      this.canvas.addEventListener(type, e => this.dispatch(type, this.pickAt(e)));
+    });
+    this.canvas.addEventListener('mousemove', e => this.onPointerMove(this.pickAt(e)));
+    this.canvas.addEventListener('mouseleave', () => this.onPointerMove([]));
+  }
+
+  /**
+   * Ids of the object under the pointer and its ancestors, innermost first
+   */
+  pickAt(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    return this.pathOf(this.renderer.pick(x, y));
+  }
+
+  pathOf(object) {
+    const path = [];
+    for (let node = object; node; node = node.parent) {
+      if (node.name && this.renderer.meshes.get(node.name) === node) path.push(node.name);
+    }
+    return path;
+  }
+
+  onPointerMove(path) {
+    const previous = this.hovered;
+    if (path[0] !== previous[0]) {
+      if (previous.length) this.dispatch('mouseout', previous);
+      if (path.length) this.dispatch('mouseover', path);
+    }
+    previous.filter(id => !path.includes(id)).forEach(id => this.trigger(id, 'mouseleave'));
+    path.filter(id => !previous.includes(id)).forEach(id => this.trigger(id, 'mouseenter'));
+    this.hovered = path;
+  }
+
+  dispatch(type, path) {
+    path.forEach(id => this.trigger(id, type));
+  }
+
+  trigger(id, type) {
+    this.renderer.animationEngine.triggerEvent(id, type);
+  }
+}
+
 export default {
   SVG3Parser,
+  SVG3XMLReader,
   AnimationEngine,
+  SVG3TimeEvent,
   RotationController,
+  PointerPicker,
+  POINTER_EVENTS,
   SVG3ThreeRenderer,
 };
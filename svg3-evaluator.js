@@ -0,0 +1,156 @@
+/**
+ * SVG3 Scene Evaluator
+ * Samples a parsed SVG3 scene at any time t: local and world transforms and
+ * animated material values for every element
+ * Headless and deterministic - plain AnimationEngine, no Three.js or requestAnimationFrame
+ */
+
+import { AnimationEngine } from './svg3-complete.js';
+import { SVG3Node } from './svg3-canvas.js';
+import { parseColor, eulerToQuaternion, decomposeMatrix } from './svg3-geometry.js';
+
+// ============================================================================
+// 1. EVALUATOR - Scene object + time -> resolved element state
+// ============================================================================
+
+// Lights and cameras without a position sit where the renderers put them
+const DEFAULT_POSITIONS = { light: [0, 0, 5], camera: [0, 0, 5] };
+
+export class SVG3SceneEvaluator {
+  /**
+   * @param sceneData - Output of SVG3Parser.parse()
+   * @param options.rotationInterpolation - 'euler' (default) or 'slerp' for rotation animations
+   */
+  constructor(sceneData, options = {}) {
+    this.sceneData = sceneData;
+    this.animationEngine = new AnimationEngine({ rotationInterpolation: options.rotationInterpolation });
+    this.nodes = new Map();
+    this.roots = [];
+    this.build();
+  }
+
+  build() {
+    (this.sceneData.scenes || []).forEach(scene => {
+      (scene.children || []).forEach(child => this.roots.push(this.buildElement(child)));
+    });
+    (this.sceneData.animations || []).forEach(track => {
+      this.animationEngine.registerAnimation(track.targetId, track.animation);
+    });
+  }
+
+  buildElement(elementData) {
+    const attrs = elementData.attrs || {};
+    const node = new SVG3Node(elementData.tag, elementData.id);
+    node.position.set(...(attrs.position || DEFAULT_POSITIONS[elementData.tag] || [0, 0, 0]));
+    node.rotation.order = attrs.rotationOrder || 'XYZ';
+    node.rotation.set(...(attrs.rotation || [0, 0, 0]));
+    node.scale.set(...(attrs.scale || [1, 1, 1]));
+    if (elementData.tag === 'mesh') node.material = this.buildMaterial(attrs.material);
+
+    this.nodes.set(elementData.id, node);
+    (elementData.children || []).forEach(child => node.add(this.buildElement(child)));
+    return node;
+  }
+
+  /**
+   * The animatable values of a mesh's material, with the defaults the Three.js
+   * renderer gives each material type. Every mesh gets its own copy.
+   */
+  buildMaterial(materialId) {
+    const mat = (this.sceneData.defs?.materials || []).find(m => m.id === materialId);
+    if (!mat) return null;
+
+    const p = mat.params || {};
+    const material = { color: parseColor(p.color) };
+    switch (mat.type) {
+      case 'standard':
+        Object.assign(material, {
+          emissive: parseColor(p.emissive, [0, 0, 0]),
+          emissiveIntensity: p.emissiveIntensity || 0,
+          metalness: p.metalness || 0,
+          roughness: p.roughness || 0.5,
+        });
+        break;
+      case 'lambert':
+        Object.assign(material, { emissive: parseColor(p.emissive, [0, 0, 0]), emissiveIntensity: 1 });
+        break;
+      case 'phong':
+        Object.assign(material, {
+          emissive: parseColor(p.emissive, [0, 0, 0]),
+          emissiveIntensity: 1,
+          shininess: p.shininess || 100,
+        });
+        break;
+    }
+    material.opacity = p.opacity ?? 1;
+    return material;
+  }
+
+  /**
+   * Resolve every element as it is `time` seconds into the animations. The result
+   * depends only on the time (and triggered events), not on earlier calls.
+   * @returns {object} Element state by id, in document order:
+   *   { tag, parent, position, rotation, rotationOrder, quaternion, scale,
+   *     world: { position, quaternion, scale, matrix }, material? }
+   *   Rotations are radians, colors [r, g, b] in 0..1, matrices column-major.
+   */
+  evaluate(time) {
+    this.animationEngine.seek(time, this.nodes);
+    this.roots.forEach(root => root.updateMatrixWorld());
+
+    const elements = {};
+    this.nodes.forEach((node, id) => {
+      elements[id] = this.describe(node);
+    });
+    return elements;
+  }
+
+  /**
+   * State of one element at `time`, or null for an unknown id
+   */
+  evaluateElement(id, time) {
+    if (!this.nodes.has(id)) return null;
+    return this.evaluate(time)[id];
+  }
+
+  /**
+   * Start the animations waiting on an event (begin="door.click") at a document time
+   */
+  triggerEvent(targetId, eventType, time) {
+    this.animationEngine.triggerEvent(targetId, eventType, time);
+  }
+
+  getDuration() {
+    return this.animationEngine.getDuration();
+  }
+
+  describe(node) {
+    const { x, y, z, order } = node.rotation;
+    const world = decomposeMatrix(node.matrixWorld);
+    const state = {
+      tag: node.tag,
+      parent: node.parent ? node.parent.name : null,
+      position: node.position.toArray(),
+      rotation: [x, y, z],
+      rotationOrder: order,
+      quaternion: eulerToQuaternion(x, y, z, order),
+      scale: node.scale.toArray(),
+      world: {
+        position: world.translation,
+        quaternion: world.quaternion,
+        scale: world.scale,
+        matrix: [...node.matrixWorld],
+      },
+    };
+    if (node.material) {
+      state.material = Object.fromEntries(
+        Object.entries(node.material).map(([name, value]) => [name, Array.isArray(value) ? [...value] : value])
+      );
+    }
+    return state;
+  }
+}
+
+export default {
+  SVG3SceneEvaluator,
+};
@@ -4,6 +4,8 @@
  * Perfect for game characters, interactive models, and dynamic scenes
  */
 
+import { eulerToQuaternion, quaternionToEuler, slerpQuaternions } from './svg3-geometry.js';
+
 // ============================================================================
 // 1. GAME CONTROLLER - High-level API for game engines
 // ============================================================================
@@ -126,17 +128,30 @@ export class SVG3GameController {
 
   /**
    * Animate a bone over time
+   * @param options.rotationInterpolation - 'slerp' turns rotations through quaternions instead
+   *   of blending the angles one by one (defaults to the renderer's animation engine setting)
+   * @returns {Promise} Resolves when the animation has finished
    */
-  animateBone(boneId, property, from, to, duration) {
+  animateBone(boneId, property, from, to, duration, options = {}) {
     const bone = this.bones.get(boneId);
-    if (!bone) return;
+    if (!bone) return Promise.resolve();
 
+    const interpolation = options.rotationInterpolation || this.renderer.animationEngine?.rotationInterpolation;
+    const order = bone.mesh.rotation.order || 'XYZ';
+    const slerp = property === 'rotation' && interpolation === 'slerp' && Array.isArray(from)
+      ? [eulerToQuaternion(...from, order), eulerToQuaternion(...to, order)]
+      : null;
+
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
     const startTime = Date.now();
     const animate = () => {
       const elapsed = (Date.now() - startTime) / 1000;
       const progress = Math.min(elapsed / duration, 1);
 
-      if (Array.isArray(from)) {
+      if (slerp) {
+        bone.mesh.rotation.set(...quaternionToEuler(slerpQuaternions(...slerp, progress), order));
+      } else if (Array.isArray(from)) {
         const interpolated = from.map((f, i) => f + (to[i] - f) * progress);
         if (property === 'rotation') {
           bone.mesh.rotation.set(...interpolated);
@@ -149,10 +164,13 @@ export class SVG3GameController {
 
       if (progress < 1) {
         requestAnimationFrame(animate);
+      } else {
+        finish();
       }
     };
 
     animate();
+    return finished;
   }
 
   /**
@@ -465,8 +483,8 @@ export class PuppetControl {
     return this;
   }
 
-  animate(property, from, to, duration) {
-    this.gameController.animateBone(this.boneId, property, from, to, duration);
+  animate(property, from, to, duration, options) {
+    this.gameController.animateBone(this.boneId, property, from, to, duration, options);
     return this;
   }
 
@@ -575,14 +593,11 @@ export class GameCharacter {
   /**
    * Jump animation
    */
-  jump(height = 2, duration = 0.6) {
-    const torso = this.puppets.get('torso');
-    if (torso) {
-      torso.animate('position', [0, 0, 0], [0, height, 0], duration / 2);
-      setTimeout(() => {
-        torso.animate('position', [0, height, 0], [0, 0, 0], duration / 2);
-      }, (duration / 2) * 1000);
-    }
+  async jump(height = 2, duration = 0.6) {
+    if (!this.puppets.has('torso')) return;
+    // Come down once the way up has actually finished, however long the frames took
+    await this.gameController.animateBone('torso', 'position', [0, 0, 0], [0, height, 0], duration / 2);
+    await this.gameController.animateBone('torso', 'position', [0, height, 0], [0, 0, 0], duration / 2);
   }
 
   /**
@@ -0,0 +1,1787 @@
+/**
+ * SVG3 Geometry
+ * Pure-JS tessellation of SVG3 geometry defs and transform math
+ * Shared by the headless exporters and renderers (no Three.js / WebGL needed)
+ */
+
+// ============================================================================
+// 1. TESSELLATION - Same vertex layout as the matching Three.js geometries
+// ============================================================================
+
+/**
+ * Tessellate a geometry def from SVG3Parser output.
+ * Defaults mirror SVG3ThreeRenderer.buildGeometries; unknown types throw (see unknownGeometryType).
+ * @returns {{ positions: number[], normals: number[], uvs: number[], indices: number[] }}
+ */
+export function tessellateGeometry(geom) {
+  const params = geom.params || {};
+  // Geometry attributes outside the parser's numeric list arrive as strings
+  const p = name => Number(params[name]);
+  const flag = name => params[name] === true || params[name] === 'true';
+  // Angles are written in degrees, like rotation attributes
+  const degrees = (name, fallback) => (params[name] === undefined ? fallback : Number(params[name])) * Math.PI / 180;
+
+  switch (geom.type) {
+    case 'box':
+      return buildBox(p('width') || 1, p('height') || 1, p('depth') || 1);
+    case 'sphere':
+      return buildSphere(p('radius') || 1, p('widthSegments') || 32, p('heightSegments') || 32);
+    case 'cylinder':
+      return buildCylinder(
+        p('radiusTop') || 1, p('radiusBottom') || 1, p('height') || 2,
+        p('radialSegments') || 32, p('heightSegments') || 1
+      );
+    case 'plane':
+      return buildPlane(p('width') || 1, p('height') || 1);
+    case 'torus':
+      return buildTorus(p('radius') || 1, p('tube') || 0.4, p('radialSegments') || 16, p('tubularSegments') || 100);
+    case 'mesh':
+      return buildInlineMesh(geom.data || {});
+    case 'extrude':
+      return buildExtrudeGeometry(params, geom.id);
+    case 'cone':
+      return buildCylinder(
+        0, p('radius') || 1, p('height') || 2, p('radialSegments') || 32, p('heightSegments') || 1, flag('openEnded')
+      );
+    case 'circle':
+      return buildCircle(p('radius') || 1, p('segments') || 32, degrees('thetaStart', 0), degrees('thetaLength', 360));
+    case 'ring':
+      return buildRing(
+        p('innerRadius') || 0.5, p('outerRadius') || 1, p('thetaSegments') || 32, p('phiSegments') || 1,
+        degrees('thetaStart', 0), degrees('thetaLength', 360)
+      );
+    case 'lathe':
+      return buildLathe(
+        parseProfile(params.points), p('segments') || 32, degrees('phiStart', 0), degrees('phiLength', 360)
+      );
+    case 'capsule':
+      return buildLathe(
+        capsuleProfile(p('radius') || 1, p('length') || 1, p('capSegments') || 8), p('radialSegments') || 32, 0, Math.PI * 2
+      );
+    case 'tube':
+      return buildTube(params.d, p('tubularSegments') || 64, p('radius') || 1, p('radialSegments') || 8, flag('closed'));
+    case 'torusKnot':
+      return buildTorusKnot(
+        p('radius') || 1, p('tube') || 0.4, p('tubularSegments') || 64, p('radialSegments') || 8, p('p') || 2, p('q') || 3
+      );
+    case 'tetrahedron':
+    case 'octahedron':
+    case 'icosahedron':
+    case 'dodecahedron':
+      return buildPolyhedron(POLYHEDRA[geom.type], p('radius') || 1, p('detail') || 0);
+    default:
+      throw unknownGeometryType(geom);
+  }
+}
+
+/**
+ * The error renderers and exporters raise for a geometry def of a type they cannot build,
+ * like the validator's unknown-geometry-type
+ */
+export function unknownGeometryType(geom) {
+  return new Error(`Unknown geometry type "${geom.type}" for geometry "${geom.id}"`);
+}
+
+function createBuffers() {
+  return { positions: [], normals: [], uvs: [], indices: [] };
+}
+
+function buildBox(width, height, depth) {
+  const out = createBuffers();
+
+  // Port of THREE.BoxGeometry#buildPlane (single segment per side); axes are 0=x, 1=y, 2=z
+  const side = (u, v, w, udir, vdir, sw, sh, sd) => {
+    const start = out.positions.length / 3;
+    for (let iy = 0; iy < 2; iy++) {
+      for (let ix = 0; ix < 2; ix++) {
+        const vertex = [0, 0, 0];
+        const normal = [0, 0, 0];
+        vertex[u] = (ix * sw - sw / 2) * udir;
+        vertex[v] = (iy * sh - sh / 2) * vdir;
+        vertex[w] = sd / 2;
+        normal[w] = sd > 0 ? 1 : -1;
+        out.positions.push(...vertex);
+        out.normals.push(...normal);
+        out.uvs.push(ix, 1 - iy);
+      }
+    }
+    const a = start;
+    const b = start + 2;
+    const c = start + 3;
+    const d = start + 1;
+    out.indices.push(a, b, d, b, c, d);
+  };
+
+  side(2, 1, 0, -1, -1, depth, height, width);
+  side(2, 1, 0, 1, -1, depth, height, -width);
+  side(0, 2, 1, 1, 1, width, depth, height);
+  side(0, 2, 1, 1, -1, width, depth, -height);
+  side(0, 1, 2, 1, -1, width, height, depth);
+  side(0, 1, 2, -1, -1, width, height, -depth);
+
+  return out;
+}
+
+function buildSphere(radius, widthSegments, heightSegments) {
+  const out = createBuffers();
+  const grid = [];
+
+  for (let iy = 0; iy <= heightSegments; iy++) {
+    const row = [];
+    const v = iy / heightSegments;
+    // Pole rows get a half-segment UV offset, as in THREE.SphereGeometry
+    let uOffset = 0;
+    if (iy === 0) uOffset = 0.5 / widthSegments;
+    else if (iy === heightSegments) uOffset = -0.5 / widthSegments;
+
+    for (let ix = 0; ix <= widthSegments; ix++) {
+      const u = ix / widthSegments;
+      const x = -radius * Math.cos(u * Math.PI * 2) * Math.sin(v * Math.PI);
+      const y = radius * Math.cos(v * Math.PI);
+      const z = radius * Math.sin(u * Math.PI * 2) * Math.sin(v * Math.PI);
+      out.positions.push(x, y, z);
+      out.normals.push(...normalize([x, y, z]));
+      out.uvs.push(u + uOffset, 1 - v);
+      row.push(out.positions.length / 3 - 1);
+    }
+    grid.push(row);
+  }
+
+  for (let iy = 0; iy < heightSegments; iy++) {
+    for (let ix = 0; ix < widthSegments; ix++) {
+      const a = grid[iy][ix + 1];
+      const b = grid[iy][ix];
+      const c = grid[iy + 1][ix];
+      const d = grid[iy + 1][ix + 1];
+      if (iy !== 0) out.indices.push(a, b, d);
+      if (iy !== heightSegments - 1) out.indices.push(b, c, d);
+    }
+  }
+
+  return out;
+}
+
+function buildCylinder(radiusTop, radiusBottom, height, radialSegments, heightSegments, openEnded = false) {
+  const out = createBuffers();
+  const halfHeight = height / 2;
+  const slope = (radiusBottom - radiusTop) / height;
+  const grid = [];
+
+  for (let y = 0; y <= heightSegments; y++) {
+    const row = [];
+    const v = y / heightSegments;
+    const radius = v * (radiusBottom - radiusTop) + radiusTop;
+    for (let x = 0; x <= radialSegments; x++) {
+      const u = x / radialSegments;
+      const theta = u * Math.PI * 2;
+      const sin = Math.sin(theta);
+      const cos = Math.cos(theta);
+      out.positions.push(radius * sin, -v * height + halfHeight, radius * cos);
+      out.normals.push(...normalize([sin, slope, cos]));
+      out.uvs.push(u, 1 - v);
+      row.push(out.positions.length / 3 - 1);
+    }
+    grid.push(row);
+  }
+
+  for (let x = 0; x < radialSegments; x++) {
+    for (let y = 0; y < heightSegments; y++) {
+      const a = grid[y][x];
+      const b = grid[y + 1][x];
+      const c = grid[y + 1][x + 1];
+      const d = grid[y][x + 1];
+      out.indices.push(a, b, d, b, c, d);
+    }
+  }
+
+  const cap = top => {
+    const radius = top ? radiusTop : radiusBottom;
+    const sign = top ? 1 : -1;
+    const centerStart = out.positions.length / 3;
+    for (let x = 1; x <= radialSegments; x++) {
+      out.positions.push(0, halfHeight * sign, 0);
+      out.normals.push(0, sign, 0);
+      out.uvs.push(0.5, 0.5);
+    }
+    const rimStart = out.positions.length / 3;
+    for (let x = 0; x <= radialSegments; x++) {
+      const theta = (x / radialSegments) * Math.PI * 2;
+      const cos = Math.cos(theta);
+      const sin = Math.sin(theta);
+      out.positions.push(radius * sin, halfHeight * sign, radius * cos);
+      out.normals.push(0, sign, 0);
+      out.uvs.push(cos * 0.5 + 0.5, sin * 0.5 * sign + 0.5);
+    }
+    for (let x = 0; x < radialSegments; x++) {
+      const c = centerStart + x;
+      const i = rimStart + x;
+      if (top) out.indices.push(i, i + 1, c);
+      else out.indices.push(i + 1, i, c);
+    }
+  };
+
+  if (!openEnded && radiusTop > 0) cap(true);
+  if (!openEnded && radiusBottom > 0) cap(false);
+
+  return out;
+}
+
+function buildPlane(width, height) {
+  const out = createBuffers();
+  for (let iy = 0; iy < 2; iy++) {
+    for (let ix = 0; ix < 2; ix++) {
+      out.positions.push(ix * width - width / 2, -(iy * height - height / 2), 0);
+      out.normals.push(0, 0, 1);
+      out.uvs.push(ix, 1 - iy);
+    }
+  }
+  out.indices.push(0, 2, 1, 2, 3, 1);
+  return out;
+}
+
+function buildTorus(radius, tube, radialSegments, tubularSegments) {
+  const out = createBuffers();
+
+  for (let j = 0; j <= radialSegments; j++) {
+    for (let i = 0; i <= tubularSegments; i++) {
+      const u = (i / tubularSegments) * Math.PI * 2;
+      const v = (j / radialSegments) * Math.PI * 2;
+      const x = (radius + tube * Math.cos(v)) * Math.cos(u);
+      const y = (radius + tube * Math.cos(v)) * Math.sin(u);
+      const z = tube * Math.sin(v);
+      out.positions.push(x, y, z);
+      out.normals.push(...normalize([x - radius * Math.cos(u), y - radius * Math.sin(u), z]));
+      out.uvs.push(i / tubularSegments, j / radialSegments);
+    }
+  }
+
+  for (let j = 1; j <= radialSegments; j++) {
+    for (let i = 1; i <= tubularSegments; i++) {
+      const a = (tubularSegments + 1) * j + i - 1;
+      const b = (tubularSegments + 1) * (j - 1) + i - 1;
+      const c = (tubularSegments + 1) * (j - 1) + i;
+      const d = (tubularSegments + 1) * j + i;
+      out.indices.push(a, b, d, b, c, d);
+    }
+  }
+
+  return out;
+}
+
+function buildCircle(radius, segments, thetaStart, thetaLength) {
+  const out = createBuffers();
+  segments = Math.max(3, segments);
+  out.positions.push(0, 0, 0);
+  out.normals.push(0, 0, 1);
+  out.uvs.push(0.5, 0.5);
+  for (let s = 0; s <= segments; s++) {
+    const theta = thetaStart + (s / segments) * thetaLength;
+    const x = radius * Math.cos(theta);
+    const y = radius * Math.sin(theta);
+    out.positions.push(x, y, 0);
+    out.normals.push(0, 0, 1);
+    out.uvs.push((x / radius + 1) / 2, (y / radius + 1) / 2);
+  }
+  for (let i = 1; i <= segments; i++) out.indices.push(i, i + 1, 0);
+  return out;
+}
+
+function buildRing(innerRadius, outerRadius, thetaSegments, phiSegments, thetaStart, thetaLength) {
+  const out = createBuffers();
+  thetaSegments = Math.max(3, thetaSegments);
+  phiSegments = Math.max(1, phiSegments);
+  const radiusStep = (outerRadius - innerRadius) / phiSegments;
+
+  let radius = innerRadius;
+  for (let j = 0; j <= phiSegments; j++) {
+    for (let i = 0; i <= thetaSegments; i++) {
+      const theta = thetaStart + (i / thetaSegments) * thetaLength;
+      const x = radius * Math.cos(theta);
+      const y = radius * Math.sin(theta);
+      out.positions.push(x, y, 0);
+      out.normals.push(0, 0, 1);
+      out.uvs.push((x / outerRadius + 1) / 2, (y / outerRadius + 1) / 2);
+    }
+    radius += radiusStep;
+  }
+
+  for (let j = 0; j < phiSegments; j++) {
+    for (let i = 0; i < thetaSegments; i++) {
+      const a = i + j * (thetaSegments + 1);
+      const b = a + thetaSegments + 1;
+      const c = a + thetaSegments + 2;
+      const d = a + 1;
+      out.indices.push(a, b, d, b, c, d);
+    }
+  }
+  return out;
+}
+
+/**
+ * Port of THREE.LatheGeometry: a profile of [x, y] points (x = distance from the
+ * y axis) swept around y. Normals are smoothed across the seam of a full turn.
+ */
+function buildLathe(points, segments, phiStart, phiLength) {
+  const out = createBuffers();
+  segments = Math.floor(segments);
+  phiLength = Math.min(Math.max(phiLength, 0), Math.PI * 2);
+  const inverseSegments = 1 / segments;
+
+  for (let i = 0; i <= segments; i++) {
+    const phi = phiStart + i * inverseSegments * phiLength;
+    const sin = Math.sin(phi);
+    const cos = Math.cos(phi);
+    points.forEach(([x, y], j) => {
+      out.positions.push(x * sin, y, x * cos);
+      out.uvs.push(i / segments, j / (points.length - 1));
+    });
+  }
+
+  for (let i = 0; i < segments; i++) {
+    for (let j = 0; j < points.length - 1; j++) {
+      const a = j + i * points.length;
+      const b = a + points.length;
+      const c = b + 1;
+      const d = a + 1;
+      out.indices.push(a, b, d, b, c, d);
+    }
+  }
+
+  out.normals = computeVertexNormals(out.positions, out.indices);
+  if (phiLength === Math.PI * 2) {
+    const last = segments * points.length * 3;
+    for (let j = 0; j < points.length * 3; j += 3) {
+      const n = normalize([0, 1, 2].map(k => out.normals[j + k] + out.normals[last + j + k]));
+      for (let k = 0; k < 3; k++) out.normals[j + k] = out.normals[last + j + k] = n[k];
+    }
+  }
+  return out;
+}
+
+// Lathe profile: "x,y x,y ..." (commas and spaces both separate numbers)
+function parseProfile(text) {
+  const numbers = String(text ?? '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+  if (points.length < 2 || numbers.some(n => !Number.isFinite(n))) {
+    if (text !== undefined) console.warn(`Lathe geometry: invalid points "${text}", using the default profile`);
+    return [[0, -0.5], [0.5, 0], [0, 0.5]];
+  }
+  return points;
+}
+
+// Half circle, straight side, half circle - the profile THREE.CapsuleGeometry lathes
+function capsuleProfile(radius, length, capSegments) {
+  const points = [];
+  const arc = (centerY, start, end) => {
+    const divisions = capSegments * 2;
+    for (let i = 0; i <= divisions; i++) {
+      const angle = start + (i / divisions) * (end - start);
+      const point = [radius * Math.cos(angle), centerY + radius * Math.sin(angle)];
+      const previous = points[points.length - 1];
+      if (!previous || previous[0] !== point[0] || previous[1] !== point[1]) points.push(point);
+    }
+  };
+  arc(-length / 2, Math.PI * 1.5, Math.PI * 2);
+  arc(length / 2, 0, Math.PI / 2);
+  return points;
+}
+
+/**
+ * Port of THREE.TubeGeometry around 3D path data (same syntax as <path3d>),
+ * sampled evenly by arc length
+ */
+function buildTube(d, tubularSegments, radius, radialSegments, closed) {
+  const out = createBuffers();
+  let path;
+  try {
+    path = flattenPath3D(parsePath3D(d));
+  } catch (err) {
+    console.warn(`Tube geometry: ${err.message}`);
+    return out;
+  }
+
+  const samples = [];
+  for (let i = 0; i <= tubularSegments; i++) samples.push(samplePath3D(path, (i / tubularSegments) * path.length));
+  const frames = frenetFrames(samples.map(sample => sample.tangent), closed);
+
+  for (let i = 0; i <= tubularSegments; i++) {
+    // A closed tube ends on its first ring
+    const k = closed && i === tubularSegments ? 0 : i;
+    const point = samples[k].point;
+    const N = frames.normals[k];
+    const B = frames.binormals[k];
+    for (let j = 0; j <= radialSegments; j++) {
+      const v = (j / radialSegments) * Math.PI * 2;
+      const sin = Math.sin(v);
+      const cos = -Math.cos(v);
+      const normal = normalize([0, 1, 2].map(axis => cos * N[axis] + sin * B[axis]));
+      out.positions.push(...point.map((c, axis) => c + radius * normal[axis]));
+      out.normals.push(...normal);
+      out.uvs.push(i / tubularSegments, j / radialSegments);
+    }
+  }
+
+  for (let j = 1; j <= tubularSegments; j++) {
+    for (let i = 1; i <= radialSegments; i++) {
+      const a = (radialSegments + 1) * (j - 1) + (i - 1);
+      const b = (radialSegments + 1) * j + (i - 1);
+      const c = (radialSegments + 1) * j + i;
+      const d = (radialSegments + 1) * (j - 1) + i;
+      out.indices.push(a, b, d, b, c, d);
+    }
+  }
+  return out;
+}
+
+/**
+ * THREE.Curve#computeFrenetFrames: normals carried along the tangents without
+ * twisting; on closed paths the mismatch at the end is spread over all frames
+ */
+function frenetFrames(tangents, closed) {
+  const segments = tangents.length - 1;
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const angleBetween = (a, b) => Math.acos(Math.min(Math.max(dot(a, b), -1), 1));
+  // Rodrigues' rotation of v around the unit axis k
+  const rotate = (v, k, theta) => {
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const kxv = cross(k, v);
+    const kv = dot(k, v) * (1 - cos);
+    return [0, 1, 2].map(i => v[i] * cos + kxv[i] * sin + k[i] * kv);
+  };
+
+  // Start from the axis least aligned with the first tangent
+  const [tx, ty, tz] = tangents[0].map(Math.abs);
+  let axis = [1, 0, 0];
+  if (ty <= tx) axis = [0, 1, 0];
+  if (tz <= Math.min(tx, ty)) axis = [0, 0, 1];
+  const normals = [cross(tangents[0], normalize(cross(tangents[0], axis)))];
+  const binormals = [cross(tangents[0], normals[0])];
+
+  for (let i = 1; i <= segments; i++) {
+    let normal = normals[i - 1];
+    const turn = cross(tangents[i - 1], tangents[i]);
+    if (Math.hypot(...turn) > Number.EPSILON) {
+      normal = rotate(normal, normalize(turn), angleBetween(tangents[i - 1], tangents[i]));
+    }
+    normals.push(normal);
+    binormals.push(cross(tangents[i], normal));
+  }
+
+  if (closed) {
+    let theta = angleBetween(normals[0], normals[segments]) / segments;
+    if (dot(tangents[0], cross(normals[0], normals[segments])) > 0) theta = -theta;
+    for (let i = 1; i <= segments; i++) {
+      normals[i] = rotate(normals[i], tangents[i], theta * i);
+      binormals[i] = cross(tangents[i], normals[i]);
+    }
+  }
+  return { normals, binormals };
+}
+
+function buildTorusKnot(radius, tube, tubularSegments, radialSegments, p, q) {
+  const out = createBuffers();
+  tubularSegments = Math.floor(tubularSegments);
+  radialSegments = Math.floor(radialSegments);
+  const curve = u => {
+    const cs = Math.cos((q / p) * u);
+    return [radius * (2 + cs) * 0.5 * Math.cos(u), radius * (2 + cs) * Math.sin(u) * 0.5, radius * Math.sin((q / p) * u) * 0.5];
+  };
+
+  for (let i = 0; i <= tubularSegments; i++) {
+    const u = (i / tubularSegments) * p * Math.PI * 2;
+    const P1 = curve(u);
+    const P2 = curve(u + 0.01);
+    const T = P2.map((c, k) => c - P1[k]);
+    const B = cross(T, P2.map((c, k) => c + P1[k]));
+    const N = normalize(cross(B, T));
+    const Bn = normalize(B);
+    for (let j = 0; j <= radialSegments; j++) {
+      const v = (j / radialSegments) * Math.PI * 2;
+      const cx = -tube * Math.cos(v);
+      const cy = tube * Math.sin(v);
+      const vertex = P1.map((c, k) => c + (cx * N[k] + cy * Bn[k]));
+      out.positions.push(...vertex);
+      out.normals.push(...normalize(vertex.map((c, k) => c - P1[k])));
+      out.uvs.push(i / tubularSegments, j / radialSegments);
+    }
+  }
+
+  for (let j = 1; j <= tubularSegments; j++) {
+    for (let i = 1; i <= radialSegments; i++) {
+      const a = (radialSegments + 1) * (j - 1) + (i - 1);
+      const b = (radialSegments + 1) * j + (i - 1);
+      const c = (radialSegments + 1) * j + i;
+      const d = (radialSegments + 1) * (j - 1) + i;
+      out.indices.push(a, b, d, b, c, d);
+    }
+  }
+  return out;
+}
+
+// Base vertices and faces of THREE's platonic solids
+const GOLDEN = (1 + Math.sqrt(5)) / 2;
+const POLYHEDRA = {
+  tetrahedron: [
+    [1, 1, 1, -1, -1, 1, -1, 1, -1, 1, -1, -1],
+    [2, 1, 0, 0, 3, 2, 1, 3, 0, 2, 3, 1],
+  ],
+  octahedron: [
+    [1, 0, 0, -1, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 1, 0, 0, -1],
+    [0, 2, 4, 0, 4, 3, 0, 3, 5, 0, 5, 2, 1, 2, 5, 1, 5, 3, 1, 3, 4, 1, 4, 2],
+  ],
+  icosahedron: [
+    [
+      -1, GOLDEN, 0, 1, GOLDEN, 0, -1, -GOLDEN, 0, 1, -GOLDEN, 0,
+      0, -1, GOLDEN, 0, 1, GOLDEN, 0, -1, -GOLDEN, 0, 1, -GOLDEN,
+      GOLDEN, 0, -1, GOLDEN, 0, 1, -GOLDEN, 0, -1, -GOLDEN, 0, 1,
+    ],
+    [
+      0, 11, 5, 0, 5, 1, 0, 1, 7, 0, 7, 10, 0, 10, 11,
+      1, 5, 9, 5, 11, 4, 11, 10, 2, 10, 7, 6, 7, 1, 8,
+      3, 9, 4, 3, 4, 2, 3, 2, 6, 3, 6, 8, 3, 8, 9,
+      4, 9, 5, 2, 4, 11, 6, 2, 10, 8, 6, 7, 9, 8, 1,
+    ],
+  ],
+  dodecahedron: [
+    [
+      -1, -1, -1, -1, -1, 1, -1, 1, -1, -1, 1, 1,
+      1, -1, -1, 1, -1, 1, 1, 1, -1, 1, 1, 1,
+      0, -1 / GOLDEN, -GOLDEN, 0, -1 / GOLDEN, GOLDEN, 0, 1 / GOLDEN, -GOLDEN, 0, 1 / GOLDEN, GOLDEN,
+      -1 / GOLDEN, -GOLDEN, 0, -1 / GOLDEN, GOLDEN, 0, 1 / GOLDEN, -GOLDEN, 0, 1 / GOLDEN, GOLDEN, 0,
+      -GOLDEN, 0, -1 / GOLDEN, GOLDEN, 0, -1 / GOLDEN, -GOLDEN, 0, 1 / GOLDEN, GOLDEN, 0, 1 / GOLDEN,
+    ],
+    [
+      3, 11, 7, 3, 7, 15, 3, 15, 13, 7, 19, 17, 7, 17, 6, 7, 6, 15,
+      17, 4, 8, 17, 8, 10, 17, 10, 6, 8, 0, 16, 8, 16, 2, 8, 2, 10,
+      0, 12, 1, 0, 1, 18, 0, 18, 16, 6, 10, 2, 6, 2, 13, 6, 13, 15,
+      2, 16, 18, 2, 18, 3, 2, 3, 13, 18, 1, 9, 18, 9, 11, 18, 11, 3,
+      4, 14, 12, 4, 12, 0, 4, 0, 8, 11, 9, 5, 11, 5, 19, 11, 19, 7,
+      19, 5, 14, 19, 14, 4, 19, 4, 17, 1, 12, 14, 1, 14, 5, 1, 5, 9,
+    ],
+  ],
+};
+
+/**
+ * Port of THREE.PolyhedronGeometry: every face split into (detail + 1)^2 triangles
+ * and pushed onto the sphere. Flat normals at detail 0, smooth above; spherical UVs.
+ */
+function buildPolyhedron([vertices, faces], radius, detail) {
+  const out = createBuffers();
+  const corner = i => vertices.slice(i * 3, i * 3 + 3);
+  const lerp = (a, b, t) => a.map((c, k) => c + (b[k] - c) * t);
+
+  const points = [];
+  for (let f = 0; f < faces.length; f += 3) {
+    const [a, b, c] = [0, 1, 2].map(k => corner(faces[f + k]));
+    const cols = detail + 1;
+    const grid = [];
+    for (let i = 0; i <= cols; i++) {
+      const aj = lerp(a, c, i / cols);
+      const bj = lerp(b, c, i / cols);
+      const rows = cols - i;
+      grid[i] = [];
+      for (let j = 0; j <= rows; j++) grid[i][j] = j === 0 && i === cols ? aj : lerp(aj, bj, j / rows);
+    }
+    for (let i = 0; i < cols; i++) {
+      for (let j = 0; j < 2 * (cols - i) - 1; j++) {
+        const k = Math.floor(j / 2);
+        if (j % 2 === 0) points.push(grid[i][k + 1], grid[i + 1][k], grid[i][k]);
+        else points.push(grid[i][k + 1], grid[i + 1][k + 1], grid[i + 1][k]);
+      }
+    }
+  }
+  const positions = points.map(point => normalize(point).map(c => c * radius));
+
+  const azimuth = ([x, , z]) => Math.atan2(z, -x);
+  const inclination = ([x, y, z]) => Math.atan2(-y, Math.sqrt(x * x + z * z));
+  const uvs = positions.map(v => [azimuth(v) / 2 / Math.PI + 0.5, 1 - (inclination(v) / Math.PI + 0.5)]);
+  for (let i = 0; i < positions.length; i += 3) {
+    const triangle = positions.slice(i, i + 3);
+    const centroid = [0, 1, 2].map(k => (triangle[0][k] + triangle[1][k] + triangle[2][k]) / 3);
+    const azi = azimuth(centroid);
+    triangle.forEach((v, n) => {
+      const uv = uvs[i + n];
+      if (azi < 0 && uv[0] === 1) uv[0] -= 1;
+      // Poles take the azimuth of their face
+      if (v[0] === 0 && v[2] === 0) uv[0] = azi / 2 / Math.PI + 0.5;
+    });
+    // Faces straddling the u=0/1 seam wrap around instead of spanning the whole texture
+    const us = [0, 1, 2].map(n => uvs[i + n][0]);
+    if (Math.max(...us) > 0.9 && Math.min(...us) < 0.1) {
+      [0, 1, 2].forEach(n => {
+        if (uvs[i + n][0] < 0.2) uvs[i + n][0] += 1;
+      });
+    }
+  }
+
+  positions.forEach((v, i) => {
+    out.positions.push(...v);
+    out.uvs.push(...uvs[i]);
+    out.indices.push(i);
+  });
+  if (detail === 0) {
+    for (let i = 0; i < positions.length; i += 3) {
+      const [a, b, c] = positions.slice(i, i + 3);
+      const normal = normalize(cross(b.map((x, k) => x - a[k]), c.map((x, k) => x - a[k])));
+      out.normals.push(...normal, ...normal, ...normal);
+    }
+  } else {
+    positions.forEach(v => out.normals.push(...normalize(v)));
+  }
+  return out;
+}
+
+function buildInlineMesh(data) {
+  const positions = data.positions || [];
+  const vertexCount = Math.floor(positions.length / 3);
+  const indices = data.indices && data.indices.length
+    ? data.indices
+    : Array.from({ length: vertexCount }, (_, i) => i);
+  const normals = data.normals && data.normals.length === positions.length
+    ? data.normals
+    : computeVertexNormals(positions, indices);
+  const uvs = data.uvs && data.uvs.length === vertexCount * 2
+    ? data.uvs
+    : new Array(vertexCount * 2).fill(0);
+  return { positions, normals, uvs, indices };
+}
+
+// Element types of base64 vertex arrays: [bytes, DataView getter]; data is little-endian
+const VERTEX_ARRAY_TYPES = {
+  int8: [1, 'getInt8'],
+  uint8: [1, 'getUint8'],
+  int16: [2, 'getInt16'],
+  uint16: [2, 'getUint16'],
+  int32: [4, 'getInt32'],
+  uint32: [4, 'getUint32'],
+  float32: [4, 'getFloat32'],
+  float64: [8, 'getFloat64'],
+};
+
+/**
+ * Numbers of a <positions>, <normals>, <uvs> or <indices> element: whitespace-separated
+ * text, or with encoding="base64" the bytes of a little-endian typed array
+ * @param options.encoding - 'text' (default) or 'base64'
+ * @param options.type - Element type of base64 data: float32 (default), float64, int8/16/32 or uint8/16/32
+ * @returns {number[]}
+ */
+export function parseVertexArray(text, { encoding = 'text', type = 'float32' } = {}) {
+  const content = String(text ?? '').trim();
+  if (encoding === 'base64') {
+    const format = VERTEX_ARRAY_TYPES[type];
+    if (!format) {
+      throw new Error(`Unknown array type "${type}" (expected one of: ${Object.keys(VERTEX_ARRAY_TYPES).join(', ')})`);
+    }
+    const compact = content.replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(compact)) throw new Error('Malformed base64 data');
+    const bytes = decodeBase64(compact);
+    const [size, getter] = format;
+    if (bytes.length % size) throw new Error(`${bytes.length} bytes of base64 data do not divide into ${type} values`);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return Array.from({ length: bytes.length / size }, (_, i) => view[getter](i * size, true));
+  }
+  if (encoding !== 'text') throw new Error(`Unknown encoding "${encoding}" (expected text or base64)`);
+
+  if (!content) return [];
+  const tokens = content.split(/[\s,]+/);
+  const invalid = tokens.find(token => !Number.isFinite(Number(token)));
+  if (invalid !== undefined) throw new Error(`"${invalid}" is not a number`);
+  return tokens.map(Number);
+}
+
+/**
+ * Consistency of inline mesh data: normals and uvs per position, whole triangles,
+ * indices in range
+ * @returns {string[]} Problems found (empty when the data is usable)
+ */
+export function checkMeshData(data) {
+  const { positions, normals, uvs, indices } = data;
+  if (!positions) return ['<positions> is required'];
+
+  const problems = [];
+  const vertexCount = Math.floor(positions.length / 3);
+  if (positions.length % 3) {
+    problems.push(`<positions> has ${positions.length} values, expected a multiple of 3`);
+  }
+  if (normals && normals.length !== vertexCount * 3) {
+    problems.push(`<normals> has ${normals.length} values, expected ${vertexCount * 3} (3 per vertex)`);
+  }
+  if (uvs && uvs.length !== vertexCount * 2) {
+    problems.push(`<uvs> has ${uvs.length} values, expected ${vertexCount * 2} (2 per vertex)`);
+  }
+  if (indices) {
+    if (indices.length % 3) problems.push(`<indices> has ${indices.length} values, expected a multiple of 3`);
+    const outOfRange = indices.find(i => !Number.isInteger(i) || i < 0 || i >= vertexCount);
+    if (outOfRange !== undefined) {
+      problems.push(`<indices> refers to vertex ${outOfRange}, but there are ${vertexCount} vertices`);
+    }
+  } else if (positions.length % 3 === 0 && vertexCount % 3) {
+    problems.push(`${vertexCount} vertices without <indices> do not make whole triangles`);
+  }
+  return problems;
+}
+
+export function decodeBase64(text) {
+  if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(text, 'base64'));
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Filled regions of 2D SVG path data (`d`) pushed out along +z, optionally bevelled.
+ * Port of THREE.ExtrudeGeometry (same layers, faces and world UVs), flat-shaded.
+ * SVG's y axis points down, so y is flipped to keep the outline upright.
+ * Malformed path data or fill rules throw, naming the geometry (the validator's invalid-value).
+ */
+function buildExtrudeGeometry(params, id) {
+  const option = (name, fallback) => (params[name] === undefined ? fallback : Number(params[name]));
+  const bevelEnabled = params.bevelEnabled === true || params.bevelEnabled === 'true';
+  const bevelThickness = option('bevelThickness', 0.2);
+  const options = {
+    depth: option('depth', 1),
+    steps: Math.max(1, Math.floor(option('steps', 1))),
+    bevelSegments: bevelEnabled ? Math.max(1, Math.floor(option('bevelSegments', 3))) : 0,
+    bevelThickness: bevelEnabled ? bevelThickness : 0,
+    bevelSize: bevelEnabled ? option('bevelSize', bevelThickness - 0.1) : 0,
+    bevelOffset: bevelEnabled ? option('bevelOffset', 0) : 0,
+  };
+
+  const out = createBuffers();
+  let shapes;
+  try {
+    const contours = parseSVGPath(params.d, option('curveSegments', 12))
+      .map(contour => contour.map(([x, y]) => [x, -y]));
+    shapes = shapesFromContours(contours, String(params.fillRule || params['fill-rule'] || 'nonzero').trim());
+  } catch (err) {
+    throw new Error(`Invalid extrude geometry "${id}": ${err.message}`);
+  }
+  shapes.forEach(shape => extrudeShape(out, shape, options));
+  return out;
+}
+
+function extrudeShape(out, { outline, holes }, options) {
+  const { depth, steps, bevelSegments, bevelThickness, bevelSize, bevelOffset } = options;
+  const contours = [outline, ...holes];
+  const points = contours.flat();
+  // Contours run counter-clockwise around the solid, so walking them backwards puts "outside" on the left
+  const movements = contours.flatMap(contour => contour.map((point, i) => bevelVector(
+    point, contour[(i + 1) % contour.length], contour[(i + contour.length - 1) % contour.length]
+  )));
+
+  // Rings of vertices from the bottom bevel, through the steps, to the top bevel
+  const layers = [];
+  const addLayer = (size, z) => {
+    layers.push(points.map(([x, y], i) => [x + movements[i][0] * size, y + movements[i][1] * size, z]));
+  };
+  const bevel = t => [bevelSize * Math.sin(t * Math.PI / 2) + bevelOffset, bevelThickness * Math.cos(t * Math.PI / 2)];
+  for (let b = 0; b < bevelSegments; b++) {
+    const [size, z] = bevel(b / bevelSegments);
+    addLayer(size, -z);
+  }
+  for (let s = 0; s <= steps; s++) addLayer(bevelSize + bevelOffset, (depth / steps) * s);
+  for (let b = bevelSegments - 1; b >= 0; b--) {
+    const [size, z] = bevel(b / bevelSegments);
+    addLayer(size, depth + z);
+  }
+
+  const triangle = (vertices, uvs) => {
+    const start = out.positions.length / 3;
+    const [a, b, c] = vertices;
+    const normal = normalize(cross(b.map((v, k) => v - a[k]), c.map((v, k) => v - a[k])));
+    vertices.forEach((vertex, i) => {
+      out.positions.push(...vertex);
+      out.normals.push(...normal);
+      out.uvs.push(...uvs[i]);
+    });
+    out.indices.push(start, start + 1, start + 2);
+  };
+
+  // Lids: bottom faces -z, top faces +z; UVs are the x/y coordinates
+  const faces = triangulatePolygon(outline, holes);
+  const lid = (layer, indices) => {
+    const vertices = indices.map(i => layer[i]);
+    triangle(vertices, vertices.map(([x, y]) => [x, y]));
+  };
+  for (let i = 0; i < faces.length; i += 3) lid(layers[0], [faces[i + 2], faces[i + 1], faces[i]]);
+  for (let i = 0; i < faces.length; i += 3) lid(layers[layers.length - 1], faces.slice(i, i + 3));
+
+  // Side walls: one quad per contour edge and layer; UVs follow the edge's dominant axis and z
+  let offset = 0;
+  contours.forEach(contour => {
+    contour.forEach((_, j) => {
+      const i = offset + j;
+      const k = offset + (j + 1) % contour.length;
+      for (let s = 0; s < layers.length - 1; s++) {
+        const quad = [layers[s][i], layers[s][k], layers[s + 1][k], layers[s + 1][i]];
+        const alongX = Math.abs(quad[0][1] - quad[1][1]) < Math.abs(quad[0][0] - quad[1][0]);
+        const uvs = quad.map(v => [alongX ? v[0] : v[1], 1 - v[2]]);
+        triangle([quad[0], quad[1], quad[3]], [uvs[0], uvs[1], uvs[3]]);
+        triangle([quad[1], quad[2], quad[3]], [uvs[1], uvs[2], uvs[3]]);
+      }
+    });
+    offset += contour.length;
+  });
+}
+
+/**
+ * THREE.ExtrudeGeometry getBevelVec: where a contour point moves when the contour is
+ * offset by 1 to the left of the walking direction (not normalized at sharp corners,
+ * but capped to avoid spikes)
+ */
+function bevelVector([x, y], [prevX, prevY], [nextX, nextY]) {
+  const prev = [x - prevX, y - prevY];
+  const next = [nextX - x, nextY - y];
+  const prevLengthSq = prev[0] * prev[0] + prev[1] * prev[1];
+  const collinear = prev[0] * next[1] - prev[1] * next[0];
+
+  if (Math.abs(collinear) > Number.EPSILON) {
+    const prevLength = Math.sqrt(prevLengthSq);
+    const nextLength = Math.hypot(next[0], next[1]);
+    // Intersect the two adjacent edges shifted one unit to the left
+    const prevShift = [prevX - prev[1] / prevLength, prevY + prev[0] / prevLength];
+    const nextShift = [nextX - next[1] / nextLength, nextY + next[0] / nextLength];
+    const sf = ((nextShift[0] - prevShift[0]) * next[1] - (nextShift[1] - prevShift[1]) * next[0]) / collinear;
+    const move = [prevShift[0] + prev[0] * sf - x, prevShift[1] + prev[1] * sf - y];
+    const moveLengthSq = move[0] * move[0] + move[1] * move[1];
+    if (moveLengthSq <= 2) return move;
+    const shrink = Math.sqrt(moveLengthSq / 2);
+    return [move[0] / shrink, move[1] / shrink];
+  }
+
+  // Straight continuation: plain left normal; spike (edges fold back): along the edge
+  const sameDirection = prev[0] * next[0] + prev[1] * next[1] > 0;
+  if (sameDirection) {
+    const length = Math.sqrt(prevLengthSq);
+    return [-prev[1] / length, prev[0] / length];
+  }
+  const shrink = Math.sqrt(prevLengthSq / 2);
+  return [prev[0] / shrink, prev[1] / shrink];
+}
+
+/**
+ * Area-weighted smooth vertex normals for an indexed triangle list
+ */
+export function computeVertexNormals(positions, indices) {
+  const normals = new Array(positions.length).fill(0);
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+    const ab = [0, 1, 2].map(k => positions[b * 3 + k] - positions[a * 3 + k]);
+    const ac = [0, 1, 2].map(k => positions[c * 3 + k] - positions[a * 3 + k]);
+    const n = [
+      ab[1] * ac[2] - ab[2] * ac[1],
+      ab[2] * ac[0] - ab[0] * ac[2],
+      ab[0] * ac[1] - ab[1] * ac[0],
+    ];
+    [a, b, c].forEach(v => {
+      normals[v * 3] += n[0];
+      normals[v * 3 + 1] += n[1];
+      normals[v * 3 + 2] += n[2];
+    });
+  }
+  for (let v = 0; v < normals.length; v += 3) {
+    const [x, y, z] = normalize(normals.slice(v, v + 3));
+    normals[v] = x;
+    normals[v + 1] = y;
+    normals[v + 2] = z;
+  }
+  return normals;
+}
+
+// ============================================================================
+// 2. TRANSFORM MATH - Euler angles, quaternions, matrices and colors
+// ============================================================================
+
+export function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+/**
+ * Euler angles (radians) to quaternion [x, y, z, w], same convention as
+ * THREE.Quaternion#setFromEuler
+ */
+export function eulerToQuaternion(x, y, z, order = 'XYZ') {
+  const c1 = Math.cos(x / 2);
+  const c2 = Math.cos(y / 2);
+  const c3 = Math.cos(z / 2);
+  const s1 = Math.sin(x / 2);
+  const s2 = Math.sin(y / 2);
+  const s3 = Math.sin(z / 2);
+
+  switch (order) {
+    case 'YXZ':
+      return [s1 * c2 * c3 + c1 * s2 * s3, c1 * s2 * c3 - s1 * c2 * s3, c1 * c2 * s3 - s1 * s2 * c3, c1 * c2 * c3 + s1 * s2 * s3];
+    case 'ZXY':
+      return [s1 * c2 * c3 - c1 * s2 * s3, c1 * s2 * c3 + s1 * c2 * s3, c1 * c2 * s3 + s1 * s2 * c3, c1 * c2 * c3 - s1 * s2 * s3];
+    case 'ZYX':
+      return [s1 * c2 * c3 - c1 * s2 * s3, c1 * s2 * c3 + s1 * c2 * s3, c1 * c2 * s3 - s1 * s2 * c3, c1 * c2 * c3 + s1 * s2 * s3];
+    case 'YZX':
+      return [s1 * c2 * c3 + c1 * s2 * s3, c1 * s2 * c3 + s1 * c2 * s3, c1 * c2 * s3 - s1 * s2 * c3, c1 * c2 * c3 - s1 * s2 * s3];
+    case 'XZY':
+      return [s1 * c2 * c3 - c1 * s2 * s3, c1 * s2 * c3 - s1 * c2 * s3, c1 * c2 * s3 + s1 * s2 * c3, c1 * c2 * c3 + s1 * s2 * s3];
+    default:
+      return [s1 * c2 * c3 + c1 * s2 * s3, c1 * s2 * c3 - s1 * c2 * s3, c1 * c2 * s3 + s1 * s2 * c3, c1 * c2 * c3 - s1 * s2 * s3];
+  }
+}
+
+/**
+ * Quaternion [x, y, z, w] to Euler angles (radians) in the given order, same
+ * convention as THREE.Euler#setFromQuaternion
+ */
+export function quaternionToEuler([x, y, z, w], order = 'XYZ') {
+  const m11 = 1 - 2 * (y * y + z * z);
+  const m12 = 2 * (x * y - z * w);
+  const m13 = 2 * (x * z + y * w);
+  const m21 = 2 * (x * y + z * w);
+  const m22 = 1 - 2 * (x * x + z * z);
+  const m23 = 2 * (y * z - x * w);
+  const m31 = 2 * (x * z - y * w);
+  const m32 = 2 * (y * z + x * w);
+  const m33 = 1 - 2 * (x * x + y * y);
+  const asin = v => Math.asin(Math.max(-1, Math.min(1, v)));
+  // Past this the middle angle is at +-90 degrees (gimbal lock) and the first angle absorbs the rest
+  const locked = v => Math.abs(v) >= 0.9999999;
+
+  switch (order) {
+    case 'YXZ':
+      return locked(m23)
+        ? [asin(-m23), Math.atan2(-m31, m11), 0]
+        : [asin(-m23), Math.atan2(m13, m33), Math.atan2(m21, m22)];
+    case 'ZXY':
+      return locked(m32)
+        ? [asin(m32), 0, Math.atan2(m21, m11)]
+        : [asin(m32), Math.atan2(-m31, m33), Math.atan2(-m12, m22)];
+    case 'ZYX':
+      return locked(m31)
+        ? [0, asin(-m31), Math.atan2(-m12, m22)]
+        : [Math.atan2(m32, m33), asin(-m31), Math.atan2(m21, m11)];
+    case 'YZX':
+      return locked(m21)
+        ? [0, Math.atan2(m13, m33), asin(m21)]
+        : [Math.atan2(-m23, m22), Math.atan2(-m31, m11), asin(m21)];
+    case 'XZY':
+      return locked(m12)
+        ? [Math.atan2(-m23, m33), 0, asin(-m12)]
+        : [Math.atan2(m32, m22), Math.atan2(m13, m11), asin(-m12)];
+    default:
+      return locked(m13)
+        ? [Math.atan2(m32, m22), asin(m13), 0]
+        : [Math.atan2(-m23, m33), asin(m13), Math.atan2(-m12, m11)];
+  }
+}
+
+/**
+ * Hamilton product a * b: the rotation b followed by a
+ */
+export function multiplyQuaternions([ax, ay, az, aw], [bx, by, bz, bw]) {
+  return [
+    ax * bw + aw * bx + ay * bz - az * by,
+    ay * bw + aw * by + az * bx - ax * bz,
+    az * bw + aw * bz + ax * by - ay * bx,
+    aw * bw - ax * bx - ay * by - az * bz,
+  ];
+}
+
+/**
+ * Spherical interpolation from a to b along the shorter arc. t outside 0..1
+ * extrapolates, so slerpQuaternions(identity, q, n) is q applied n times.
+ */
+export function slerpQuaternions(a, b, t) {
+  let cos = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+  const target = cos < 0 ? b.map(c => -c) : b;
+  cos = Math.abs(cos);
+
+  let wa = 1 - t;
+  let wb = t;
+  // Nearly identical rotations: plain lerp avoids dividing by sin(0)
+  if (cos < 0.9999) {
+    const angle = Math.acos(Math.min(cos, 1));
+    const sin = Math.sin(angle);
+    wa = Math.sin((1 - t) * angle) / sin;
+    wb = Math.sin(t * angle) / sin;
+  }
+  const q = a.map((c, k) => c * wa + target[k] * wb);
+  const length = Math.hypot(...q) || 1;
+  return q.map(c => c / length);
+}
+
+/**
+ * Split a column-major 4x4 matrix into translation, quaternion and scale
+ */
+export function decomposeMatrix(m) {
+  const translation = [m[12], m[13], m[14]];
+  let sx = Math.hypot(m[0], m[1], m[2]);
+  const sy = Math.hypot(m[4], m[5], m[6]);
+  const sz = Math.hypot(m[8], m[9], m[10]);
+
+  // A negative determinant means one axis is mirrored
+  const det = m[0] * (m[5] * m[10] - m[6] * m[9]) -
+    m[4] * (m[1] * m[10] - m[2] * m[9]) +
+    m[8] * (m[1] * m[6] - m[2] * m[5]);
+  if (det < 0) sx = -sx;
+
+  const r = [
+    m[0] / sx, m[1] / sx, m[2] / sx,
+    m[4] / sy, m[5] / sy, m[6] / sy,
+    m[8] / sz, m[9] / sz, m[10] / sz,
+  ];
+  // Rotation matrix (column-major r) -> quaternion, as in THREE.Quaternion#setFromRotationMatrix
+  const [m11, m21, m31, m12, m22, m32, m13, m23, m33] = r;
+  const trace = m11 + m22 + m33;
+  let quaternion;
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    quaternion = [(m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s];
+  } else if (m11 > m22 && m11 > m33) {
+    const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+    quaternion = [0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s];
+  } else if (m22 > m33) {
+    const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+    quaternion = [(m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s];
+  } else {
+    const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+    quaternion = [(m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s];
+  }
+
+  return { translation, quaternion, scale: [sx, sy, sz] };
+}
+
+/**
+ * Column-major 4x4 matrix from position, quaternion and scale
+ * (same as THREE.Matrix4#compose)
+ */
+export function composeMatrix(position, [x, y, z, w], scale) {
+  const [sx, sy, sz] = scale;
+  const x2 = x + x, y2 = y + y, z2 = z + z;
+  const xx = x * x2, xy = x * y2, xz = x * z2;
+  const yy = y * y2, yz = y * z2, zz = z * z2;
+  const wx = w * x2, wy = w * y2, wz = w * z2;
+  return [
+    (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+    (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+    (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+    position[0], position[1], position[2], 1,
+  ];
+}
+
+export function multiplyMatrices(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      out[col * 4 + row] =
+        a[row] * b[col * 4] +
+        a[4 + row] * b[col * 4 + 1] +
+        a[8 + row] * b[col * 4 + 2] +
+        a[12 + row] * b[col * 4 + 3];
+    }
+  }
+  return out;
+}
+
+/**
+ * Inverse of an affine (translation/rotation/scale) column-major matrix
+ */
+export function invertMatrix(m) {
+  const [a, b, c, , d, e, f, , g, h, i] = m;
+  const det = a * (e * i - f * h) - d * (b * i - c * h) + g * (b * f - c * e);
+  if (det === 0) return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  const r = [
+    (e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det,
+    (f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det,
+    (d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det,
+  ];
+  const [tx, ty, tz] = [m[12], m[13], m[14]];
+  return [
+    r[0], r[1], r[2], 0,
+    r[3], r[4], r[5], 0,
+    r[6], r[7], r[8], 0,
+    -(r[0] * tx + r[3] * ty + r[6] * tz),
+    -(r[1] * tx + r[4] * ty + r[7] * tz),
+    -(r[2] * tx + r[5] * ty + r[8] * tz),
+    1,
+  ];
+}
+
+export function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14],
+  ];
+}
+
+/**
+ * Parse an SVG3 color ("#rgb", "#rrggbb" or a number) to sRGB [r, g, b] in 0..1
+ */
+export function parseColor(value, fallback = [1, 1, 1]) {
+  if (typeof value === 'number') {
+    return [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+  }
+  const hex = typeof value === 'string' ? value.trim().replace(/^#/, '') : '';
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    return hex.split('').map(h => parseInt(h + h, 16) / 255);
+  }
+  if (/^[0-9a-f]{6}$/i.test(hex)) {
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  }
+  return fallback;
+}
+
+export function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+export function linearToSrgb(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+/**
+ * sRGB [r, g, b] in 0..1 to "#rrggbb"
+ */
+export function formatColor(rgb) {
+  return '#' + rgb
+    .map(c => Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * sRGB [r, g, b] in 0..1 to [hue, saturation, lightness], all in 0..1
+ */
+export function rgbToHsl([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return [0, 0, l];
+
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h / 6, s, l];
+}
+
+/**
+ * [hue, saturation, lightness] in 0..1 (hue wraps) to sRGB [r, g, b]
+ */
+export function hslToRgb([h, s, l]) {
+  if (s === 0) return [l, l, l];
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = t => {
+    t = ((t % 1) + 1) % 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)];
+}
+
+/**
+ * Rotation quaternion that turns local +Z toward `direction`, keeping local +Y
+ * as close to `up` as possible (like THREE.Object3D#lookAt for meshes)
+ */
+export function lookRotation(direction, up = [0, 1, 0]) {
+  const forward = normalize(direction);
+  let right = cross(up, forward);
+  // Looking straight along the up axis: any perpendicular will do
+  if (Math.hypot(...right) < 1e-9) right = cross(Math.abs(forward[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0], forward);
+  right = normalize(right);
+  const trueUp = cross(forward, right);
+  return decomposeMatrix([
+    ...right, 0,
+    ...trueUp, 0,
+    ...forward, 0,
+    0, 0, 0, 1,
+  ]).quaternion;
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * The largest rectangle of the given aspect ratio centered in width x height,
+ * i.e. the area a camera with a fixed aspect draws into
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function letterbox(width, height, aspect) {
+  if (!(aspect > 0)) return { x: 0, y: 0, width, height };
+  const w = Math.min(width, height * aspect);
+  const h = Math.min(height, width / aspect);
+  return { x: (width - w) / 2, y: (height - h) / 2, width: w, height: h };
+}
+
+// ============================================================================
+// 3. PATHS - SVG path data extended to 3D, for <path3d> and <animateMotion>
+// ============================================================================
+
+const PATH_TOKEN = /\s*(?:([A-Za-z])|([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?))\s*,?/y;
+// Coordinates per command: each point is "x y z"
+const PATH_ARITY = { M: 3, L: 3, Q: 6, C: 9, Z: 0 };
+
+/**
+ * Parse 3D path data, e.g. "M 0 0 0 L 1 0 0 Q 2 0 0 2 1 0 C 2 2 0 0 2 1 0 0 2 Z".
+ * Supports M, L, Q, C and Z (lowercase = relative); every point has three coordinates.
+ * @returns {{ subpath: number, points: number[][] }[]} Line / quadratic / cubic segments
+ *   with absolute control points, first point = segment start
+ */
+export function parsePath3D(d) {
+  const tokens = [];
+  const text = String(d ?? '');
+  PATH_TOKEN.lastIndex = 0;
+  while (PATH_TOKEN.lastIndex < text.length) {
+    const start = PATH_TOKEN.lastIndex;
+    const match = PATH_TOKEN.exec(text);
+    if (!match || PATH_TOKEN.lastIndex === start) {
+      if (!text.slice(start).trim()) break;
+      throw new Error(`Invalid path data at "${text.slice(start, start + 10).trim()}"`);
+    }
+    tokens.push(match[1] || Number(match[2]));
+  }
+
+  const segments = [];
+  let current = [0, 0, 0];
+  let subpathStart = null;
+  let subpath = -1;
+  let i = 0;
+  while (i < tokens.length) {
+    const command = tokens[i++];
+    if (typeof command !== 'string') throw new Error(`Path data must start with a command, found "${command}"`);
+    const type = command.toUpperCase();
+    if (!(type in PATH_ARITY)) throw new Error(`Unsupported path command "${command}" (expected M, L, Q, C or Z)`);
+    const relative = command !== type;
+
+    if (type === 'Z') {
+      if (subpathStart && current.some((c, k) => c !== subpathStart[k])) {
+        segments.push({ subpath, points: [current, subpathStart] });
+      }
+      if (subpathStart) current = subpathStart;
+      continue;
+    }
+
+    // A command repeats while numbers follow; extra points after M are line-tos
+    let repeat = type;
+    do {
+      const numbers = tokens.slice(i, i + PATH_ARITY[repeat]);
+      if (numbers.length < PATH_ARITY[repeat] || numbers.some(n => typeof n !== 'number')) {
+        throw new Error(`Path command "${command}" needs ${PATH_ARITY[repeat]} numbers`);
+      }
+      i += PATH_ARITY[repeat];
+      const origin = current;
+      const points = [];
+      for (let k = 0; k < numbers.length; k += 3) {
+        points.push(numbers.slice(k, k + 3).map((n, axis) => (relative ? n + origin[axis] : n)));
+      }
+      if (repeat === 'M') {
+        subpath += 1;
+        subpathStart = points[0];
+        repeat = 'L';
+      } else {
+        if (!subpathStart) throw new Error('Path data must start with M');
+        segments.push({ subpath, points: [origin, ...points] });
+      }
+      current = points[points.length - 1];
+    } while (typeof tokens[i] === 'number');
+  }
+
+  if (!segments.length) throw new Error('Path data has no segments');
+  return segments;
+}
+
+/**
+ * Flatten path segments into a polyline with cumulative arc lengths
+ * @param steps - Line pieces per curved segment
+ * @returns {{ points: number[][], tangents: number[][], lengths: number[], vertices: number[], length: number }}
+ *   `vertices` holds the arc length at the start of the path and at the end of every segment
+ */
+export function flattenPath3D(segments, steps = 32) {
+  const points = [];
+  const tangents = [];
+  const lengths = [];
+  const vertices = [0];
+  let length = 0;
+  let previousSubpath = null;
+
+  segments.forEach(({ subpath, points: controls }) => {
+    const pieces = controls.length === 2 ? 1 : steps;
+    // Joins are kept twice (same arc length) so the tangent turns sharply at corners
+    for (let s = 0; s <= pieces; s++) {
+      const t = s / pieces;
+      const point = bezierPoint(controls, t);
+      if (points.length && subpath === previousSubpath) {
+        length += Math.hypot(...point.map((c, k) => c - points[points.length - 1][k]));
+      }
+      points.push(point);
+      // Coincident control points give a zero derivative at the ends; fall back to the chord
+      const derivative = bezierDerivative(controls, t);
+      const chord = controls[controls.length - 1].map((c, k) => c - controls[0][k]);
+      tangents.push(normalize(Math.hypot(...derivative) > 1e-12 ? derivative : chord));
+      lengths.push(length);
+      previousSubpath = subpath;
+    }
+    vertices.push(length);
+  });
+
+  return { points, tangents, lengths, vertices, length };
+}
+
+/**
+ * Point and unit tangent at `distance` along a flattened path (clamped to its ends)
+ */
+export function samplePath3D(path, distance) {
+  const { points, tangents, lengths } = path;
+  const d = Math.min(Math.max(distance, 0), path.length);
+  let lo = 0;
+  let hi = lengths.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (lengths[mid] <= d) lo = mid; else hi = mid;
+  }
+  const span = lengths[hi] - lengths[lo];
+  const t = span > 0 ? Math.min(Math.max((d - lengths[lo]) / span, 0), 1) : 1;
+  const mix = (a, b) => a.map((c, k) => c + (b[k] - c) * t);
+  return { point: mix(points[lo], points[hi]), tangent: normalize(mix(tangents[lo], tangents[hi])) };
+}
+
+// De Casteljau evaluation of a line / quadratic / cubic bezier
+function bezierPoint(controls, t) {
+  let level = controls;
+  while (level.length > 1) {
+    level = level.slice(1).map((p, i) => p.map((c, k) => level[i][k] + (c - level[i][k]) * t));
+  }
+  return level[0];
+}
+
+function bezierDerivative(controls, t) {
+  const n = controls.length - 1;
+  const deltas = controls.slice(1).map((p, i) => p.map((c, k) => (c - controls[i][k]) * n));
+  return bezierPoint(deltas, t);
+}
+
+// ============================================================================
+// 4. SHAPES - 2D SVG path data filled into polygons, for type="extrude" geometry
+// ============================================================================
+
+// Numbers per segment of each SVG path command
+const SVG_PATH_ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+const SVG_NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Flatten standard SVG path data into closed contours, e.g. "M0 0 H2 V1 A1 1 0 0 1 0 1 Z".
+ * Supports M, L, H, V, C, S, Q, T, A and Z (lowercase = relative). Curves become
+ * `curveSegments` straight pieces, arcs up to twice as many per half turn.
+ * @returns {number[][][]} Contours of [x, y] points (SVG coordinates, y down), implicitly closed
+ */
+export function parseSVGPath(d, curveSegments = 12) {
+  const text = String(d ?? '');
+  let pos = 0;
+  const skip = () => {
+    while (pos < text.length && /[\s,]/.test(text[pos])) pos++;
+  };
+  const readNumber = () => {
+    skip();
+    SVG_NUMBER.lastIndex = pos;
+    const match = SVG_NUMBER.exec(text);
+    if (!match) return null;
+    pos = SVG_NUMBER.lastIndex;
+    return Number(match[0]);
+  };
+  // Arc flags are single digits and may run into the next number ("a1 1 0 01.5 2")
+  const readFlag = () => {
+    skip();
+    if (text[pos] !== '0' && text[pos] !== '1') return null;
+    return Number(text[pos++]);
+  };
+
+  const contours = [];
+  let contour = null;
+  let current = [0, 0];
+  let start = [0, 0];
+  let moved = false;
+  // Last command and control point, reflected by S and T
+  let previous = null;
+  let control = null;
+  const lineTo = point => {
+    // Drawing on after Z starts a new contour at the closed subpath's start
+    if (!contour) contour = [current];
+    contour.push(point);
+    current = point;
+  };
+  const curveTo = controls => {
+    for (let s = 1; s <= curveSegments; s++) lineTo(bezierPoint([current, ...controls], s / curveSegments));
+  };
+  const finish = () => {
+    if (contour) contours.push(contour);
+    contour = null;
+  };
+
+  skip();
+  while (pos < text.length) {
+    const command = text[pos++];
+    const type = command.toUpperCase();
+    if (!(type in SVG_PATH_ARITY)) {
+      throw new Error(`Invalid path data at "${text.slice(pos - 1, pos + 9).trim()}"`);
+    }
+    if (type !== 'M' && !moved) throw new Error('Path data must start with M');
+    const relative = command !== type;
+
+    if (type === 'Z') {
+      finish();
+      current = start;
+      previous = 'Z';
+      skip();
+      continue;
+    }
+
+    // A command repeats while numbers follow; extra points after M are line-tos
+    let repeat = type;
+    do {
+      const args = [];
+      for (let k = 0; k < SVG_PATH_ARITY[repeat]; k++) {
+        const value = repeat === 'A' && (k === 3 || k === 4) ? readFlag() : readNumber();
+        if (value === null) throw new Error(`Path command "${command}" needs ${SVG_PATH_ARITY[repeat]} numbers`);
+        args.push(value);
+      }
+      const [ox, oy] = relative ? current : [0, 0];
+      const point = i => [args[i] + ox, args[i + 1] + oy];
+      const reflected = types => (types.includes(previous) ? [2 * current[0] - control[0], 2 * current[1] - control[1]] : current);
+      let nextControl = null;
+
+      switch (repeat) {
+        case 'M':
+          finish();
+          current = start = point(0);
+          moved = true;
+          contour = [current];
+          repeat = 'L';
+          break;
+        case 'L':
+          lineTo(point(0));
+          break;
+        case 'H':
+          lineTo([args[0] + ox, current[1]]);
+          break;
+        case 'V':
+          lineTo([current[0], args[0] + (relative ? current[1] : 0)]);
+          break;
+        case 'C':
+          nextControl = point(2);
+          curveTo([point(0), nextControl, point(4)]);
+          break;
+        case 'S':
+          nextControl = point(0);
+          curveTo([reflected(['C', 'S']), nextControl, point(2)]);
+          break;
+        case 'Q':
+          nextControl = point(0);
+          curveTo([nextControl, point(2)]);
+          break;
+        case 'T':
+          nextControl = reflected(['Q', 'T']);
+          curveTo([nextControl, point(0)]);
+          break;
+        case 'A':
+          arcPoints(current, args, point(5), curveSegments).forEach(lineTo);
+          break;
+      }
+      previous = repeat;
+      control = nextControl;
+      skip();
+    } while (pos < text.length && /[\d+\-.]/.test(text[pos]));
+  }
+  finish();
+
+  // Drop repeated points (including the closing point) and contours that enclose nothing
+  return contours
+    .map(points => points.filter((p, i) => {
+      const next = points[(i + 1) % points.length];
+      return points.length === 1 || p[0] !== next[0] || p[1] !== next[1];
+    }))
+    .filter(points => points.length >= 3);
+}
+
+/**
+ * Points along an SVG elliptical arc (endpoint parameterization, SVG 1.1 F.6.5),
+ * without the start point. Radii too small to reach the end point are scaled up.
+ */
+function arcPoints([x1, y1], [rx, ry, angle, largeArc, sweep], [x2, y2], curveSegments) {
+  if (x1 === x2 && y1 === y2) return [];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry) return [[x2, y2]];
+
+  const phi = angle * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const factor = Math.sqrt(Math.max(0, numerator / denominator)) * (largeArc === sweep ? -1 : 1);
+  const cxp = factor * rx * y1p / ry;
+  const cyp = -factor * ry * x1p / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const u = [(x1p - cxp) / rx, (y1p - cyp) / ry];
+  const v = [(-x1p - cxp) / rx, (-y1p - cyp) / ry];
+  const theta = Math.atan2(u[1], u[0]);
+  let delta = Math.atan2(u[0] * v[1] - u[1] * v[0], u[0] * v[0] + u[1] * v[1]);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const pieces = Math.max(1, Math.ceil((curveSegments * 2 * Math.abs(delta)) / Math.PI));
+  const points = [];
+  for (let i = 1; i < pieces; i++) {
+    const t = theta + (delta * i) / pieces;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+  points.push([x2, y2]);
+  return points;
+}
+
+/**
+ * Group contours into filled outlines with holes, following an SVG fill-rule.
+ * A contour is an outline when the area just inside it is filled and just outside
+ * is not, a hole when it is the other way round; contours that change nothing are dropped.
+ * @param fillRule - 'nonzero' (default) or 'evenodd'
+ * @returns {{ outline: number[][], holes: number[][][] }[]} Outlines counter-clockwise, holes clockwise
+ */
+export function shapesFromContours(contours, fillRule = 'nonzero') {
+  if (fillRule !== 'nonzero' && fillRule !== 'evenodd') {
+    throw new Error(`Unknown fill-rule "${fillRule}" (expected nonzero or evenodd)`);
+  }
+  const filled = winding => (fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0);
+
+  const outlines = [];
+  const holes = [];
+  contours.forEach((contour, index) => {
+    const area = signedArea(contour);
+    if (!area) return;
+    const sample = pointInside(contour);
+    const outside = contours.reduce((w, other, k) => (k === index ? w : w + windingNumber(other, sample)), 0);
+    const inside = outside + Math.sign(area);
+    if (filled(inside) && !filled(outside)) outlines.push(area > 0 ? contour : [...contour].reverse());
+    else if (!filled(inside) && filled(outside)) holes.push(area < 0 ? contour : [...contour].reverse());
+  });
+
+  // Each hole belongs to the smallest outline around it
+  const shapes = outlines.map(outline => ({ outline, holes: [] }));
+  holes.forEach(hole => {
+    const sample = pointInside(hole);
+    let owner = null;
+    shapes.forEach(shape => {
+      if (!windingNumber(shape.outline, sample)) return;
+      if (!owner || signedArea(shape.outline) < signedArea(owner.outline)) owner = shape;
+    });
+    if (owner) owner.holes.push(hole);
+  });
+  return shapes;
+}
+
+/**
+ * Triangulate a polygon with holes by ear clipping, after cutting each hole into
+ * the outline through a bridge to a visible outline vertex
+ * @param outline - Counter-clockwise [x, y] points
+ * @param holes - Clockwise [x, y] point lists inside the outline
+ * @returns {number[]} Counter-clockwise index triples into [...outline, ...holes.flat()]
+ */
+export function triangulatePolygon(outline, holes = []) {
+  const points = [outline, ...holes].flat();
+  let ring = outline.map((_, i) => i);
+  let offset = outline.length;
+  const holeRings = holes.map(hole => {
+    const indices = hole.map((_, i) => offset + i);
+    offset += hole.length;
+    return indices;
+  });
+
+  // Bridge the holes reaching furthest right first, so later bridges cannot cross earlier ones
+  const maxX = indices => Math.max(...indices.map(i => points[i][0]));
+  holeRings.sort((a, b) => maxX(b) - maxX(a)).forEach(hole => {
+    ring = bridgeHole(points, ring, hole);
+  });
+  return clipEars(points, ring);
+}
+
+// Cast a ray from the hole's rightmost point towards +x and join it to the nearest visible ring vertex
+function bridgeHole(points, ring, hole) {
+  const start = hole.reduce((best, index, i) => (points[index][0] > points[hole[best]][0] ? i : best), 0);
+  const from = points[hole[start]];
+  const [mx, my] = from;
+
+  let hitX = Infinity;
+  let target = -1;
+  ring.forEach((index, i) => {
+    const j = (i + 1) % ring.length;
+    const [ax, ay] = points[index];
+    const [bx, by] = points[ring[j]];
+    if ((ay > my) === (by > my) && ay !== my && by !== my) return;
+    if (ay === by) return;
+    const x = ax + ((my - ay) / (by - ay)) * (bx - ax);
+    if (x < mx || x >= hitX) return;
+    hitX = x;
+    if (ay === my) target = i;
+    else if (by === my) target = j;
+    else target = ax > bx ? i : j;
+  });
+
+  if (target < 0) {
+    // The hole is not enclosed by the ring: join it to the nearest vertex
+    const distance = i => Math.hypot(points[ring[i]][0] - mx, points[ring[i]][1] - my);
+    target = ring.reduce((best, _, i) => (distance(i) < distance(best) ? i : best), 0);
+  } else {
+    // Ring vertices inside the triangle (hole point, hit, target) would block the bridge;
+    // the one closest in angle to the ray is visible
+    const to = points[ring[target]];
+    let bestAngle = Infinity;
+    let blocker = -1;
+    ring.forEach((index, i) => {
+      const point = points[index];
+      if (i === target || samePoint(point, to) || !pointInTriangle(point, from, [hitX, my], to)) return;
+      const angle = Math.abs(Math.atan2(point[1] - my, point[0] - mx));
+      if (angle < bestAngle) {
+        bestAngle = angle;
+        blocker = i;
+      }
+    });
+    if (blocker >= 0) target = blocker;
+  }
+
+  const loop = [...hole.slice(start), ...hole.slice(0, start)];
+  return [...ring.slice(0, target + 1), ...loop, hole[start], ring[target], ...ring.slice(target + 1)];
+}
+
+function clipEars(points, ring) {
+  const triangles = [];
+  const remaining = [...ring];
+  let stalled = 0;
+  let i = 0;
+  while (remaining.length > 3) {
+    const n = remaining.length;
+    i %= n;
+    const [a, b, c] = [remaining[(i + n - 1) % n], remaining[i], remaining[(i + 1) % n]];
+    const [pa, pb, pc] = [points[a], points[b], points[c]];
+    const area = cross2D(pa, pb, pc);
+    const isEar = area > 0 && !remaining.some(index => {
+      const point = points[index];
+      return !samePoint(point, pa) && !samePoint(point, pb) && !samePoint(point, pc)
+        && pointInTriangle(point, pa, pb, pc);
+    });
+    // After a full lap without an ear (degenerate input) clip the next corner anyway
+    if (isEar || stalled >= n) {
+      if (area) triangles.push(a, b, c);
+      remaining.splice(i, 1);
+      stalled = 0;
+    } else {
+      i++;
+      stalled++;
+    }
+  }
+  if (remaining.length === 3 && cross2D(...remaining.map(index => points[index]))) triangles.push(...remaining);
+  return triangles;
+}
+
+function signedArea(contour) {
+  let area = 0;
+  contour.forEach(([x1, y1], i) => {
+    const [x2, y2] = contour[(i + 1) % contour.length];
+    area += x1 * y2 - x2 * y1;
+  });
+  return area / 2;
+}
+
+// Winding number of a closed contour around a point (counter-clockwise = +1)
+function windingNumber(contour, [px, py]) {
+  let winding = 0;
+  contour.forEach(([x1, y1], i) => {
+    const [x2, y2] = contour[(i + 1) % contour.length];
+    const side = (x2 - x1) * (py - y1) - (px - x1) * (y2 - y1);
+    if (y1 <= py && y2 > py && side > 0) winding += 1;
+    else if (y1 > py && y2 <= py && side < 0) winding -= 1;
+  });
+  return winding;
+}
+
+// A point just inside a contour: off the middle of its longest edge, on the enclosed side
+function pointInside(contour) {
+  let longest = 0;
+  let length = 0;
+  contour.forEach((p, i) => {
+    const q = contour[(i + 1) % contour.length];
+    const edge = Math.hypot(q[0] - p[0], q[1] - p[1]);
+    if (edge > length) {
+      length = edge;
+      longest = i;
+    }
+  });
+  const [x1, y1] = contour[longest];
+  const [x2, y2] = contour[(longest + 1) % contour.length];
+  const side = Math.sign(signedArea(contour)) * 1e-4;
+  return [(x1 + x2) / 2 - (y2 - y1) * side, (y1 + y2) / 2 + (x2 - x1) * side];
+}
+
+function cross2D(a, b, c) {
+  return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+function pointInTriangle(p, a, b, c) {
+  const d1 = cross2D(a, b, p);
+  const d2 = cross2D(b, c, p);
+  const d3 = cross2D(c, a, p);
+  return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+export default {
+  tessellateGeometry,
+  unknownGeometryType,
+  computeVertexNormals,
+  parseVertexArray,
+  checkMeshData,
+  decodeBase64,
+  eulerToQuaternion,
+  quaternionToEuler,
+  multiplyQuaternions,
+  slerpQuaternions,
+  decomposeMatrix,
+  composeMatrix,
+  multiplyMatrices,
+  invertMatrix,
+  transformPoint,
+  parseColor,
+  formatColor,
+  rgbToHsl,
+  hslToRgb,
+  lookRotation,
+  letterbox,
+  parsePath3D,
+  flattenPath3D,
+  samplePath3D,
+  parseSVGPath,
+  shapesFromContours,
+  triangulatePolygon,
+  srgbToLinear,
+  linearToSrgb,
+  normalize,
+};
@@ -0,0 +1,1020 @@
+/**
+ * SVG3 glTF Interop
+ * Export SVG3 scenes to glTF 2.0 (.gltf JSON or binary .glb) and import glTF back into .svg3
+ * Runs in Node and the browser - no WebGL or Three.js required
+ */
+
+import { AnimationEngine } from './svg3-complete.js';
+import { SVG3Serializer } from './svg3-serializer.js';
+import {
+  tessellateGeometry,
+  eulerToQuaternion,
+  quaternionToEuler,
+  decomposeMatrix,
+  composeMatrix,
+  multiplyMatrices,
+  invertMatrix,
+  transformPoint,
+  normalize,
+  parseColor,
+  formatColor,
+  srgbToLinear,
+  linearToSrgb,
+  decodeBase64,
+} from './svg3-geometry.js';
+
+// ============================================================================
+// 1. GLTF EXPORTER - SVG3Parser output -> glTF 2.0
+// ============================================================================
+
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_SHORT = 5123;
+const GL_UNSIGNED_INT = 5125;
+
+const GLB_MAGIC = 0x46546c67;
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+
+const CHANNEL_PATHS = { position: 'translation', rotation: 'rotation', scale: 'scale' };
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+export class SVG3GLTFExporter {
+  /**
+   * @param options.rotationSampleRate - Keyframes per second for resampled Euler rotation and keySplines
+   * @param options.maxRepeats - Iterations baked for animations that repeat indefinitely (default 10)
+   */
+  constructor(options = {}) {
+    // Euler rotation tracks and keySplines easing are resampled into linear keyframes at this rate
+    this.rotationSampleRate = options.rotationSampleRate || 30;
+    this.maxRepeats = options.maxRepeats || 10;
+    this.animationEngine = new AnimationEngine();
+    // What the last export left out or cut short, one message per animation or mesh
+    this.warnings = [];
+  }
+
+  /**
+   * Export as a .gltf document with the binary buffer embedded as a data URI
+   * @returns {object} glTF JSON (pass to JSON.stringify to write a file)
+   */
+  toGLTF(sceneData) {
+    const { json, bin } = this.build(sceneData);
+    if (bin.byteLength) {
+      json.buffers = [{
+        byteLength: bin.byteLength,
+        uri: `data:application/octet-stream;base64,${encodeBase64(bin)}`,
+      }];
+    }
+    return json;
+  }
+
+  /**
+   * Export as a binary .glb file
+   * @returns {Uint8Array}
+   */
+  toGLB(sceneData) {
+    const { json, bin } = this.build(sceneData);
+    if (bin.byteLength) json.buffers = [{ byteLength: bin.byteLength }];
+
+    const jsonBytes = padBytes(new TextEncoder().encode(JSON.stringify(json)), 0x20);
+    const binBytes = padBytes(bin, 0);
+    const total = 12 + 8 + jsonBytes.byteLength + (binBytes.byteLength ? 8 + binBytes.byteLength : 0);
+
+    const glb = new Uint8Array(total);
+    const view = new DataView(glb.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+    view.setUint32(12, jsonBytes.byteLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    glb.set(jsonBytes, 20);
+    if (binBytes.byteLength) {
+      const offset = 20 + jsonBytes.byteLength;
+      view.setUint32(offset, binBytes.byteLength, true);
+      view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+      glb.set(binBytes, offset + 8);
+    }
+    return glb;
+  }
+
+  /**
+   * Build the glTF JSON and binary payload (without the buffers entry)
+   */
+  build(sceneData) {
+    this.json = {
+      asset: { version: '2.0', generator: 'SVG3 glTF exporter' },
+      scene: 0,
+      scenes: [],
+      nodes: [],
+      meshes: [],
+      materials: [],
+      accessors: [],
+      bufferViews: [],
+      animations: [],
+    };
+    this.chunks = [];
+    this.byteLength = 0;
+    this.geometryDefs = new Map(sceneData.defs.geometries.map(g => [g.id, g]));
+    this.primitiveCache = new Map();
+    this.meshCache = new Map();
+    this.materialIndex = new Map();
+    this.channels = [];
+    this.warnings = [];
+
+    sceneData.defs.materials.forEach(mat => {
+      this.materialIndex.set(mat.id, this.json.materials.length);
+      this.json.materials.push(this.convertMaterial(mat));
+    });
+
+    sceneData.scenes.forEach(scene => {
+      const nodes = (scene.children || [])
+        .map(child => this.convertElement(child))
+        .filter(index => index !== null);
+      this.json.scenes.push({ name: scene.id || undefined, nodes });
+    });
+
+    if (this.channels.length) {
+      this.json.animations.push({
+        name: 'svg3-animations',
+        samplers: this.channels.map(c => c.sampler),
+        channels: this.channels.map((c, i) => ({ sampler: i, target: c.target })),
+      });
+    }
+
+    // glTF forbids empty top-level arrays
+    Object.keys(this.json).forEach(key => {
+      if (Array.isArray(this.json[key]) && !this.json[key].length) delete this.json[key];
+    });
+
+    const bin = new Uint8Array(this.byteLength);
+    this.chunks.forEach(({ offset, bytes }) => bin.set(bytes, offset));
+    return { json: this.json, bin };
+  }
+
+  convertElement(element) {
+    if (!['mesh', 'group', 'camera'].includes(element.tag)) return null;
+
+    const attrs = element.attrs || {};
+    const node = { name: element.id };
+    const pos = attrs.position || [0, 0, 0];
+    const rot = attrs.rotation || [0, 0, 0];
+    const scale = attrs.scale || [1, 1, 1];
+    if (pos.some(v => v !== 0)) node.translation = pos;
+    if (rot.some(v => v !== 0)) node.rotation = eulerToQuaternion(...rot, attrs.rotationOrder);
+    if (scale.some(v => v !== 1)) node.scale = scale;
+
+    if (element.tag === 'mesh') {
+      const mesh = this.getMesh(attrs.geometry, attrs.material);
+      if (mesh === null) {
+        this.warn(`Missing geometry or material for mesh ${element.id}`);
+      } else {
+        node.mesh = mesh;
+      }
+    } else if (element.tag === 'camera') {
+      delete node.rotation;
+      delete node.scale;
+      node.camera = this.addCamera(attrs);
+    }
+
+    const index = this.json.nodes.length;
+    this.json.nodes.push(node);
+
+    // A node property takes a single channel; as in the engine's sandwich, the later animation wins
+    const channels = new Map();
+    (element.animations || []).forEach(anim => {
+      const { path, reason } = this.channelPath(anim);
+      if (!path) {
+        this.warn(`${describeAnimation(anim, element)} skipped: ${reason}`);
+        return;
+      }
+      if (channels.has(path)) {
+        this.warn(`${describeAnimation(channels.get(path), element)} skipped: a later animation drives the same glTF ${path}`);
+      }
+      channels.set(path, anim);
+    });
+    channels.forEach((anim, path) => this.addAnimationChannel(index, anim, path, element));
+
+    const children = (element.children || [])
+      .map(child => this.convertElement(child))
+      .filter(child => child !== null);
+    if (children.length) node.children = children;
+
+    return index;
+  }
+
+  getMesh(geometryId, materialId) {
+    const geom = this.geometryDefs.get(geometryId);
+    if (!geom || !this.materialIndex.has(materialId)) return null;
+
+    const key = `${geometryId}|${materialId}`;
+    if (!this.meshCache.has(key)) {
+      this.meshCache.set(key, this.json.meshes.length);
+      this.json.meshes.push({
+        name: geometryId,
+        primitives: [{ ...this.getPrimitive(geom), material: this.materialIndex.get(materialId) }],
+      });
+    }
+    return this.meshCache.get(key);
+  }
+
+  getPrimitive(geom) {
+    if (!this.primitiveCache.has(geom.id)) {
+      const data = tessellateGeometry(geom);
+      const positions = new Float32Array(data.positions);
+      const vertexCount = positions.length / 3;
+      const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+
+      this.primitiveCache.set(geom.id, {
+        attributes: {
+          POSITION: this.addAccessor(positions, 'VEC3', GL_ARRAY_BUFFER, true),
+          NORMAL: this.addAccessor(new Float32Array(data.normals), 'VEC3', GL_ARRAY_BUFFER),
+          TEXCOORD_0: this.addAccessor(new Float32Array(data.uvs), 'VEC2', GL_ARRAY_BUFFER),
+        },
+        indices: this.addAccessor(new IndexArray(data.indices), 'SCALAR', GL_ELEMENT_ARRAY_BUFFER),
+      });
+    }
+    return this.primitiveCache.get(geom.id);
+  }
+
+  convertMaterial(mat) {
+    const p = mat.params;
+    const [r, g, b] = parseColor(p.color).map(srgbToLinear);
+    const opacity = p.opacity ?? 1;
+    const material = {
+      name: mat.id,
+      pbrMetallicRoughness: { baseColorFactor: [r, g, b, opacity] },
+    };
+
+    // Factor defaults mirror SVG3ThreeRenderer.buildMaterials
+    switch (mat.type) {
+      case 'standard':
+        material.pbrMetallicRoughness.metallicFactor = p.metalness || 0;
+        material.pbrMetallicRoughness.roughnessFactor = p.roughness || 0.5;
+        break;
+      case 'phong':
+        // Approximate Blinn-Phong shininess with a GGX roughness
+        material.pbrMetallicRoughness.metallicFactor = 0;
+        material.pbrMetallicRoughness.roughnessFactor = Math.sqrt(2 / ((p.shininess || 100) + 2));
+        break;
+      case 'lambert':
+        material.pbrMetallicRoughness.metallicFactor = 0;
+        material.pbrMetallicRoughness.roughnessFactor = 1;
+        break;
+      default:
+        material.extensions = { KHR_materials_unlit: {} };
+        this.useExtension('KHR_materials_unlit');
+    }
+
+    if (p.emissive && mat.type !== 'basic') {
+      // Standard materials scale emissive by emissiveIntensity; lambert/phong use it as-is
+      const intensity = mat.type === 'standard' ? (p.emissiveIntensity || 0) : 1;
+      const emissive = parseColor(p.emissive, [0, 0, 0]).map(c => Math.min(1, srgbToLinear(c) * intensity));
+      if (emissive.some(c => c > 0)) material.emissiveFactor = emissive;
+    }
+
+    if (opacity < 1) material.alphaMode = 'BLEND';
+    return material;
+  }
+
+  addCamera(attrs) {
+    this.json.cameras = this.json.cameras || [];
+    const zoom = attrs.zoom ?? 1;
+    const clip = { znear: attrs.near ?? 0.1, zfar: attrs.far ?? 1000 };
+    if (attrs.type === 'orthographic') {
+      // glTF frusta are centered: off-center bounds keep only their extent
+      const bounds = ['left', 'right', 'top', 'bottom'].every(name => attrs[name] !== undefined);
+      this.json.cameras.push({
+        type: 'orthographic',
+        orthographic: {
+          xmag: (bounds ? (attrs.right - attrs.left) / 2 : attrs.aspect || 1) / zoom,
+          ymag: (bounds ? (attrs.top - attrs.bottom) / 2 : 1) / zoom,
+          ...clip,
+        },
+      });
+    } else {
+      // glTF has no zoom; it narrows the field of view instead
+      const fov = (attrs.fov || 75) * Math.PI / 180;
+      this.json.cameras.push({
+        type: 'perspective',
+        perspective: {
+          yfov: 2 * Math.atan(Math.tan(fov / 2) / zoom),
+          ...clip,
+          ...(attrs.aspect ? { aspectRatio: attrs.aspect } : {}),
+        },
+      });
+    }
+    return this.json.cameras.length - 1;
+  }
+
+  /**
+   * glTF target path of an animation, or why glTF cannot express it
+   * (material and motion-path animations, additive layers)
+   * @returns {{ path?: string, reason?: string }}
+   */
+  channelPath(anim) {
+    if (anim.type === 'animateMotion') return { reason: 'motion paths are not exported' };
+    if (anim.additive === 'sum') return { reason: 'additive animations are not exported' };
+    const target = this.animationEngine.animationTargets(anim)[0];
+    if (!CHANNEL_PATHS[target]) return { reason: `glTF cannot animate "${target}"` };
+    return { path: CHANNEL_PATHS[target] };
+  }
+
+  addAnimationChannel(nodeIndex, anim, path, element) {
+    const rotationOrder = element.attrs?.rotationOrder || 'XYZ';
+    const keyframes = this.getKeyframes(anim, element);
+    if (!keyframes) return;
+
+    let times = keyframes.times;
+    let values = keyframes.values;
+    if (path === 'rotation') {
+      const slerp = this.animationEngine.slerps(anim);
+      ({ times, values } = this.sampleRotation(keyframes, rotationOrder, slerp));
+    }
+
+    const sampler = {
+      input: this.addAccessor(new Float32Array(times), 'SCALAR', undefined, true),
+      output: this.addAccessor(new Float32Array(values.flat()), path === 'rotation' ? 'VEC4' : 'VEC3'),
+      interpolation: keyframes.interpolation,
+    };
+    this.channels.push({ sampler, target: { node: nodeIndex, path } });
+  }
+
+  getKeyframes(anim, element) {
+    // glTF clips have no triggers: syncbase and event begin values play from the first offset (or 0)
+    const offsets = this.animationEngine.parseBeginList(anim.begin)
+      .filter(condition => condition.type === 'offset')
+      .map(condition => condition.offset);
+    const begin = offsets.length ? Math.max(0, Math.min(...offsets)) : 0;
+    const dur = this.animationEngine.parseTime(anim.dur || '1s');
+    if (!(dur > 0 && Number.isFinite(dur))) {
+      this.warn(`${describeAnimation(anim, element)} skipped: dur="${anim.dur}" has no finite length`);
+      return null;
+    }
+
+    // Same keyframe resolution as AnimationEngine (values / from-to-by, keyTimes, calcMode);
+    // to and by animations start from the node's own transform
+    const attrs = element.attrs || {};
+    const underlying = {
+      position: attrs.position || [0, 0, 0],
+      rotation: (attrs.rotation || [0, 0, 0]).map(v => v * 180 / Math.PI),
+      scale: attrs.scale || [1, 1, 1],
+    }[this.animationEngine.animationTargets(anim)[0]];
+    const keyframes = this.animationEngine.prepareKeyframes(anim, underlying);
+    let { values, keyTimes } = keyframes;
+    if (values.some(v => v.length !== 3 || v.some(Number.isNaN))) {
+      this.warn(`${describeAnimation(anim, element)} skipped: values are not x,y,z vectors`);
+      return null;
+    }
+
+    if (keyframes.calcMode === 'spline') {
+      // glTF has no bezier easing between keys; bake the keySplines into linear samples
+      const steps = Math.max(values.length - 1, Math.ceil(dur * this.rotationSampleRate));
+      keyTimes = Array.from({ length: steps + 1 }, (_, i) => i / steps);
+      values = keyTimes.map(t => this.animationEngine.interpolateKeyframes(keyframes, t));
+    }
+
+    // Repeats are baked into the clip; glTF has no looping of its own. Like begin
+    // triggers, end conditions are not kept.
+    if (anim.end !== null && anim.end !== undefined) {
+      this.warn(`${describeAnimation(anim, element)}: end="${anim.end}" is ignored`);
+    }
+    const timing = { ...anim, end: null, duration: dur, startTime: begin };
+    let iterations = this.animationEngine.resolveActiveDuration(timing) / dur;
+    if (!Number.isFinite(iterations)) {
+      this.warn(`${describeAnimation(anim, element)} repeats indefinitely; exported ${this.maxRepeats} iterations`);
+      iterations = this.maxRepeats;
+    }
+
+    const last = values[values.length - 1];
+    const scales = this.animationEngine.animationTargets(anim)[0] === 'scale';
+    // accumulate="sum": each repeat builds on the end value of the ones before it
+    const accumulated = (value, iteration) => {
+      if (anim.accumulate !== 'sum' || iteration === 0) return value;
+      return value.map((v, k) => (scales ? v * last[k] ** iteration : v + last[k] * iteration));
+    };
+    // Keys must strictly increase, so the jump back to the first value of a repeat gets a sliver of time
+    const gap = Math.min(1e-3, dur / 1000);
+
+    const times = [];
+    const baked = [];
+    for (let i = 0; i < iterations; i++) {
+      const fraction = Math.min(1, iterations - i);
+      keyTimes.forEach((t, k) => {
+        if (t > fraction) return;
+        const repeats = i + 1 < iterations && t === 1;
+        times.push(begin + (i + t) * dur - (repeats ? gap : 0));
+        baked.push(accumulated(values[k], i));
+      });
+      // A partial last iteration ends between keys
+      if (fraction < 1 && !keyTimes.includes(fraction)) {
+        times.push(begin + (i + fraction) * dur);
+        baked.push(accumulated(this.animationEngine.interpolateKeyframes(keyframes, fraction), i));
+      }
+    }
+
+    return {
+      times,
+      values: baked,
+      interpolation: keyframes.calcMode === 'discrete' ? 'STEP' : 'LINEAR',
+    };
+  }
+
+  warn(message) {
+    this.warnings.push(message);
+  }
+
+  /**
+   * Rotation keyframes (Euler degrees) -> quaternion keyframes. glTF LINEAR rotation
+   * is a slerp, so slerped tracks keep their keys; Euler tracks are resampled.
+   */
+  sampleRotation({ times, values, interpolation }, order = 'XYZ', slerp = false) {
+    const toQuat = deg => eulerToQuaternion(...deg.map(v => v * Math.PI / 180), order);
+    if (interpolation === 'STEP') return { times, values: values.map(toQuat) };
+
+    // Euler angles (degrees) are interpolated component-wise like the engine does,
+    // so sample them densely instead of slerping between the keyframe quaternions
+    const sampledTimes = slerp ? [...times] : [];
+    const sampled = slerp ? values.map(toQuat) : [];
+
+    for (let k = 0; k < times.length && !slerp; k++) {
+      const steps = k + 1 < times.length
+        ? Math.max(1, Math.ceil((times[k + 1] - times[k]) * this.rotationSampleRate))
+        : 1;
+      for (let s = 0; s < steps; s++) {
+        const t = s / steps;
+        const next = values[k + 1] || values[k];
+        sampledTimes.push(times[k] + ((times[k + 1] ?? times[k]) - times[k]) * t);
+        sampled.push(toQuat(values[k].map((v, i) => v + (next[i] - v) * t)));
+      }
+    }
+
+    // Keep consecutive quaternions in the same hemisphere to avoid long-way-round blends
+    for (let i = 1; i < sampled.length; i++) {
+      const dot = sampled[i].reduce((sum, v, j) => sum + v * sampled[i - 1][j], 0);
+      if (dot < 0) sampled[i] = sampled[i].map(v => -v);
+    }
+
+    return { times: sampledTimes, values: sampled };
+  }
+
+  addAccessor(array, type, target, withBounds = false) {
+    const components = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[type];
+    const accessor = {
+      bufferView: this.addBufferView(array, target),
+      componentType: array instanceof Float32Array ? GL_FLOAT
+        : array instanceof Uint32Array ? GL_UNSIGNED_INT : GL_UNSIGNED_SHORT,
+      count: array.length / components,
+      type,
+    };
+
+    if (withBounds) {
+      accessor.min = new Array(components).fill(Infinity);
+      accessor.max = new Array(components).fill(-Infinity);
+      for (let i = 0; i < array.length; i++) {
+        const c = i % components;
+        accessor.min[c] = Math.min(accessor.min[c], array[i]);
+        accessor.max[c] = Math.max(accessor.max[c], array[i]);
+      }
+    }
+
+    this.json.accessors.push(accessor);
+    return this.json.accessors.length - 1;
+  }
+
+  addBufferView(array, target) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    const offset = this.byteLength;
+    this.chunks.push({ offset, bytes });
+    // Keep every view 4-byte aligned
+    this.byteLength = offset + Math.ceil(bytes.byteLength / 4) * 4;
+
+    const view = { buffer: 0, byteOffset: offset, byteLength: bytes.byteLength };
+    if (target) view.target = target;
+    this.json.bufferViews.push(view);
+    return this.json.bufferViews.length - 1;
+  }
+
+  useExtension(name) {
+    this.json.extensionsUsed = this.json.extensionsUsed || [];
+    if (!this.json.extensionsUsed.includes(name)) this.json.extensionsUsed.push(name);
+  }
+}
+
+// ============================================================================
+// 2. GLTF IMPORTER - glTF 2.0 / GLB -> SVG3 markup
+// ============================================================================
+
+const COMPONENT_READERS = {
+  5120: ['getInt8', 1, 127],
+  5121: ['getUint8', 1, 255],
+  5122: ['getInt16', 2, 32767],
+  5123: ['getUint16', 2, 65535],
+  5125: ['getUint32', 4, 1],
+  5126: ['getFloat32', 4, 1],
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+const GLTF_TRIANGLES = 4;
+const LIGHT_TYPES = ['directional', 'point', 'spot'];
+const SVG3_ATTRIBUTES = { translation: 'position', rotation: 'rotation', scale: 'scale' };
+
+export class SVG3GLTFImporter {
+  constructor(options = {}) {
+    // Synchronous loader for external buffer URIs: uri -> Uint8Array
+    this.resolveURI = options.resolveURI || null;
+    this.repeatCount = options.repeatCount || '1';
+    this.serializer = new SVG3Serializer(options);
+    // What the last import approximated, one message per light or animation channel
+    this.warnings = [];
+  }
+
+  /**
+   * Convert a glTF document to .svg3 XML
+   * @param input - .glb bytes (ArrayBuffer / Uint8Array), .gltf JSON string or parsed object
+   */
+  toSVG3(input) {
+    return this.serializer.serialize(this.toSceneData(input));
+  }
+
+  /**
+   * Convert a glTF document to an SVG3Parser-shaped scene object
+   */
+  toSceneData(input) {
+    this.warnings = [];
+    this.load(input);
+    const gltf = this.gltf;
+
+    this.usedIds = new Set();
+    this.nodeIds = (gltf.nodes || []).map((node, i) => this.uniqueId(node.name, `node-${i}`));
+    this.geometries = [];
+    this.geometryCache = new Map();
+    this.materials = (gltf.materials || []).map((mat, i) => this.convertMaterial(mat, i));
+    this.defaultMaterial = null;
+    this.animationsByNode = this.convertAnimations();
+    this.lightCount = 0;
+
+    const scenes = (gltf.scenes || [{ nodes: (gltf.nodes || []).map((_, i) => i) }]).map((scene, i) => {
+      const lightsBefore = this.lightCount;
+      const children = (scene.nodes || []).map(index => this.convertNode(index));
+      const sceneId = this.uniqueId(scene.name, `scene-${i}`);
+
+      // glTF files usually rely on the viewer for camera and lighting.
+      // scene@camera must name a camera that is a direct child of the scene.
+      let camera = children.find(c => c.tag === 'camera');
+      if (!camera) {
+        const id = this.uniqueId(null, `${sceneId}-camera`);
+        camera = {
+          tag: 'camera',
+          id,
+          attrs: { id, type: 'perspective', fov: 50, near: 0.1, far: 1000, position: [0, 0, 5] },
+          animations: [],
+        };
+        children.unshift(camera);
+      }
+      if (this.lightCount === lightsBefore) {
+        const id = this.uniqueId(null, `${sceneId}-light`);
+        children.unshift({
+          tag: 'light',
+          id,
+          attrs: { id, type: 'directional', intensity: 1, color: '#ffffff', position: [5, 5, 5] },
+          animations: [],
+        });
+      }
+
+      return {
+        id: sceneId,
+        camera: camera.id,
+        ambientLight: 0.5,
+        children,
+      };
+    });
+
+    const animations = [];
+    const collect = element => {
+      element.animations.forEach(animation => animations.push({ targetId: element.id, animation }));
+      (element.children || []).forEach(collect);
+    };
+    scenes.forEach(scene => scene.children.forEach(collect));
+
+    return {
+      viewBox: null,
+      metadata: {
+        generator: gltf.asset?.generator || 'glTF',
+        ...(gltf.asset?.copyright ? { copyright: gltf.asset.copyright } : {}),
+      },
+      defs: {
+        geometries: this.geometries,
+        materials: this.defaultMaterial ? [...this.materials, this.defaultMaterial] : this.materials,
+      },
+      scenes,
+      animations,
+    };
+  }
+
+  load(input) {
+    this.buffers = [];
+    let bytes = null;
+    if (input instanceof ArrayBuffer) bytes = new Uint8Array(input);
+    else if (ArrayBuffer.isView(input)) bytes = new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+
+    if (bytes && new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true) === GLB_MAGIC) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      let offset = 12;
+      while (offset < bytes.byteLength) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === GLB_CHUNK_JSON) this.gltf = JSON.parse(new TextDecoder().decode(chunk));
+        else if (type === GLB_CHUNK_BIN) this.glbBody = chunk;
+        offset += 8 + length;
+      }
+    } else if (bytes) {
+      this.gltf = JSON.parse(new TextDecoder().decode(bytes));
+    } else {
+      this.gltf = typeof input === 'string' ? JSON.parse(input) : input;
+    }
+
+    if (!this.gltf || !String(this.gltf.asset?.version || '').startsWith('2')) {
+      throw new Error('Invalid glTF: only glTF 2.0 is supported');
+    }
+  }
+
+  getBuffer(index) {
+    if (!this.buffers[index]) {
+      const buffer = this.gltf.buffers[index];
+      if (buffer.uri === undefined) {
+        this.buffers[index] = this.glbBody;
+      } else if (buffer.uri.startsWith('data:')) {
+        this.buffers[index] = decodeBase64(buffer.uri.slice(buffer.uri.indexOf(',') + 1));
+      } else if (this.resolveURI) {
+        this.buffers[index] = this.resolveURI(buffer.uri);
+      } else {
+        throw new Error(`External glTF buffer "${buffer.uri}" needs a resolveURI option`);
+      }
+    }
+    return this.buffers[index];
+  }
+
+  readAccessor(index) {
+    const accessor = this.gltf.accessors[index];
+    const size = TYPE_SIZES[accessor.type];
+    const [getter, bytesPerComponent, normalizer] = COMPONENT_READERS[accessor.componentType];
+    const result = new Array(accessor.count * size).fill(0);
+
+    if (accessor.bufferView !== undefined) {
+      const bufferView = this.gltf.bufferViews[accessor.bufferView];
+      const buffer = this.getBuffer(bufferView.buffer);
+      const view = new DataView(buffer.buffer, buffer.byteOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0));
+      const stride = bufferView.byteStride || size * bytesPerComponent;
+      for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < size; c++) {
+          const value = view[getter](i * stride + c * bytesPerComponent, true);
+          result[i * size + c] = accessor.normalized ? Math.max(value / normalizer, -1) : value;
+        }
+      }
+    }
+
+    if (accessor.sparse) {
+      const { count, indices, values } = accessor.sparse;
+      const indexAccessor = { bufferView: indices.bufferView, byteOffset: indices.byteOffset, componentType: indices.componentType, count, type: 'SCALAR' };
+      const valueAccessor = { bufferView: values.bufferView, byteOffset: values.byteOffset, componentType: accessor.componentType, normalized: accessor.normalized, count, type: accessor.type };
+      const sparseIndices = this.readRawAccessor(indexAccessor);
+      const sparseValues = this.readRawAccessor(valueAccessor);
+      sparseIndices.forEach((target, i) => {
+        for (let c = 0; c < size; c++) result[target * size + c] = sparseValues[i * size + c];
+      });
+    }
+
+    return result;
+  }
+
+  readRawAccessor(accessor) {
+    const accessors = this.gltf.accessors;
+    this.gltf.accessors = [accessor];
+    try {
+      return this.readAccessor(0);
+    } finally {
+      this.gltf.accessors = accessors;
+    }
+  }
+
+  /**
+   * @param parentMatrix - World matrix of the parent node (rest pose)
+   */
+  convertNode(index, parentMatrix = IDENTITY) {
+    const node = this.gltf.nodes[index];
+    const id = this.nodeIds[index];
+    const attrs = {};
+
+    let translation = node.translation || [0, 0, 0];
+    let quaternion = node.rotation || [0, 0, 0, 1];
+    let scale = node.scale || [1, 1, 1];
+    if (node.matrix) ({ translation, quaternion, scale } = decomposeMatrix(node.matrix));
+
+    attrs.position = translation;
+    attrs.rotation = quaternionToEuler(quaternion);
+    attrs.scale = scale;
+
+    const world = multiplyMatrices(parentMatrix, node.matrix || composeMatrix(translation, quaternion, scale));
+    const children = (node.children || []).map(child => this.convertNode(child, world));
+    const animations = this.animationsByNode.get(index) || [];
+
+    const lightIndex = node.extensions?.KHR_lights_punctual?.light;
+    if (lightIndex !== undefined) {
+      // A bare light node becomes the <light> itself, otherwise a child of the element
+      if (node.mesh === undefined && node.camera === undefined && !children.length) {
+        const light = this.convertLight(lightIndex, world, invertMatrix(parentMatrix), id);
+        light.animations = animations;
+        return light;
+      }
+      children.unshift(this.convertLight(lightIndex, world, invertMatrix(world), this.uniqueId(null, `${id}-light`)));
+    }
+
+    if (node.camera !== undefined) {
+      // A bare camera node becomes the <camera> itself, otherwise a child of the element
+      if (node.mesh === undefined && !children.length) {
+        const camera = this.convertCamera(node.camera, id);
+        Object.assign(camera.attrs, attrs);
+        camera.animations = animations;
+        return camera;
+      }
+      children.unshift(this.convertCamera(node.camera, this.uniqueId(null, `${id}-camera`)));
+    }
+
+    const primitives = node.mesh !== undefined
+      ? this.gltf.meshes[node.mesh].primitives.filter(p => (p.mode ?? GLTF_TRIANGLES) === GLTF_TRIANGLES)
+      : [];
+
+    // One primitive maps onto a single <mesh>; several become meshes inside a group
+    if (primitives.length === 1) {
+      Object.assign(attrs, this.convertPrimitive(node.mesh, 0, primitives[0]));
+      return { tag: 'mesh', id, attrs: { id, ...attrs }, animations, children };
+    }
+
+    primitives.forEach((primitive, i) => {
+      const meshId = this.uniqueId(null, `${id}-primitive-${i}`);
+      children.unshift({
+        tag: 'mesh',
+        id: meshId,
+        attrs: { id: meshId, ...this.convertPrimitive(node.mesh, i, primitive) },
+        animations: [],
+        children: [],
+      });
+    });
+    return { tag: 'group', id, attrs: { id, ...attrs }, animations, children };
+  }
+
+  convertPrimitive(meshIndex, primitiveIndex, primitive) {
+    const key = `${meshIndex}/${primitiveIndex}`;
+    if (!this.geometryCache.has(key)) {
+      const mesh = this.gltf.meshes[meshIndex];
+      const base = this.uniqueId(mesh.name, `mesh-${meshIndex}`);
+      const geomId = mesh.primitives.length > 1 ? this.uniqueId(null, `${base}-${primitiveIndex}`) : base;
+      const { POSITION, NORMAL, TEXCOORD_0 } = primitive.attributes;
+      const data = { positions: this.readAccessor(POSITION) };
+      if (NORMAL !== undefined) data.normals = this.readAccessor(NORMAL);
+      if (TEXCOORD_0 !== undefined) data.uvs = this.readAccessor(TEXCOORD_0);
+      if (primitive.indices !== undefined) data.indices = this.readAccessor(primitive.indices);
+
+      this.geometries.push({ id: geomId, type: 'mesh', params: { id: geomId, type: 'mesh' }, data });
+      this.geometryCache.set(key, geomId);
+    }
+
+    let material;
+    if (primitive.material !== undefined) {
+      material = this.materials[primitive.material].id;
+    } else {
+      this.defaultMaterial = this.defaultMaterial || {
+        id: this.uniqueId(null, 'default-material'),
+        type: 'standard',
+        params: { type: 'standard', color: '#ffffff', metalness: 1, roughness: 1 },
+      };
+      this.defaultMaterial.params.id = this.defaultMaterial.id;
+      material = this.defaultMaterial.id;
+    }
+
+    return { geometry: this.geometryCache.get(key), material };
+  }
+
+  convertMaterial(mat, index) {
+    const id = this.uniqueId(mat.name, `material-${index}`);
+    const pbr = mat.pbrMetallicRoughness || {};
+    const [r, g, b, a] = pbr.baseColorFactor || [1, 1, 1, 1];
+    const params = {
+      id,
+      type: 'standard',
+      color: formatColor([r, g, b].map(linearToSrgb)),
+      metalness: pbr.metallicFactor ?? 1,
+      roughness: pbr.roughnessFactor ?? 1,
+    };
+
+    const emissive = mat.emissiveFactor || [0, 0, 0];
+    if (emissive.some(c => c > 0)) {
+      params.emissive = formatColor(emissive.map(linearToSrgb));
+      params.emissiveIntensity = mat.extensions?.KHR_materials_emissive_strength?.emissiveStrength ?? 1;
+    }
+    if (mat.alphaMode === 'BLEND' && a < 1) params.opacity = a;
+
+    return { id, type: 'standard', params };
+  }
+
+  convertCamera(cameraIndex, id) {
+    const camera = this.gltf.cameras[cameraIndex];
+    const attrs = { id, type: camera.type };
+
+    if (camera.type === 'orthographic') {
+      const { xmag, ymag, znear, zfar } = camera.orthographic;
+      Object.assign(attrs, { left: -xmag, right: xmag, top: ymag, bottom: -ymag, near: znear, far: zfar });
+    } else {
+      const { yfov, aspectRatio, znear, zfar } = camera.perspective;
+      attrs.fov = yfov * 180 / Math.PI;
+      if (aspectRatio) attrs.aspect = aspectRatio;
+      attrs.near = znear;
+      attrs.far = zfar ?? 1000;
+    }
+
+    return { tag: 'camera', id, attrs, animations: [] };
+  }
+
+  /**
+   * KHR_lights_punctual light of a node. SVG3 lights shine towards the world origin,
+   * so a directional light is placed against its node's -Z direction; spot lights
+   * keep their position, and their direction only when it points at the origin.
+   * @param world - World matrix of the light's node
+   * @param space - Matrix from world space into the space the <light> is placed in
+   */
+  convertLight(lightIndex, world, space, id) {
+    const light = this.gltf.extensions?.KHR_lights_punctual?.lights?.[lightIndex] || {};
+    const type = LIGHT_TYPES.includes(light.type) ? light.type : 'point';
+    const position = transformPoint(world, [0, 0, 0]);
+    const forward = normalize(transformPoint(world, [0, 0, -1]).map((c, k) => c - position[k]));
+
+    this.lightCount += 1;
+    let placed = position;
+    if (type === 'directional') {
+      const distance = Math.max(10, Math.hypot(...position));
+      placed = forward.map(c => -c * distance);
+    } else if (type === 'spot') {
+      const toOrigin = normalize(position.map(c => -c));
+      if (toOrigin.reduce((sum, c, k) => sum + c * forward[k], 0) < 0.999) {
+        this.warn(`Spot light "${id}" does not point at the origin; SVG3 spot lights always do`);
+      }
+    }
+
+    return {
+      tag: 'light',
+      id,
+      attrs: {
+        id,
+        type,
+        intensity: light.intensity ?? 1,
+        color: formatColor(light.color || [1, 1, 1]),
+        position: transformPoint(space, placed),
+      },
+      animations: [],
+    };
+  }
+
+  convertAnimations() {
+    const byNode = new Map();
+
+    (this.gltf.animations || []).forEach((animation, a) => {
+      animation.channels.forEach(channel => {
+        const attributeName = SVG3_ATTRIBUTES[channel.target.path];
+        if (!attributeName || channel.target.node === undefined) return;
+
+        const sampler = animation.samplers[channel.sampler];
+        const times = this.readAccessor(sampler.input);
+        const raw = this.readAccessor(sampler.output);
+        const size = attributeName === 'rotation' ? 4 : 3;
+        const interpolation = sampler.interpolation || 'LINEAR';
+        if (interpolation === 'CUBICSPLINE') {
+          this.warn(`Animation "${animation.name || a}": CUBICSPLINE ${channel.target.path} of node ` +
+            `"${this.nodeIds[channel.target.node]}" is imported as linear; its tangents are dropped`);
+        }
+
+        let values = [];
+        for (let i = 0; i < times.length; i++) {
+          // CUBICSPLINE stores [inTangent, value, outTangent] per keyframe
+          const start = interpolation === 'CUBICSPLINE' ? (i * 3 + 1) * size : i * size;
+          values.push(raw.slice(start, start + size));
+        }
+        if (attributeName === 'rotation') values = unwrapDegrees(values.map(q => quaternionToEuler(q)));
+
+        let keyTimes = times;
+        if (interpolation !== 'STEP') ({ times: keyTimes, values } = dropRedundantKeys(times, values));
+        if (interpolation === 'STEP') {
+          // Hold each value until the next key by doubling keys at the same instant
+          keyTimes = times.flatMap((t, i) => (i === 0 ? [t] : [t, t]));
+          values = values.flatMap((v, i) => (i === 0 ? [v] : [values[i - 1], v]));
+        }
+
+        const begin = keyTimes[0];
+        const dur = keyTimes[keyTimes.length - 1] - begin;
+        const format = v => this.serializer.formatNumber(v);
+        const anim = {
+          type: 'animate',
+          attributeName,
+          from: null,
+          to: null,
+          dur: `${format(dur || 0.001)}s`,
+          begin: `${format(begin)}s`,
+          end: null,
+          repeatCount: this.repeatCount,
+          fill: 'freeze',
+          values: values.map(v => v.map(format).join(',')),
+          keyTimes: keyTimes.map(t => (dur ? (t - begin) / dur : 0)),
+        };
+
+        const list = byNode.get(channel.target.node) || [];
+        list.push(anim);
+        byNode.set(channel.target.node, list);
+      });
+    });
+
+    return byNode;
+  }
+
+  warn(message) {
+    this.warnings.push(message);
+  }
+
+  uniqueId(name, fallback) {
+    const base = (name || fallback).trim().replace(/[^\w.-]+/g, '-').replace(/^(?=[\d.-])/, 'id-') || fallback;
+    let id = base;
+    for (let n = 2; this.usedIds.has(id); n++) id = `${base}-${n}`;
+    this.usedIds.add(id);
+    return id;
+  }
+}
+
+// '<animate attributeName="position"> on "cube"', for exporter warnings
+function describeAnimation(anim, element) {
+  const detail = anim.type === 'animateTransform' ? ` type="${anim.transformType}"`
+    : anim.attributeName ? ` attributeName="${anim.attributeName}"` : '';
+  return `<${anim.type}${detail}> on "${element.id}"`;
+}
+
+// Drop keyframes that lie on the straight line between their neighbours
+// (e.g. densely resampled rotations exported by SVG3GLTFExporter)
+function dropRedundantKeys(times, values) {
+  const keepTimes = [times[0]];
+  const keepValues = [values[0]];
+  for (let i = 1; i < times.length - 1; i++) {
+    const t0 = keepTimes[keepTimes.length - 1];
+    const v0 = keepValues[keepValues.length - 1];
+    const span = times[i + 1] - t0;
+    const f = span > 0 ? (times[i] - t0) / span : 0;
+    const onLine = span > 0 && values[i].every((v, c) => {
+      const expected = v0[c] + (values[i + 1][c] - v0[c]) * f;
+      return Math.abs(v - expected) <= 1e-4 * Math.max(1, Math.abs(expected));
+    });
+    if (!onLine) {
+      keepTimes.push(times[i]);
+      keepValues.push(values[i]);
+    }
+  }
+  if (times.length > 1) {
+    keepTimes.push(times[times.length - 1]);
+    keepValues.push(values[values.length - 1]);
+  }
+  return { times: keepTimes, values: keepValues };
+}
+
+// Rotation keyframes are written in degrees; keep them continuous instead of jumping at +-180
+function unwrapDegrees(eulers) {
+  const result = [];
+  eulers.forEach((euler, i) => {
+    const degrees = euler.map(v => v * 180 / Math.PI);
+    if (i > 0) {
+      degrees.forEach((v, c) => {
+        const prev = result[i - 1][c];
+        degrees[c] = v + Math.round((prev - v) / 360) * 360;
+      });
+    }
+    result.push(degrees);
+  });
+  return result;
+}
+
+function padBytes(bytes, fill) {
+  const length = Math.ceil(bytes.byteLength / 4) * 4;
+  if (length === bytes.byteLength) return bytes;
+  const padded = new Uint8Array(length).fill(fill);
+  padded.set(bytes);
+  return padded;
+}
+
+function encodeBase64(bytes) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export default {
+  SVG3GLTFExporter,
+  SVG3GLTFImporter,
+};
@@ -0,0 +1,212 @@
+/**
+ * SVG3 Optimizer
+ * Size and hygiene passes over SVG3Parser scene objects:
+ * unused defs, duplicate materials and number formatting
+ */
+
+// ============================================================================
+// 1. OPTIMIZER - Scene object -> smaller, equivalent scene object
+// ============================================================================
+
+// Material attributes that hold a texture id
+const TEXTURE_SLOTS = ['map', 'normalMap', 'roughnessMap', 'emissiveMap', 'alphaMap'];
+
+// Geometry parameters that hold one number but stay text after parsing. Other attributes keep
+// their text even when it looks numeric (name="007", version="1.10"); the parser already
+// turned the numeric element and material attributes into numbers.
+const NUMERIC_ATTRIBUTES = [
+  'width', 'height', 'depth', 'radius', 'radiusTop', 'radiusBottom', 'innerRadius', 'outerRadius', 'tube',
+  'length', 'widthSegments', 'heightSegments', 'depthSegments', 'radialSegments', 'tubularSegments',
+  'thetaSegments', 'phiSegments', 'capSegments', 'segments', 'steps', 'curveSegments', 'detail', 'p', 'q',
+  'thetaStart', 'thetaLength', 'phiStart', 'phiLength',
+  'bevelThickness', 'bevelSize', 'bevelOffset', 'bevelSegments',
+];
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+export class SVG3Optimizer {
+  /**
+   * @param options.precision - Decimals kept when normalizing numbers
+   * @param options.removeUnusedDefs - Drop geometries/materials no mesh references, textures no
+   *   material references and symbols no <use> references (default true)
+   * @param options.mergeMaterials - Merge materials with identical type and parameters (default true)
+   * @param options.normalizeNumbers - Rewrite numbers in geometry parameters, transforms and animation
+   *   values, e.g. width="2.50" -> 2.5 (default true)
+   */
+  constructor(options = {}) {
+    this.precision = options.precision ?? 6;
+    this.removeUnusedDefs = options.removeUnusedDefs !== false;
+    this.mergeMaterials = options.mergeMaterials !== false;
+    this.normalizeNumbers = options.normalizeNumbers !== false;
+  }
+
+  /**
+   * Optimize a scene object. The input is not modified.
+   * @returns {{ sceneData: object, report: { removedGeometries: string[], removedTextures: string[],
+   *   removedMaterials: string[], removedSymbols: string[], mergedMaterials: object } }}
+   */
+  optimize(sceneData) {
+    const scene = structuredClone(sceneData);
+    const report = {
+      removedGeometries: [], removedTextures: [], removedMaterials: [], removedSymbols: [], mergedMaterials: {},
+    };
+
+    // Normalize first so "0.50" and "0.5" count as the same material parameter
+    if (this.normalizeNumbers) this.normalize(scene);
+    if (this.mergeMaterials) this.dedupeMaterials(scene, report);
+    if (this.removeUnusedDefs) this.dropUnusedDefs(scene, report);
+
+    // Keep the flat animation track list pointing at the (cloned) element animations
+    scene.animations = [];
+    forEachElement(scene, element => {
+      (element.animations || []).forEach(animation => {
+        scene.animations.push({ targetId: element.id, animation });
+      });
+    });
+
+    return { sceneData: scene, report };
+  }
+
+  dedupeMaterials(scene, report) {
+    const materials = scene.defs?.materials || [];
+    const byKey = new Map();
+    const replacements = new Map();
+
+    scene.defs.materials = materials.filter(mat => {
+      const { id, ...params } = mat.params || {};
+      const key = JSON.stringify([mat.type, sortKeys(params)]);
+      const kept = byKey.get(key);
+      if (!kept) {
+        byKey.set(key, mat.id);
+        return true;
+      }
+      replacements.set(mat.id, kept);
+      report.mergedMaterials[mat.id] = kept;
+      return false;
+    });
+
+    forEachElement(scene, element => {
+      if (element.tag === 'mesh' && replacements.has(element.attrs?.material)) {
+        element.attrs.material = replacements.get(element.attrs.material);
+      }
+      const overrides = element.attrs?.['material-override'];
+      if (element.use && typeof overrides === 'string') {
+        element.attrs['material-override'] = overrides.split(';').map(entry => {
+          const [from, to] = entry.includes(':') ? entry.split(':') : [null, entry];
+          const target = replacements.get(to.trim()) ?? to.trim();
+          return from === null ? target : `${from.trim()}:${target}`;
+        }).join(';');
+      }
+    }, true);
+  }
+
+  dropUnusedDefs(scene, report) {
+    const defs = scene.defs || {};
+    // Symbols first: materials used only inside a dropped symbol are unused as well
+    const usedSymbols = new Set();
+    forEachElement(scene, element => {
+      if (element.use) usedSymbols.add(element.use);
+    });
+    defs.symbols = (defs.symbols || []).filter(symbol => {
+      if (usedSymbols.has(symbol.id)) return true;
+      report.removedSymbols.push(symbol.id);
+      return false;
+    });
+
+    const used = { geometry: new Set(), material: new Set() };
+    forEachElement(scene, element => {
+      // Override targets stay referenced by the <use> markup even when no copied mesh needs them
+      String(element.use ? element.attrs?.['material-override'] || '' : '').split(';').forEach(entry => {
+        if (entry.trim()) used.material.add(entry.split(':').pop().trim());
+      });
+      if (element.tag !== 'mesh') return;
+      used.geometry.add(element.attrs?.geometry);
+      used.material.add(element.attrs?.material);
+    }, true);
+
+    defs.geometries = (defs.geometries || []).filter(geom => {
+      if (used.geometry.has(geom.id)) return true;
+      report.removedGeometries.push(geom.id);
+      return false;
+    });
+    defs.materials = (defs.materials || []).filter(mat => {
+      if (used.material.has(mat.id)) return true;
+      report.removedMaterials.push(mat.id);
+      return false;
+    });
+
+    // After materials, so textures of dropped materials go too
+    const usedTextures = new Set();
+    defs.materials.forEach(mat => {
+      TEXTURE_SLOTS.forEach(slot => {
+        if (mat.params?.[slot] !== undefined) usedTextures.add(String(mat.params[slot]).replace(/^#/, ''));
+      });
+    });
+    defs.textures = (defs.textures || []).filter(tex => {
+      if (usedTextures.has(tex.id)) return true;
+      report.removedTextures.push(tex.id);
+      return false;
+    });
+  }
+
+  normalize(scene) {
+    const normalizeAttrs = attrs => {
+      Object.keys(attrs || {}).forEach(name => {
+        if (NUMERIC_ATTRIBUTES.includes(name)) attrs[name] = this.normalizeValue(attrs[name]);
+      });
+    };
+
+    const defs = scene.defs || {};
+    [...(defs.geometries || []), ...(defs.materials || [])].forEach(def => normalizeAttrs(def.params));
+    forEachElement(scene, element => {
+      normalizeAttrs(element.attrs);
+      (element.animations || []).forEach(anim => {
+        ['from', 'to', 'by'].forEach(name => {
+          if (typeof anim[name] === 'string') anim[name] = this.normalizeList(anim[name], ',');
+        });
+        if (anim.values) anim.values = anim.values.map(value => this.normalizeList(value, ','));
+        if (anim.keyTimes) anim.keyTimes = anim.keyTimes.map(t => this.round(t));
+      });
+    }, true);
+  }
+
+  /**
+   * Numeric strings become rounded numbers. Numbers and vectors are already
+   * rounded by SVG3Serializer (rotation only after converting back to degrees).
+   */
+  normalizeValue(value) {
+    if (typeof value === 'string' && NUMBER.test(value.trim())) return this.round(Number(value));
+    return value;
+  }
+
+  // "0, 1.50 ,2" -> "0,1.5,2"; lists with non-numeric items are left alone
+  normalizeList(text, separator) {
+    const items = text.split(separator).map(item => item.trim());
+    if (!items.every(item => NUMBER.test(item))) return text;
+    return items.map(item => this.round(Number(item))).join(separator);
+  }
+
+  round(value) {
+    if (!Number.isFinite(value)) return value;
+    const rounded = Number(value.toFixed(this.precision));
+    return rounded === 0 ? 0 : rounded;
+  }
+}
+
+// `withSymbols` also visits the template elements inside <defs> symbols
+function forEachElement(scene, callback, withSymbols = false) {
+  const visit = element => {
+    callback(element);
+    (element.children || []).forEach(visit);
+  };
+  (scene.scenes || []).forEach(s => (s.children || []).forEach(visit));
+  if (withSymbols) (scene.defs?.symbols || []).forEach(symbol => (symbol.children || []).forEach(visit));
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export default {
+  SVG3Optimizer,
+};
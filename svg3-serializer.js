@@ -0,0 +1,267 @@
+/**
+ * SVG3 Serializer
+ * Writes SVG3Parser scene objects (or a live SVG3ThreeRenderer) back to .svg3 XML
+ */
+
+// ============================================================================
+// 1. SERIALIZER - Scene object -> .svg3 markup
+// ============================================================================
+
+const SVG3_NAMESPACE = 'https://github.com/MarcoJ03rgensen/SVG3';
+
+// Transform values of elements that leave the attribute out
+const TRANSFORM_DEFAULTS = { position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] };
+
+// Animation attributes whose parser default does not need to be written back
+const ANIMATION_DEFAULTS = {
+  begin: '0s',
+  repeatCount: '1',
+  fill: 'freeze',
+  calcMode: 'linear',
+  colorInterpolation: 'linearRGB',
+  additive: 'replace',
+  accumulate: 'none',
+};
+
+export class SVG3Serializer {
+  constructor(options = {}) {
+    this.indent = options.indent ?? '  ';
+    this.precision = options.precision ?? 6;
+    this.xmlDeclaration = options.xmlDeclaration !== false;
+  }
+
+  /**
+   * Serialize an SVG3Parser scene object
+   * @param sceneData - Output of SVG3Parser.parse(), possibly edited
+   * @returns {string} .svg3 XML
+   */
+  serialize(sceneData) {
+    const lines = [];
+    if (this.xmlDeclaration) lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+
+    const rootAttrs = { version: '1.0', xmlns: SVG3_NAMESPACE };
+    if (sceneData.viewBox) rootAttrs.viewBox = sceneData.viewBox;
+    lines.push(`<svg3${this.formatAttributes(rootAttrs)}>`);
+
+    const metadata = Object.entries(sceneData.metadata || {});
+    if (metadata.length) {
+      lines.push(`${this.pad(1)}<metadata>`);
+      metadata.forEach(([tag, text]) => {
+        lines.push(`${this.pad(2)}<${tag}>${escapeXML(text)}</${tag}>`);
+      });
+      lines.push(`${this.pad(1)}</metadata>`);
+    }
+
+    const defs = sceneData.defs || {};
+    const definitions = [
+      ...(defs.geometries || []).map(def => this.writeDefinition('geometry', def)),
+      ...(defs.textures || []).map(def => this.writeDefinition('texture', def)),
+      ...(defs.materials || []).map(def => this.writeDefinition('material', def)),
+      ...(defs.paths || []).map(def => `<path3d${this.formatAttributes({ id: def.id, d: def.d })} />`),
+    ];
+    const symbols = defs.symbols || [];
+    if (definitions.length || symbols.length) {
+      lines.push(`${this.pad(1)}<defs>`);
+      definitions.forEach(line => lines.push(`${this.pad(2)}${line}`));
+      symbols.forEach(symbol => this.writeSymbol(symbol, 2, lines));
+      lines.push(`${this.pad(1)}</defs>`);
+    }
+
+    (sceneData.scenes || []).forEach(scene => {
+      const attrs = {};
+      if (scene.id) attrs.id = scene.id;
+      if (scene.camera) attrs.camera = scene.camera;
+      if (scene.ambientLight !== undefined) attrs.ambientLight = scene.ambientLight;
+
+      const children = scene.children || [];
+      if (!children.length) {
+        lines.push(`${this.pad(1)}<scene${this.formatAttributes(attrs)} />`);
+        return;
+      }
+      lines.push(`${this.pad(1)}<scene${this.formatAttributes(attrs)}>`);
+      children.forEach(child => this.writeElement(child, 2, lines));
+      lines.push(`${this.pad(1)}</scene>`);
+    });
+
+    lines.push('</svg3>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serialize the current state of a live renderer. Transforms of every object in
+   * renderer.objects replace the parsed values. Animated properties are written with
+   * the value underneath their animations, which stay in the markup and play on top.
+   */
+  serializeRenderer(renderer) {
+    const snapshot = element => {
+      const live = renderer.objects.get(element.id);
+      const attrs = { ...element.attrs };
+      if (live) {
+        // Cameras take no scale
+        const transforms = element.tag === 'camera' ? ['position', 'rotation'] : ['position', 'rotation', 'scale'];
+        transforms.forEach(name => {
+          const value = name === 'rotation' ? [live.rotation.x, live.rotation.y, live.rotation.z] : live[name].toArray();
+          attrs[name] = renderer.animationEngine.baseValue(element.id, name) ?? value;
+        });
+      }
+      const copy = { ...element, attrs, children: element.children?.map(snapshot) };
+      // A <use> cannot carry changes inside its copy: write an edited one as a plain group
+      return element.use && this.changedInside(element, copy) ? this.expandUse(copy) : copy;
+    };
+
+    const sceneData = renderer.sceneData;
+    return this.serialize({
+      ...sceneData,
+      scenes: sceneData.scenes.map(scene => ({
+        ...scene,
+        children: scene.children?.map(snapshot),
+      })),
+    });
+  }
+
+  // Whether a transform below a parsed element differs, as written, in its snapshot
+  changedInside(element, copy) {
+    return (element.children || []).some((child, i) => {
+      const after = copy.children[i];
+      const moved = Object.entries(TRANSFORM_DEFAULTS).some(([name, fallback]) => (
+        this.formatValue(name, child.attrs[name] ?? fallback) !== this.formatValue(name, after.attrs[name] ?? fallback)
+      ));
+      return moved || this.changedInside(child, after);
+    });
+  }
+
+  // The copy of a <use> as a group; its elements keep their instance-scoped ids
+  expandUse(copy) {
+    const attrs = { ...copy.attrs };
+    ['href', 'xlink:href', 'material-override'].forEach(name => delete attrs[name]);
+    const scope = element => ({
+      ...element,
+      attrs: { ...element.attrs, id: element.id },
+      children: element.children?.map(scope),
+    });
+    return { ...copy, use: undefined, attrs, children: copy.children.map(scope) };
+  }
+
+  writeDefinition(tag, def) {
+    const { id, type, ...params } = def.params || {};
+    const attrs = {};
+    if (def.id) attrs.id = def.id;
+    if (def.type) attrs.type = def.type;
+    const open = `<${tag}${this.formatAttributes({ ...attrs, ...params })}`;
+
+    // Inline vertex data of type="mesh" geometries
+    const arrays = Object.entries(def.data || {});
+    if (!arrays.length) return `${open} />`;
+    const body = arrays.map(([name, values]) => (
+      `${this.pad(3)}<${name}>${values.map(v => this.formatNumber(v)).join(' ')}</${name}>`
+    ));
+    return [`${open}>`, ...body, `${this.pad(2)}</${tag}>`].join('\n');
+  }
+
+  writeSymbol(symbol, depth, lines) {
+    const open = `${this.pad(depth)}<symbol${this.formatAttributes({ id: symbol.id })}`;
+    const children = symbol.children || [];
+    if (!children.length) {
+      lines.push(`${open} />`);
+      return;
+    }
+    lines.push(`${open}>`);
+    children.forEach(child => this.writeElement(child, depth + 1, lines));
+    lines.push(`${this.pad(depth)}</symbol>`);
+  }
+
+  writeElement(element, depth, lines) {
+    // Elements without an id attribute got an auto-generated id from the parser;
+    // leave it out so re-parsing produces the same ids again
+    const { id, ...rest } = element.attrs || {};
+    const attrs = id === undefined ? rest : { id: element.id, ...rest };
+    // A <use> instance is written as the reference; its copied content comes from the symbol
+    const tag = element.use ? 'use' : element.tag;
+    if (element.use && !attrs.href && !attrs['xlink:href']) attrs.href = `#${element.use}`;
+    const open = `${this.pad(depth)}<${tag}${this.formatAttributes(attrs)}`;
+
+    const animations = element.animations || [];
+    const children = element.use ? [] : element.children || [];
+    if (!animations.length && !children.length) {
+      lines.push(`${open} />`);
+      return;
+    }
+
+    lines.push(`${open}>`);
+    animations.forEach(anim => lines.push(`${this.pad(depth + 1)}${this.writeAnimation(anim)}`));
+    children.forEach(child => this.writeElement(child, depth + 1, lines));
+    lines.push(`${this.pad(depth)}</${tag}>`);
+  }
+
+  writeAnimation(anim) {
+    const motion = anim.type === 'animateMotion';
+    // <animateMotion> defaults to constant speed along its path
+    const defaults = motion ? { ...ANIMATION_DEFAULTS, calcMode: 'paced' } : ANIMATION_DEFAULTS;
+    const attrs = { id: anim.id, attributeName: anim.attributeName, type: anim.transformType };
+    [
+      'from', 'to', 'by', 'dur', 'begin', 'end', 'repeatCount', 'repeatDur', 'min', 'max', 'fill',
+      'calcMode', 'colorInterpolation', 'rotationInterpolation', 'additive', 'accumulate',
+    ].forEach(name => {
+      const value = anim[name];
+      if (value === null || value === undefined || defaults[name] === value) return;
+      attrs[name] = value;
+    });
+    if (motion) {
+      // A path from <mpath> is written back as the reference, not inlined
+      if (anim.path && !anim.href) attrs.path = anim.path;
+      if (anim.rotate) attrs.rotate = anim.rotate;
+      if (anim.keyPoints) attrs.keyPoints = anim.keyPoints.map(p => this.formatNumber(p)).join(';');
+    }
+    if (anim.values) attrs.values = anim.values.join(';');
+    if (anim.keyTimes) attrs.keyTimes = anim.keyTimes.map(t => this.formatNumber(t)).join(';');
+    if (anim.keySplines) {
+      attrs.keySplines = anim.keySplines.map(spline => spline.map(v => this.formatNumber(v)).join(' ')).join(';');
+    }
+    const open = `<${anim.type || 'animate'}${this.formatAttributes(attrs)}`;
+    return motion && anim.href ? `${open}><mpath${this.formatAttributes({ href: anim.href })} /></${anim.type}>` : `${open} />`;
+  }
+
+  formatAttributes(attrs) {
+    return Object.entries(attrs)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${escapeXML(this.formatValue(name, value))}"`)
+      .join('');
+  }
+
+  formatValue(name, value) {
+    if (Array.isArray(value)) {
+      // Rotation is stored in radians by the parser but written in degrees
+      const values = name === 'rotation' ? value.map(v => v * 180 / Math.PI) : value;
+      return values.map(v => this.formatNumber(v)).join(',');
+    }
+    if (typeof value === 'number') return this.formatNumber(value);
+    return String(value);
+  }
+
+  formatNumber(value) {
+    if (!Number.isFinite(value)) return String(value);
+    // Round away float noise (e.g. 29.999999999999996) and drop trailing zeros / negative zero
+    const rounded = Number(value.toFixed(this.precision));
+    return String(rounded === 0 ? 0 : rounded);
+  }
+
+  pad(depth) {
+    return this.indent.repeat(depth);
+  }
+}
+
+/**
+ * Text or attribute value with XML special characters escaped
+ */
+export function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default {
+  SVG3Serializer,
+  escapeXML,
+};
@@ -0,0 +1,98 @@
+/**
+ * SVG3 Snapshot Exporter
+ * Renders an SVG3 scene at a given time into a flat 2D .svg of shaded polygons
+ * Headless - uses the software projector from svg3-canvas.js, no WebGL
+ */
+
+import { SVG3CanvasRenderer } from './svg3-canvas.js';
+import { formatColor } from './svg3-geometry.js';
+import { escapeXML } from './svg3-serializer.js';
+
+// ============================================================================
+// 1. SNAPSHOT EXPORTER - Scene at time t -> <polygon> elements
+// ============================================================================
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const DEFAULT_VIEWBOX = [0, 0, 800, 600];
+
+export class SVG3SnapshotExporter {
+  /**
+   * @param options.shading - 'lambert' (default) or 'flat'
+   * @param options.background - Fill color of a backdrop rect, or null for none
+   * @param options.precision - Decimals kept in polygon coordinates
+   */
+  constructor(options = {}) {
+    this.shading = options.shading || 'lambert';
+    this.background = options.background === undefined ? '#1a1a1a' : options.background;
+    this.precision = options.precision ?? 2;
+  }
+
+  /**
+   * Render a parsed scene as it looks `time` seconds into its animations
+   * @param sceneData - Output of SVG3Parser.parse()
+   * @returns {string} SVG markup
+   */
+  toSVG(sceneData, time = 0) {
+    // The canvas renderer builds its scene graph without touching a canvas
+    const renderer = new SVG3CanvasRenderer(sceneData, null, { shading: this.shading });
+    renderer.build();
+    renderer.seek(time);
+    return this.fromRenderer(renderer);
+  }
+
+  /**
+   * Snapshot the current state of a live SVG3CanvasRenderer
+   */
+  fromRenderer(renderer) {
+    const [minX, minY, width, height] = parseViewBox(renderer.sceneData.viewBox);
+    const camera = renderer.getRenderCamera();
+    const faces = camera ? renderer.projector.project(renderer.scene, camera, width, height) : [];
+
+    const lines = [
+      `<svg xmlns="${SVG_NAMESPACE}" viewBox="${[minX, minY, width, height].join(' ')}" width="${width}" height="${height}">`,
+    ];
+
+    const { title, description } = renderer.sceneData.metadata || {};
+    if (title) lines.push(`  <title>${escapeXML(title)}</title>`);
+    if (description) lines.push(`  <desc>${escapeXML(description)}</desc>`);
+
+    if (this.background) {
+      lines.push(`  <rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="${this.background}" />`);
+    }
+
+    // Stroking each face in its own color hides anti-aliasing seams between triangles
+    lines.push('  <g stroke-width="0.5" stroke-linejoin="round">');
+    faces.forEach(face => {
+      const points = face.points.map(([x, y]) => `${this.formatNumber(minX + x)},${this.formatNumber(minY + y)}`).join(' ');
+      const fill = formatColor(face.color);
+      const paint = face.opacity < 1
+        ? `fill="${fill}" fill-opacity="${this.formatNumber(face.opacity)}"`
+        : `fill="${fill}" stroke="${fill}"`;
+      lines.push(`    <polygon points="${points}" ${paint} />`);
+    });
+    lines.push('  </g>');
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+  }
+
+  formatNumber(value) {
+    const rounded = Number(value.toFixed(this.precision));
+    return String(rounded === 0 ? 0 : rounded);
+  }
+}
+
+/**
+ * "minX minY width height" (space or comma separated) -> numbers
+ */
+function parseViewBox(viewBox) {
+  const values = String(viewBox || '').trim().split(/[\s,]+/).map(Number);
+  if (values.length !== 4 || values.some(v => !Number.isFinite(v)) || values[2] <= 0 || values[3] <= 0) {
+    return DEFAULT_VIEWBOX;
+  }
+  return values;
+}
+
+export default {
+  SVG3SnapshotExporter,
+};
@@ -0,0 +1,702 @@
+/**
+ * SVG3 Validator
+ * Structured diagnostics (with line/column) for .svg3 scene files
+ * Works in the browser and in Node - built on the headless SVG3XMLReader
+ */
+
+import { SVG3XMLReader, POINTER_EVENTS } from './svg3-complete.js';
+import { parsePath3D, parseSVGPath, parseVertexArray, checkMeshData } from './svg3-geometry.js';
+
+// ============================================================================
+// 1. VOCABULARY - Tags, types and attributes the runtime understands
+// ============================================================================
+
+export const SVG3_GEOMETRY_TYPES = [
+  'box', 'sphere', 'cylinder', 'plane', 'torus', 'mesh', 'extrude',
+  'cone', 'circle', 'ring', 'lathe', 'capsule', 'tube', 'torusKnot',
+  'tetrahedron', 'octahedron', 'icosahedron', 'dodecahedron',
+];
+export const SVG3_MATERIAL_TYPES = ['standard', 'lambert', 'phong', 'basic'];
+
+const ANIMATION_TAGS = ['animate', 'animateTransform', 'animateMotion', 'set'];
+const OBJECT_TAGS = ['mesh', 'group', 'light', 'camera', 'use'];
+const VECTOR_ATTRIBUTES = ['position', 'rotation', 'scale'];
+// Mesh material attributes <animate> can drive
+const COLOR_ATTRIBUTES = ['color', 'emissive'];
+const SCALAR_ATTRIBUTES = ['opacity', 'emissiveIntensity', 'metalness', 'roughness', 'shininess'];
+const COLOR_INTERPOLATIONS = ['linearRGB', 'sRGB', 'hsl'];
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Allowed child elements per parent. <metadata> accepts arbitrary content.
+const CONTENT_MODEL = {
+  svg3: ['metadata', 'defs', 'scene'],
+  metadata: [],
+  defs: ['geometry', 'texture', 'material', 'path3d', 'symbol'],
+  scene: OBJECT_TAGS,
+  group: [...OBJECT_TAGS, ...ANIMATION_TAGS],
+  mesh: [...OBJECT_TAGS, ...ANIMATION_TAGS],
+  light: ANIMATION_TAGS,
+  camera: ANIMATION_TAGS,
+  geometry: ['positions', 'normals', 'uvs', 'indices'],
+  positions: [],
+  normals: [],
+  uvs: [],
+  indices: [],
+  texture: [],
+  material: [],
+  path3d: [],
+  symbol: OBJECT_TAGS,
+  use: ANIMATION_TAGS,
+  animate: [],
+  animateTransform: [],
+  animateMotion: ['mpath'],
+  mpath: [],
+  set: [],
+};
+
+const CALC_MODES = ['discrete', 'linear', 'paced', 'spline'];
+const MOTION_ROTATES = ['auto', 'auto-reverse'];
+const TRANSFORM_TYPES = ['translate', 'rotate', 'scale'];
+// Allowed values of the other enumerated animation attributes
+const ANIMATION_KEYWORDS = {
+  fill: ['freeze', 'remove'],
+  additive: ['replace', 'sum'],
+  accumulate: ['none', 'sum'],
+  rotationInterpolation: ['euler', 'slerp'],
+};
+const ROTATION_ORDERS = ['XYZ', 'YXZ', 'ZXY', 'ZYX', 'YZX', 'XZY'];
+const FILL_RULES = ['nonzero', 'evenodd'];
+const MESH_ARRAYS = ['positions', 'normals', 'uvs', 'indices'];
+const CAMERA_TYPES = ['perspective', 'orthographic'];
+const CAMERA_NUMBERS = ['fov', 'near', 'far', 'zoom', 'left', 'right', 'top', 'bottom'];
+// Material attributes that take a "#id" of a <texture>
+const TEXTURE_SLOTS = ['map', 'normalMap', 'roughnessMap', 'emissiveMap', 'alphaMap'];
+const TEXTURE_KEYWORDS = {
+  wrapS: ['repeat', 'clamp', 'mirror'],
+  wrapT: ['repeat', 'clamp', 'mirror'],
+  colorSpace: ['srgb', 'linear'],
+  flipY: ['true', 'false'],
+};
+const EXTRUDE_NUMBERS = ['depth', 'steps', 'curveSegments', 'bevelThickness', 'bevelSize', 'bevelOffset', 'bevelSegments'];
+
+// SMIL clock values: full / partial clock ("00:01:30.5", "01:30") or timecount ("2s", "1.5min")
+const CLOCK_VALUE = /^((\d+:)?\d+:\d{2}(\.\d+)?|(\d+(\.\d*)?|\.\d+)(h|min|s|ms)?)$/;
+const TIMING_ATTRIBUTES = {
+  dur: { indefinite: true },
+  repeatDur: { indefinite: true },
+  max: { indefinite: true },
+  min: {},
+  end: { signed: true, indefinite: true },
+};
+
+// begin list items besides offsets: "spin.end+0.5s", "intro.repeat(2)", "door.click", "click"
+const BEGIN_CONDITION = /^(?:(.+?)\.)?([A-Za-z]+)(?:\((\d+)\))?\s*(?:[+-]\s*(.+))?$/;
+
+// ============================================================================
+// 2. VALIDATOR - Walks the document and collects diagnostics
+// ============================================================================
+
+export class SVG3Validator {
+  constructor(options = {}) {
+    this.geometryTypes = options.geometryTypes || SVG3_GEOMETRY_TYPES;
+    this.materialTypes = options.materialTypes || SVG3_MATERIAL_TYPES;
+    this.diagnostics = [];
+  }
+
+  /**
+   * Validate an SVG3 XML string
+   * @returns {{ valid: boolean, errors: object[], warnings: object[], diagnostics: object[] }}
+   */
+  validate(svgString) {
+    this.diagnostics = [];
+    this.ids = new Map();
+    this.geometryIds = new Set();
+    this.materialIds = new Set();
+    this.references = [];
+    this.uses = [];
+
+    let root = null;
+    try {
+      root = new SVG3XMLReader().read(svgString);
+    } catch (err) {
+      this.report('error', 'xml-syntax', err.message.replace(/^Invalid SVG3: /, ''), err);
+    }
+
+    if (root) {
+      if (root.tagName !== 'svg3') {
+        this.report('error', 'invalid-root', `Root element must be <svg3>, found <${root.tagName}>`, root);
+      } else {
+        this.checkElement(root);
+        this.checkReferences();
+        this.checkUseCycles();
+      }
+    }
+
+    this.diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+    const errors = this.diagnostics.filter(d => d.severity === 'error');
+    const warnings = this.diagnostics.filter(d => d.severity === 'warning');
+
+    return { valid: errors.length === 0, errors, warnings, diagnostics: this.diagnostics };
+  }
+
+  checkElement(el) {
+    this.checkId(el);
+
+    switch (el.tagName) {
+      case 'svg3': {
+        const defs = el.children.filter(c => c.tagName === 'defs');
+        if (defs.length > 1) {
+          this.report('warning', 'duplicate-defs', 'Only the first <defs> block is used', defs[1]);
+        }
+        break;
+      }
+      case 'geometry':
+        this.checkDefinition(el, this.geometryIds, this.geometryTypes, 'error', 'unknown-geometry-type');
+        this.checkGeometryParams(el);
+        break;
+      case 'texture':
+        this.checkTexture(el);
+        break;
+      case 'material':
+        this.checkDefinition(el, this.materialIds, this.materialTypes, 'warning', 'unknown-material-type');
+        TEXTURE_SLOTS.filter(slot => el.hasAttribute(slot)).forEach(attribute => {
+          this.references.push({ el, attribute, kind: 'texture', ref: el.getAttribute(attribute).trim().replace(/^#/, '') });
+        });
+        break;
+      case 'scene':
+        if (el.hasAttribute('camera')) {
+          // Cameras may sit inside groups
+          const cameras = new Set();
+          const collect = parent => parent.children.forEach(child => {
+            if (child.tagName === 'camera') cameras.add(child.id);
+            collect(child);
+          });
+          collect(el);
+          this.references.push({ el, attribute: 'camera', kind: 'camera', ids: cameras });
+        }
+        break;
+      case 'camera':
+        this.checkCamera(el);
+        break;
+      case 'mesh':
+        ['geometry', 'material'].forEach(attribute => {
+          if (!el.hasAttribute(attribute)) {
+            this.report('error', 'missing-attribute', `<mesh> is missing the required "${attribute}" attribute`, el);
+          } else {
+            this.references.push({ el, attribute, kind: attribute });
+          }
+        });
+        break;
+      case 'path3d':
+        if (!el.id) this.report('warning', 'missing-id', '<path3d> without an id cannot be referenced', el);
+        this.checkPathData(el, 'd');
+        break;
+      case 'symbol':
+        if (!el.id) this.report('warning', 'missing-id', '<symbol> without an id cannot be referenced', el);
+        break;
+      case 'use':
+        this.checkUse(el);
+        break;
+      case 'animate':
+      case 'animateTransform':
+      case 'set':
+        this.checkAnimation(el);
+        break;
+      case 'animateMotion':
+        this.checkAnimation(el);
+        this.checkMotion(el);
+        break;
+      case 'mpath': {
+        const attribute = el.hasAttribute('href') ? 'href' : 'xlink:href';
+        if (!el.hasAttribute(attribute)) {
+          this.report('error', 'missing-attribute', '<mpath> is missing the required "href" attribute', el);
+        } else {
+          this.references.push({ el, attribute, kind: 'path', ref: el.getAttribute(attribute).replace(/^#/, '') });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    if (OBJECT_TAGS.includes(el.tagName)) {
+      VECTOR_ATTRIBUTES.forEach(name => {
+        if (el.hasAttribute(name)) this.checkVector(el, name, el.getAttribute(name));
+      });
+      const rotationOrder = el.getAttribute('rotationOrder');
+      if (rotationOrder !== null && !ROTATION_ORDERS.includes(rotationOrder.trim())) {
+        this.report('error', 'invalid-value', `rotationOrder="${rotationOrder}" must be one of: ${ROTATION_ORDERS.join(', ')}`, el.getAttributeNode('rotationOrder'));
+      }
+    }
+
+    // Metadata content is free-form
+    if (el.tagName === 'metadata') return;
+
+    const allowed = CONTENT_MODEL[el.tagName];
+    el.children.forEach(child => {
+      if (!(child.tagName in CONTENT_MODEL)) {
+        this.report('warning', 'unknown-element', `Unknown element <${child.tagName}> will be ignored`, child);
+      } else if (!allowed.includes(child.tagName)) {
+        this.report('warning', 'unexpected-element', `<${child.tagName}> is not allowed inside <${el.tagName}> and will be ignored`, child);
+      } else {
+        this.checkElement(child);
+      }
+    });
+  }
+
+  checkId(el) {
+    const id = el.getAttribute('id');
+    if (id === null) return;
+    if (id.trim() === '') {
+      this.report('warning', 'empty-id', `Empty id on <${el.tagName}>`, el.getAttributeNode('id'));
+      return;
+    }
+    const first = this.ids.get(id);
+    if (first) {
+      this.report('error', 'duplicate-id', `Duplicate id "${id}" (first defined at line ${first.line}, column ${first.column})`, el.getAttributeNode('id'));
+    } else {
+      this.ids.set(id, el);
+    }
+  }
+
+  checkDefinition(el, idSet, knownTypes, severity, code) {
+    if (!el.id) {
+      this.report('warning', 'missing-id', `<${el.tagName}> without an id cannot be referenced`, el);
+    } else {
+      idSet.add(el.id);
+    }
+
+    const type = el.getAttribute('type');
+    if (type === null) {
+      if (el.tagName === 'geometry') {
+        this.report('error', 'missing-attribute', '<geometry> is missing the required "type" attribute', el);
+      }
+    } else if (!knownTypes.includes(type)) {
+      this.report(severity, code, `Unknown ${el.tagName} type "${type}" (expected one of: ${knownTypes.join(', ')})`, el.getAttributeNode('type'));
+    }
+  }
+
+  checkCamera(el) {
+    const type = el.getAttribute('type');
+    if (type !== null && !CAMERA_TYPES.includes(type.trim())) {
+      this.report('error', 'invalid-value', `type="${type.trim()}" must be one of: ${CAMERA_TYPES.join(', ')}`, el.getAttributeNode('type'));
+    }
+    CAMERA_NUMBERS.filter(name => el.hasAttribute(name)).forEach(name => this.checkNumber(el, name, el.getAttribute(name)));
+    const aspect = el.getAttribute('aspect');
+    // A number or a fraction such as "16/9"
+    if (aspect !== null && !aspect.split('/').every(part => part.trim() !== '' && Number(part.trim()) > 0)) {
+      this.report('error', 'invalid-value', `aspect="${aspect.trim()}" must be a positive number or a ratio like "16/9"`, el.getAttributeNode('aspect'));
+    }
+
+    // Orthographic bounds are used only as a set
+    const bounds = ['left', 'right', 'top', 'bottom'];
+    const given = bounds.filter(name => el.hasAttribute(name));
+    if (given.length && type?.trim() !== 'orthographic') {
+      this.report('warning', 'invalid-value', `${given.join('/')} only apply to type="orthographic" cameras`, el.getAttributeNode(given[0]));
+    } else if (given.length && given.length < bounds.length) {
+      const missing = bounds.filter(name => !given.includes(name));
+      this.report('error', 'missing-attribute', `Orthographic <camera> with ${given.join('/')} is missing ${missing.map(name => `"${name}"`).join(', ')}`, el);
+    }
+  }
+
+  checkTexture(el) {
+    if (!el.id) this.report('warning', 'missing-id', '<texture> without an id cannot be referenced', el);
+    if (!el.hasAttribute('href')) {
+      this.report('error', 'missing-attribute', '<texture> is missing the required "href" attribute', el);
+    }
+    Object.entries(TEXTURE_KEYWORDS).forEach(([name, allowed]) => {
+      const value = el.getAttribute(name);
+      if (value !== null && !allowed.includes(value.trim())) {
+        this.report('error', 'invalid-value', `${name}="${value.trim()}" must be one of: ${allowed.join(', ')}`, el.getAttributeNode(name));
+      }
+    });
+    // "u,v", or one number for both
+    ['repeat', 'offset'].filter(name => el.hasAttribute(name)).forEach(name => {
+      const value = el.getAttribute(name);
+      const parts = value.split(',');
+      if (parts.length > 2 || parts.some(part => part.trim() === '' || !Number.isFinite(Number(part.trim())))) {
+        this.report('error', 'invalid-value', `${name}="${value.trim()}" must be "u,v" numbers`, el.getAttributeNode(name));
+      }
+    });
+  }
+
+  checkAnimation(el) {
+    const attributeName = el.getAttribute('attributeName');
+    const transformType = el.tagName === 'animateTransform' ? el.getAttribute('type') : null;
+    if (transformType !== null && !TRANSFORM_TYPES.includes(transformType.trim())) {
+      this.report('error', 'invalid-value', `type="${transformType}" must be one of: ${TRANSFORM_TYPES.join(', ')}`, el.getAttributeNode('type'));
+    }
+    // <animateMotion> always drives position (and rotation), <animateTransform> the property its type names
+    if (!attributeName && el.tagName !== 'animateMotion' && transformType === null) {
+      this.report('error', 'missing-attribute', `<${el.tagName}> is missing the required "attributeName" attribute`, el);
+    }
+
+    Object.entries(TIMING_ATTRIBUTES).forEach(([name, { signed, indefinite }]) => {
+      const value = el.getAttribute(name)?.trim();
+      if (value === undefined || (indefinite && value === 'indefinite')) return;
+      if (!CLOCK_VALUE.test(signed ? value.replace(/^[+-]/, '') : value)) {
+        this.report('error', 'invalid-time', `Cannot parse ${name}="${value}" (expected a clock value such as "2s", "150ms" or "01:30")`, el.getAttributeNode(name));
+      }
+    });
+
+    if (el.hasAttribute('begin')) this.checkBegin(el);
+
+    const repeatCount = el.getAttribute('repeatCount')?.trim();
+    if (repeatCount !== undefined && repeatCount !== 'indefinite' && !(Number(repeatCount) > 0)) {
+      this.report('error', 'invalid-value', `repeatCount="${repeatCount}" must be a positive number or "indefinite"`, el.getAttributeNode('repeatCount'));
+    }
+    Object.entries(ANIMATION_KEYWORDS).forEach(([name, keywords]) => {
+      const value = el.getAttribute(name);
+      if (value !== null && !keywords.includes(value.trim())) {
+        this.report('error', 'invalid-value', `${name}="${value}" must be "${keywords[0]}" or "${keywords[1]}"`, el.getAttributeNode(name));
+      }
+    });
+
+    this.checkKeyframes(el);
+
+    const colorInterpolation = el.getAttribute('colorInterpolation');
+    if (colorInterpolation !== null && !COLOR_INTERPOLATIONS.includes(colorInterpolation.trim())) {
+      this.report('error', 'invalid-value', `colorInterpolation="${colorInterpolation}" must be one of: ${COLOR_INTERPOLATIONS.join(', ')}`, el.getAttributeNode('colorInterpolation'));
+    }
+
+    let check = null;
+    if (transformType?.trim() === 'scale') check = (name, value) => this.checkVector(el, name, value, true);
+    else if (TRANSFORM_TYPES.includes(transformType?.trim())) check = (name, value) => this.checkVector(el, name, value);
+    else if (VECTOR_ATTRIBUTES.includes(attributeName) || el.tagName === 'animateMotion') check = (name, value) => this.checkVector(el, name, value);
+    else if (COLOR_ATTRIBUTES.includes(attributeName)) check = (name, value) => this.checkColor(el, name, value);
+    else if (SCALAR_ATTRIBUTES.includes(attributeName)) check = (name, value) => this.checkNumber(el, name, value);
+    if (check) {
+      ['from', 'to', 'by'].forEach(name => {
+        if (el.hasAttribute(name)) check(name, el.getAttribute(name));
+      });
+      if (el.hasAttribute('values')) {
+        el.getAttribute('values').split(';').forEach(value => check('values', value));
+      }
+    }
+  }
+
+  /**
+   * path / mpath, rotate and keyPoints of an <animateMotion>
+   */
+  checkMotion(el) {
+    const invalid = (name, message) => this.report('error', 'invalid-value', message, el.getAttributeNode(name));
+    if (el.hasAttribute('path')) this.checkPathData(el, 'path');
+
+    const rotate = el.getAttribute('rotate');
+    if (rotate !== null && !MOTION_ROTATES.includes(rotate.trim())) {
+      invalid('rotate', `rotate="${rotate}" must be one of: ${MOTION_ROTATES.join(', ')}`);
+    }
+
+    const keyPoints = el.getAttribute('keyPoints')?.split(';').filter(v => v.trim()).map(Number);
+    if (keyPoints) {
+      const keyTimes = el.getAttribute('keyTimes')?.split(';').filter(v => v.trim());
+      if (!keyPoints.every(p => p >= 0 && p <= 1)) {
+        invalid('keyPoints', 'keyPoints must be numbers between 0 and 1');
+      } else if (!keyTimes) {
+        invalid('keyPoints', 'keyPoints requires keyTimes with the same number of entries');
+      } else if (keyTimes.length !== keyPoints.length) {
+        invalid('keyPoints', `keyPoints has ${keyPoints.length} entries but keyTimes has ${keyTimes.length}`);
+      }
+    }
+  }
+
+  /**
+   * href to a <symbol>, and the materials named by material-override
+   * ("gold" for every mesh, or "bark:darkBark; leaf:autumn")
+   */
+  checkUse(el) {
+    const attribute = el.hasAttribute('href') ? 'href' : 'xlink:href';
+    if (!el.hasAttribute(attribute)) {
+      this.report('error', 'missing-attribute', '<use> is missing the required "href" attribute', el);
+    } else {
+      const ref = el.getAttribute(attribute).replace(/^#/, '');
+      this.references.push({ el, attribute, kind: 'symbol', ref });
+      this.uses.push({ el, attribute, ref, within: enclosingSymbol(el) });
+    }
+
+    const overrides = el.getAttribute('material-override');
+    if (overrides === null) return;
+    overrides.split(';').filter(entry => entry.trim()).forEach(entry => {
+      const parts = entry.split(':').map(part => part.trim());
+      if (parts.length > 2 || parts.some(part => !part)) {
+        this.report('error', 'invalid-value', `Malformed material-override entry "${entry.trim()}" (expected "material" or "from:to")`, el.getAttributeNode('material-override'));
+      } else {
+        this.references.push({ el, attribute: 'material-override', kind: 'material', ref: parts[parts.length - 1] });
+      }
+    });
+  }
+
+  // Type-specific attributes and content of a <geometry>
+  checkGeometryParams(el) {
+    switch (el.getAttribute('type')) {
+      case 'mesh':
+        this.checkMeshData(el);
+        break;
+      case 'extrude':
+        this.checkExtrude(el);
+        break;
+      case 'lathe':
+        this.checkLathe(el);
+        break;
+      case 'tube':
+        if (el.hasAttribute('d')) this.checkPathData(el, 'd');
+        else this.report('error', 'missing-attribute', '<geometry type="tube"> is missing the required "d" attribute', el);
+        break;
+    }
+  }
+
+  /**
+   * <positions>, <normals>, <uvs> and <indices> of type="mesh": readable numbers or
+   * base64, and counts that fit together
+   */
+  checkMeshData(el) {
+    const data = {};
+    let readable = true;
+    el.children.filter(child => MESH_ARRAYS.includes(child.tagName)).forEach(child => {
+      const options = {
+        encoding: child.getAttribute('encoding') || 'text',
+        type: child.getAttribute('type') || (child.tagName === 'indices' ? 'uint32' : 'float32'),
+      };
+      try {
+        data[child.tagName] = parseVertexArray(child.textContent, options);
+      } catch (err) {
+        readable = false;
+        this.report('error', 'invalid-value', `Malformed <${child.tagName}>: ${err.message}`, child);
+      }
+    });
+    if (!readable) return;
+    checkMeshData(data).forEach(problem => {
+      this.report('error', 'invalid-value', `Mesh geometry "${el.id}": ${problem}`, el);
+    });
+  }
+
+  /**
+   * d (2D SVG path data), fillRule and the numeric options of type="extrude"
+   */
+  checkExtrude(el) {
+    if (!el.hasAttribute('d')) {
+      this.report('error', 'missing-attribute', '<geometry type="extrude"> is missing the required "d" attribute', el);
+    } else {
+      try {
+        parseSVGPath(el.getAttribute('d'));
+      } catch (err) {
+        this.report('error', 'invalid-value', `Malformed path data d="${el.getAttribute('d').trim()}": ${err.message}`, el.getAttributeNode('d'));
+      }
+    }
+
+    ['fillRule', 'fill-rule'].forEach(name => {
+      const value = el.getAttribute(name);
+      if (value !== null && !FILL_RULES.includes(value.trim())) {
+        this.report('error', 'invalid-value', `${name}="${value}" must be one of: ${FILL_RULES.join(', ')}`, el.getAttributeNode(name));
+      }
+    });
+    EXTRUDE_NUMBERS.forEach(name => {
+      if (el.hasAttribute(name)) this.checkNumber(el, name, el.getAttribute(name));
+    });
+  }
+
+  // points="x,y x,y ...": at least two profile points
+  checkLathe(el) {
+    const points = el.getAttribute('points');
+    if (points === null) return;
+    const numbers = points.trim().split(/[\s,]+/).filter(Boolean);
+    if (numbers.length < 4 || numbers.length % 2 || !numbers.every(v => Number.isFinite(Number(v)))) {
+      this.report('error', 'invalid-value', `Malformed points="${points.trim()}" (expected at least two "x,y" pairs)`, el.getAttributeNode('points'));
+    }
+  }
+
+  checkPathData(el, name) {
+    try {
+      parsePath3D(el.getAttribute(name));
+    } catch (err) {
+      this.report('error', 'invalid-value', `Malformed path data ${name}="${el.getAttribute(name)?.trim()}": ${err.message}`, el.getAttributeNode(name) || el);
+    }
+  }
+
+  /**
+   * begin is a ';'-separated list of offsets, syncbase values (id.begin / id.end /
+   * id.repeat(n)), event values ([id.]click) and "indefinite"
+   */
+  checkBegin(el) {
+    const attr = el.getAttributeNode('begin');
+    el.getAttribute('begin').split(';').map(item => item.trim()).forEach(item => {
+      if (item === 'indefinite' || CLOCK_VALUE.test(item.replace(/^[+-]\s*/, ''))) return;
+
+      const match = item.match(BEGIN_CONDITION);
+      if (!match || (match[4] !== undefined && !CLOCK_VALUE.test(match[4].trim()))) {
+        this.report('error', 'invalid-time', `Cannot parse begin value "${item}" (expected e.g. "2s", "spin.end+0.5s" or "door.click")`, attr);
+        return;
+      }
+      const [, id, name, iteration] = match;
+      const syncbase = name === 'begin' || name === 'end' || (name === 'repeat' && iteration !== undefined);
+      if (syncbase && id) {
+        this.references.push({ el, attribute: 'begin', kind: 'animation', ref: id });
+      } else if (syncbase || iteration !== undefined || !POINTER_EVENTS.includes(name)) {
+        this.report('error', 'invalid-time', `Unknown begin event "${name}" (expected one of: ${POINTER_EVENTS.join(', ')})`, attr);
+      } else if (id) {
+        this.references.push({ el, attribute: 'begin', kind: 'object', ref: id });
+      }
+    });
+  }
+
+  checkKeyframes(el) {
+    const invalid = (name, message) => this.report('error', 'invalid-value', message, el.getAttributeNode(name) || el);
+    const calcMode = el.getAttribute('calcMode')?.trim() || 'linear';
+    if (!CALC_MODES.includes(calcMode)) {
+      invalid('calcMode', `calcMode="${calcMode}" must be one of: ${CALC_MODES.join(', ')}`);
+      return;
+    }
+
+    const values = el.getAttribute('values')?.split(';').filter(v => v.trim());
+    const keyTimes = el.getAttribute('keyTimes')?.split(';').filter(v => v.trim()).map(Number);
+    if (keyTimes && calcMode !== 'paced') {
+      const ordered = keyTimes.every((t, i) => t >= 0 && t <= 1 && (i === 0 || t >= keyTimes[i - 1]));
+      if (!ordered) {
+        invalid('keyTimes', 'keyTimes must be increasing numbers between 0 and 1');
+      } else if (values && keyTimes.length !== values.length) {
+        invalid('keyTimes', `keyTimes has ${keyTimes.length} entries but values has ${values.length}`);
+      } else if (calcMode !== 'discrete' && (keyTimes[0] !== 0 || keyTimes[keyTimes.length - 1] !== 1)) {
+        invalid('keyTimes', `keyTimes must start at 0 and end at 1 for calcMode="${calcMode}"`);
+      }
+    }
+
+    if (calcMode === 'spline') {
+      const splines = el.getAttribute('keySplines')?.split(';').filter(v => v.trim());
+      const intervals = (values ? values.length : 2) - 1;
+      if (!splines) {
+        invalid('calcMode', 'calcMode="spline" requires keySplines');
+      } else if (splines.length !== intervals) {
+        invalid('keySplines', `keySplines needs ${intervals} control point set(s), found ${splines.length}`);
+      } else if (!splines.every(spline => {
+        const points = spline.trim().split(/[\s,]+/).map(Number);
+        return points.length === 4 && points.every(v => v >= 0 && v <= 1);
+      })) {
+        invalid('keySplines', 'Each keySplines entry must be four numbers between 0 and 1 ("x1 y1 x2 y2")');
+      }
+    }
+  }
+
+  // `uniform` also accepts a single number (a scale factor for all three axes)
+  checkVector(el, name, value, uniform = false) {
+    const parts = value.split(',');
+    const numeric = parts.every(v => v.trim() !== '' && Number.isFinite(Number(v.trim())));
+    if (!(parts.length === 3 || (uniform && parts.length === 1)) || !numeric) {
+      const expected = uniform ? '"x,y,z" or a single factor' : '"x,y,z"';
+      this.report('error', 'invalid-vector', `Malformed vector ${name}="${value.trim()}" on <${el.tagName}> (expected ${expected})`, el.getAttributeNode(name));
+    }
+  }
+
+  checkColor(el, name, value) {
+    if (!HEX_COLOR.test(value.trim())) {
+      this.report('error', 'invalid-value', `Malformed color ${name}="${value.trim()}" (expected "#rgb" or "#rrggbb")`, el.getAttributeNode(name));
+    }
+  }
+
+  checkNumber(el, name, value) {
+    if (value.trim() === '' || !Number.isFinite(Number(value.trim()))) {
+      this.report('error', 'invalid-value', `${name}="${value.trim()}" must be a number`, el.getAttributeNode(name));
+    }
+  }
+
+  checkReferences() {
+    this.references.forEach(({ el, attribute, kind, ids, ref: target }) => {
+      if (kind === 'animation' || kind === 'object') {
+        const tags = kind === 'animation' ? ANIMATION_TAGS : OBJECT_TAGS;
+        if (!tags.includes(this.resolveId(target)?.tagName)) {
+          this.report('error', 'dangling-reference', `begin refers to "${target}", which is not the id of any ${kind === 'animation' ? 'animation' : 'mesh, group, use, light or camera'}`, el.getAttributeNode(attribute));
+        }
+        return;
+      }
+      if (kind === 'symbol') {
+        if (this.ids.get(target)?.tagName !== 'symbol') {
+          this.report('error', 'dangling-reference', `${attribute}="${el.getAttribute(attribute)}" does not match any symbol in <defs>`, el.getAttributeNode(attribute));
+        }
+        return;
+      }
+      if (kind === 'path' || kind === 'texture') {
+        const tag = kind === 'path' ? 'path3d' : 'texture';
+        if (this.ids.get(target)?.tagName !== tag) {
+          this.report('error', 'dangling-reference', `${attribute}="${el.getAttribute(attribute)}" does not match any ${tag} in <defs>`, el.getAttributeNode(attribute));
+        }
+        return;
+      }
+      const ref = target ?? el.getAttribute(attribute);
+      const known = ids || (kind === 'geometry' ? this.geometryIds : this.materialIds);
+      if (!known.has(ref)) {
+        const scope = kind === 'camera' ? 'camera in this scene' : `${kind} in <defs>`;
+        this.report('error', 'dangling-reference', `${attribute}="${ref}" does not match any ${scope}`, el.getAttributeNode(attribute));
+      }
+    });
+  }
+
+  /**
+   * The element behind an id. Ids inside <use> copies are scoped by the instance:
+   * "tree3/trunk" is the element "trunk" of the symbol that <use id="tree3"> places.
+   */
+  resolveId(ref) {
+    if (this.ids.has(ref)) return this.ids.get(ref);
+    let scope = null;
+    let el = null;
+    for (const part of ref.split('/')) {
+      if (el) {
+        if (el.tagName !== 'use') return null;
+        scope = (el.getAttribute('href') || el.getAttribute('xlink:href') || '').replace(/^#/, '');
+      }
+      el = this.ids.get(part);
+      if (!el || (scope !== null && enclosingSymbol(el)?.id !== scope)) return null;
+    }
+    return el;
+  }
+
+  // A symbol that (through other symbols) uses itself would be copied forever
+  checkUseCycles() {
+    const targets = new Map();
+    this.uses.forEach(({ ref, within }) => {
+      if (!within?.id) return;
+      if (!targets.has(within.id)) targets.set(within.id, new Set());
+      targets.get(within.id).add(ref);
+    });
+    const reaches = (from, goal, seen = new Set()) => {
+      if (from === goal) return true;
+      if (seen.has(from)) return false;
+      seen.add(from);
+      return Array.from(targets.get(from) || []).some(next => reaches(next, goal, seen));
+    };
+
+    this.uses.forEach(({ el, attribute, ref, within }) => {
+      if (within?.id && reaches(ref, within.id)) {
+        this.report('error', 'circular-reference', `<use href="${el.getAttribute(attribute)}"> inside symbol "${within.id}" leads back to it`, el.getAttributeNode(attribute));
+      }
+    });
+  }
+
+  report(severity, code, message, node) {
+    this.diagnostics.push({
+      severity,
+      code,
+      message,
+      line: node?.line || 1,
+      column: node?.column || 1,
+    });
+  }
+
+  /**
+   * Format a diagnostic as "file:line:column: severity: message [code]"
+   */
+  static format(diagnostic, fileName = '') {
+    const location = `${fileName ? fileName + ':' : ''}${diagnostic.line}:${diagnostic.column}`;
+    return `${location}: ${diagnostic.severity}: ${diagnostic.message} [${diagnostic.code}]`;
+  }
+}
+
+function enclosingSymbol(el) {
+  let parent = el.parentElement;
+  while (parent && parent.tagName !== 'symbol') parent = parent.parentElement;
+  return parent;
+}
+
+export default {
+  SVG3Validator,
+  SVG3_GEOMETRY_TYPES,
+  SVG3_MATERIAL_TYPES,
+};
@@ -0,0 +1,237 @@
+/**
+ * SVG3 AnimationEngine tests
+ * SMIL value resolution, sampled headless through SVG3SceneEvaluator
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3SceneEvaluator } from '../svg3-evaluator.js';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+function evaluator(meshes) {
+  const src = `<svg3>
+    <defs>
+      <geometry id="box" type="box" />
+      <material id="mat" type="standard" color="#ff0000" />
+    </defs>
+    <scene>${meshes}</scene>
+  </svg3>`;
+  return new SVG3SceneEvaluator(new SVG3Parser({ backend: 'headless' }).parse(src));
+}
+
+function assertVector(actual, expected, message) {
+  assert.equal(actual.length, expected.length, message);
+  actual.forEach((v, k) => assert.ok(Math.abs(v - expected[k]) < 1e-9, `${message}: ${actual} != ${expected}`));
+}
+
+const DEG = Math.PI / 180;
+
+// ============================================================================
+// 2. FROM / TO / BY
+// ============================================================================
+
+test('to animations start at the underlying transform', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat" position="2,0,0">
+      <animate attributeName="position" to="0,4,0" dur="1s" />
+    </mesh>`);
+  assertVector(scene.evaluate(0).a.position, [2, 0, 0], 't=0');
+  assertVector(scene.evaluate(0.5).a.position, [1, 2, 0], 't=0.5');
+  assertVector(scene.evaluate(2).a.position, [0, 4, 0], 'frozen');
+});
+
+test('by animations add to the underlying transform', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat" position="2,0,0" rotation="90,0,0">
+      <animate attributeName="position" by="1,0,0" dur="1s" />
+      <animateTransform type="rotate" by="0,90,0" dur="1s" />
+    </mesh>`);
+  assertVector(scene.evaluate(0.5).a.position, [2.5, 0, 0], 'position');
+  assertVector(scene.evaluate(1).a.position, [3, 0, 0], 'position');
+  assertVector(scene.evaluate(1).a.rotation, [90 * DEG, 90 * DEG, 0], 'rotation in degrees');
+});
+
+test('by animations build on the animation underneath', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" />
+      <animate attributeName="position" by="0,1,0" begin="1s" dur="1s" />
+    </mesh>`);
+  assertVector(scene.evaluate(1.5).a.position, [4, 0.5, 0], 'position');
+});
+
+test('from still overrides the underlying value', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat" scale="2">
+      <animateTransform type="scale" from="1" by="1" dur="1s" />
+    </mesh>`);
+  assertVector(scene.evaluate(0).a.scale, [1, 1, 1], 't=0');
+  assertVector(scene.evaluate(1).a.scale, [2, 2, 2], 't=1');
+});
+
+test('material to animations start at the material value', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate attributeName="opacity" to="0" dur="1s" />
+    </mesh>`);
+  assert.equal(scene.evaluate(0.25).a.material.opacity, 0.75);
+});
+
+// ============================================================================
+// 3. TIMING
+// ============================================================================
+
+test('a fractional repeatCount stops partway through the last iteration', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" repeatCount="2.5" />
+    </mesh>`);
+  assertVector(scene.evaluate(1.25).a.position, [1, 0, 0], 'second iteration');
+  assertVector(scene.evaluate(2.5).a.position, [2, 0, 0], 'frozen halfway');
+  assertVector(scene.evaluate(10).a.position, [2, 0, 0], 'still frozen');
+});
+
+test('repeatCount="indefinite" never ends', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" repeatCount="indefinite" />
+    </mesh>`);
+  assertVector(scene.evaluate(100.25).a.position, [1, 0, 0], 't=100.25');
+  assert.equal(scene.animationEngine.getDuration(), Infinity);
+});
+
+test('repeatDur limits the active duration, alone or with repeatCount', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" repeatDur="1.5s" />
+    </mesh>
+    <mesh id="b" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" repeatCount="3" repeatDur="1.75s" />
+    </mesh>
+    <mesh id="c" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" repeatCount="0.5" repeatDur="3s" />
+    </mesh>`);
+  const state = scene.evaluate(5);
+  assertVector(state.a.position, [2, 0, 0], 'repeatDur alone');
+  assertVector(state.b.position, [3, 0, 0], 'repeatDur before repeatCount');
+  assertVector(state.c.position, [2, 0, 0], 'repeatCount before repeatDur');
+});
+
+test('end cuts the active duration short', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" begin="1s" end="1.25s" />
+    </mesh>`);
+  assertVector(scene.evaluate(1.1).a.position, [0.4, 0, 0], 'active');
+  assertVector(scene.evaluate(3).a.position, [1, 0, 0], 'frozen at the end');
+});
+
+test('fill="remove" restores the underlying value after the active duration', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat" position="1,1,1">
+      <animate attributeName="position" to="5,1,1" dur="1s" fill="remove" />
+    </mesh>`);
+  assertVector(scene.evaluate(0.5).a.position, [3, 1, 1], 'active');
+  assertVector(scene.evaluate(1).a.position, [1, 1, 1], 'removed at the end');
+  assertVector(scene.evaluate(0.5).a.position, [3, 1, 1], 'seeking back applies it again');
+});
+
+test('min extends and max shortens the active duration', () => {
+  const scene = evaluator(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" end="0.5s" min="2s" fill="remove" />
+    </mesh>
+    <mesh id="b" geometry="box" material="mat">
+      <animate attributeName="position" from="0,0,0" to="4,0,0" dur="1s" repeatCount="3" max="1.5s" />
+    </mesh>`);
+  // min overrides end, and past the repeat duration the last value holds until it is removed
+  assertVector(scene.evaluate(0.75).a.position, [3, 0, 0], 'min keeps it active past end');
+  assertVector(scene.evaluate(1.5).a.position, [4, 0, 0], 'last value held until min');
+  assertVector(scene.evaluate(2).a.position, [0, 0, 0], 'removed after min');
+  assertVector(scene.evaluate(5).b.position, [2, 0, 0], 'max');
+});
+
+// ============================================================================
+// 4. TIME EVENTS
+// ============================================================================
+
+// Plays the scene frame by frame, recording every time event as "type id@time"
+function player(meshes) {
+  const scene = evaluator(meshes);
+  const engine = scene.animationEngine;
+  const log = [];
+  ['beginEvent', 'repeatEvent', 'endEvent'].forEach(type => {
+    engine.addEventListener(type, e => log.push(`${type} ${e.animationId}@${+e.time.toFixed(6)}`));
+  });
+  const play = (seconds, step = 0.25) => {
+    for (let t = 0; t < seconds - 1e-9; t += step) engine.update(step, scene.nodes);
+  };
+  return { engine, log, play };
+}
+
+test('an event at a repeat boundary does not dispatch the boundary again', () => {
+  const { engine, log, play } = player(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate id="spin" attributeName="rotation" to="0,360,0" dur="1s" repeatCount="indefinite" />
+      <animate id="flash" attributeName="opacity" to="0" dur="0.5s" begin="a.click" />
+    </mesh>`);
+  play(1);
+  engine.triggerEvent('a', 'click');
+  play(1);
+  assert.deepEqual(log, [
+    'beginEvent spin@0',
+    'repeatEvent spin@1',
+    'beginEvent flash@1',
+    'endEvent flash@1.5',
+    'repeatEvent spin@2',
+  ]);
+});
+
+test('animations begun at the current time, directly or through a syncbase, fire once', () => {
+  const { engine, log, play } = player(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate id="open" attributeName="position" to="0,1,0" dur="0.5s" begin="click" />
+      <animate id="glow" attributeName="opacity" to="0" dur="0.5s" begin="open.begin" />
+    </mesh>`);
+  play(0.5);
+  engine.triggerEvent('a', 'click');
+  play(1);
+  engine.triggerEvent('a', 'click');
+  play(0.25);
+  assert.deepEqual(log, [
+    'beginEvent open@0.5',
+    'beginEvent glow@0.5',
+    'endEvent open@1',
+    'endEvent glow@1',
+    'beginEvent open@1.5',
+    'beginEvent glow@1.5',
+  ]);
+});
+
+test('events recorded in the past catch up on their boundaries once', () => {
+  const { engine, log, play } = player(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate id="open" attributeName="position" to="0,1,0" dur="0.5s" repeatCount="2" begin="click" />
+    </mesh>`);
+  play(1.5);
+  engine.triggerEvent('a', 'click', 0.25);
+  play(0.5);
+  assert.deepEqual(log, ['beginEvent open@0.25', 'repeatEvent open@0.75', 'endEvent open@1.25']);
+});
+
+test('a restart cuts the running interval short with one endEvent', () => {
+  const { engine, log, play } = player(`
+    <mesh id="a" geometry="box" material="mat">
+      <animate id="open" attributeName="position" to="0,1,0" dur="2s" begin="click" />
+    </mesh>`);
+  engine.triggerEvent('a', 'click');
+  play(1);
+  engine.triggerEvent('a', 'click');
+  play(2.5);
+  assert.deepEqual(log, ['beginEvent open@0', 'endEvent open@1', 'beginEvent open@1', 'endEvent open@3']);
+});
@@ -0,0 +1,88 @@
+/**
+ * SVG3ThreeRenderer camera tests
+ * Canvas fitting, letterboxing and transitions across resizes
+ * (skipped when the three package is not installed)
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { THREE, threeRenderer } from './three-headless.js';
+
+const skip = THREE ? false : 'three is not installed';
+
+const SCENE = `<svg3>
+  <scene camera="a">
+    <camera id="a" fov="50" position="0,0,10" />
+    <camera id="b" fov="70" position="10,0,0" rotation="0,90,0">
+      <animate attributeName="position" to="10,2,0" dur="1s" fill="freeze" />
+    </camera>
+    <camera id="wide" fov="50" aspect="16/9" position="0,0,10" />
+  </scene>
+</svg3>`;
+
+function build(options) {
+  const renderer = threeRenderer(new SVG3Parser({ backend: 'headless' }).parse(SCENE), options);
+  // onWindowResize() without the DOM and WebGL
+  renderer.canvas.style = {};
+  renderer.renderer = { setPixelRatio() {}, setSize() {} };
+  return renderer;
+}
+
+function resize(renderer, width, height) {
+  Object.assign(renderer.canvas, { clientWidth: width, clientHeight: height });
+  renderer.onWindowResize();
+}
+
+test('cameras without aspect follow the canvas on resize', { skip }, () => {
+  const renderer = build();
+  resize(renderer, 200, 100);
+  assert.equal(renderer.cameras.get('a').aspect, 2);
+  assert.deepEqual(renderer.viewportOf(renderer.cameras.get('a')), { x: 0, y: 0, width: 200, height: 100 });
+});
+
+test('cameras with aspect fill the canvas unless letterbox is true', { skip }, () => {
+  const renderer = build();
+  resize(renderer, 200, 200);
+  assert.equal(renderer.cameras.get('wide').aspect, 1);
+  assert.deepEqual(renderer.viewportOf(renderer.cameras.get('wide')), { x: 0, y: 0, width: 200, height: 200 });
+
+  const letterboxed = build({ letterbox: true });
+  resize(letterboxed, 200, 200);
+  const wide = letterboxed.cameras.get('wide');
+  assert.equal(wide.aspect, 16 / 9);
+  assert.deepEqual(letterboxed.viewportOf(wide), { x: 0, y: 43.75, width: 200, height: 112.5 });
+});
+
+test('a running transition is refitted on resize', { skip }, () => {
+  const renderer = build();
+  renderer.setActiveCamera('b', { duration: 1 });
+  renderer.updateCameraTransition(0.5);
+  const view = renderer.getRenderCamera();
+  assert.notEqual(view, renderer.cameras.get('b'));
+  assert.equal(view.fov, 60);
+
+  resize(renderer, 300, 100);
+  assert.equal(renderer.getRenderCamera(), view);
+  assert.equal(view.aspect, 3);
+  assert.equal(view.fov, 60);
+  const expected = new THREE.PerspectiveCamera(60, 3, view.near, view.far).projectionMatrix.elements;
+  view.projectionMatrix.elements.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-9));
+});
+
+test('switched cameras look along their rotation', { skip }, () => {
+  const renderer = build();
+  const camera = renderer.setActiveCamera('b');
+  camera.updateMatrixWorld();
+  const direction = camera.getWorldDirection(new THREE.Vector3()).toArray();
+  [-1, 0, 0].forEach((c, k) => assert.ok(Math.abs(direction[k] - c) < 1e-9, `direction ${direction}`));
+});
+
+test('animations move cameras, which are objects but not meshes', { skip }, () => {
+  const renderer = build();
+  assert.equal(renderer.meshes.size, 0);
+  assert.equal(renderer.objects.get('b'), renderer.cameras.get('b'));
+  renderer.seek(1);
+  assert.deepEqual(renderer.cameras.get('b').position.toArray(), [10, 2, 0]);
+});
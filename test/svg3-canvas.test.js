@@ -0,0 +1,199 @@
+/**
+ * SVG3 Canvas Renderer tests
+ * Projection, near-plane clipping, back-face culling and picking, headless
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3CanvasRenderer, SVG3Projector, SVG3Node } from '../svg3-canvas.js';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const RED = { type: 'basic', color: [1, 0, 0], emissive: [0, 0, 0], emissiveIntensity: 1, opacity: 1 };
+
+function camera(lens, position = [0, 0, 0]) {
+  const node = new SVG3Node('camera', 'cam');
+  node.camera = { type: 'perspective', fov: 90, near: 1, far: 100, zoom: 1, ...lens };
+  node.position.set(...position);
+  node.updateMatrixWorld();
+  return node;
+}
+
+// A scene holding one mesh made of the given triangles
+function sceneWith(positions, indices = positions.map((_, i) => i).slice(0, positions.length / 3)) {
+  const root = new SVG3Node('scene', 'scene');
+  const mesh = new SVG3Node('mesh', 'tri');
+  mesh.geometry = { positions, indices };
+  mesh.material = RED;
+  root.add(mesh);
+  return root;
+}
+
+// Counter-clockwise seen from a camera at the origin looking down -Z
+const FRONT = [-1, -1, -3, 1, -1, -3, 0, 1, -3];
+
+function project(root, lens, size = [100, 100]) {
+  return new SVG3Projector({ shading: 'flat' }).project(root, camera(lens), ...size);
+}
+
+function assertPoints(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((point, i) => point.forEach((c, k) => {
+    assert.ok(Math.abs(c - expected[i][k]) < 1e-9, `point ${i}: ${point} != ${expected[i]}`);
+  }));
+}
+
+// Minimal stand-in for a CanvasRenderingContext2D: render() only issues drawing calls
+function headlessCanvas(width, height) {
+  const context = {};
+  ['setTransform', 'fillRect', 'clearRect', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'fill', 'stroke']
+    .forEach(name => { context[name] = () => {}; });
+  return { width, height, getContext: () => context };
+}
+
+// ============================================================================
+// 2. PROJECTION
+// ============================================================================
+
+test('perspective projection matches a 90 degree frustum', () => {
+  const [face] = project(sceneWith(FRONT), {});
+  // focal length 1 at distance 3: x = +-1/3, y = +-1/3 in device coordinates
+  assertPoints(face.points, [[100 / 3, 200 / 3], [200 / 3, 200 / 3], [50, 100 / 3]]);
+  assert.equal(face.depth, 3);
+  assert.deepEqual(face.color, [1, 0, 0]);
+});
+
+test('aspect ratio and zoom scale x and y like THREE.PerspectiveCamera', () => {
+  const [face] = project(sceneWith(FRONT), { zoom: 2 }, [200, 100]);
+  // 2:1 canvas halves x in device coordinates, zoom doubles both
+  assertPoints(face.points, [[200 / 3, 250 / 3], [400 / 3, 250 / 3], [100, 50 / 3]]);
+});
+
+test('orthographic projection ignores depth and maps bounds to the viewport', () => {
+  const far = FRONT.map((c, i) => (i % 3 === 2 ? -30 : c));
+  const lens = { type: 'orthographic', bounds: { left: -2, right: 2, top: 2, bottom: -2 } };
+  assertPoints(project(sceneWith(far), lens)[0].points, [[25, 75], [75, 75], [50, 25]]);
+  assertPoints(project(sceneWith(FRONT), lens)[0].points, [[25, 75], [75, 75], [50, 25]]);
+});
+
+test('fixed aspect ratios fill the canvas by default', () => {
+  const lens = { type: 'orthographic', bounds: { left: -2, right: 2, top: 2, bottom: -2 } };
+  assertPoints(project(sceneWith(FRONT), lens, [200, 100])[0].points, [[50, 75], [150, 75], [100, 25]]);
+});
+
+test('letterbox: true keeps fixed aspect ratios inside the canvas', () => {
+  const lens = { type: 'orthographic', bounds: { left: -2, right: 2, top: 2, bottom: -2 } };
+  const faces = new SVG3Projector({ shading: 'flat', letterbox: true }).project(sceneWith(FRONT), camera(lens), 200, 100);
+  // A square view on a 200x100 canvas is 100x100, centered
+  assertPoints(faces[0].points, [[75, 75], [125, 75], [100, 25]]);
+});
+
+test('faces are sorted far to near', () => {
+  const near = FRONT.map((c, i) => (i % 3 === 2 ? -2 : c));
+  const far = FRONT.map((c, i) => (i % 3 === 2 ? -6 : c));
+  const faces = project(sceneWith([...near, ...far], [0, 1, 2, 3, 4, 5]), {});
+  assert.deepEqual(faces.map(face => face.depth), [6, 2]);
+});
+
+// ============================================================================
+// 3. CLIPPING AND CULLING
+// ============================================================================
+
+test('triangles crossing the near plane are clipped to it', () => {
+  const crossing = [-1, -1, -3, 1, -1, -3, 0, 1, 0];
+  const [face] = project(sceneWith(crossing), {});
+  // Both edges to the vertex behind the camera are cut at z = -1
+  assertPoints(face.points, [
+    [100 / 3, 200 / 3],
+    [200 / 3, 200 / 3],
+    [(1 + 1 / 3) * 50, (1 - 1 / 3) * 50],
+    [(1 - 1 / 3) * 50, (1 - 1 / 3) * 50],
+  ]);
+});
+
+test('triangles behind the near plane or beyond far are dropped', () => {
+  const behind = FRONT.map((c, i) => (i % 3 === 2 ? -0.5 : c));
+  assert.equal(project(sceneWith(behind), {}).length, 0);
+  assert.equal(project(sceneWith(FRONT), { far: 2 }).length, 0);
+});
+
+test('back faces are culled', () => {
+  const back = [0, 1, -3, 1, -1, -3, -1, -1, -3];
+  assert.equal(project(sceneWith(back), {}).length, 0);
+  assert.equal(project(sceneWith(back), { type: 'orthographic' }).length, 0);
+});
+
+test('orthographic cameras cull faces seen edge-on', () => {
+  // In the y-z plane: no area on screen
+  const edgeOn = [0, -1, -3, 0, -1, -5, 0, 1, -4];
+  assert.equal(project(sceneWith(edgeOn), { type: 'orthographic' }).length, 0);
+});
+
+test('mirrored transforms keep their front faces', () => {
+  // Mirroring reverses the winding on screen, as in three.js the face stays front-facing
+  const root = sceneWith(FRONT);
+  root.children[0].scale.set(-1, 1, 1);
+  assert.equal(project(root, {}).length, 1);
+});
+
+// ============================================================================
+// 4. RENDERER AND PICKING
+// ============================================================================
+
+const SCENE = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <material id="red" type="basic" color="#ff0000" />
+  </defs>
+  <scene camera="cam">
+    <camera id="cam" fov="90" position="0,0,5" />
+    <camera id="side" fov="90" position="5,0,0" rotation="0,90,0" />
+    <mesh id="cube" geometry="box" material="red" position="-1,0,0" />
+    <mesh id="far" geometry="box" material="red" position="-1,0,-10" scale="4,4,1" />
+  </scene>
+</svg3>`;
+
+async function renderer() {
+  const sceneData = new SVG3Parser({ backend: 'headless' }).parse(SCENE);
+  const canvasRenderer = new SVG3CanvasRenderer(sceneData, headlessCanvas(100, 100));
+  await canvasRenderer.init();
+  return canvasRenderer;
+}
+
+test('render() projects the scene through the active camera', async () => {
+  const canvasRenderer = await renderer();
+  const faces = canvasRenderer.render();
+  assert.ok(faces.length > 0);
+  assert.deepEqual(new Set(faces.map(face => face.id)), new Set(['cube', 'far']));
+});
+
+test('pick() returns the front-most mesh under a point', async () => {
+  const canvasRenderer = await renderer();
+  canvasRenderer.render();
+  // The cube covers x -1.5..-0.5 at distance 4.5 (about -0.33..-0.11 on screen), in front of "far"
+  assert.equal(canvasRenderer.pick(-0.2, 0).name, 'cube');
+  assert.equal(canvasRenderer.pick(-0.05, 0).name, 'far');
+  assert.equal(canvasRenderer.pick(0.9, 0.9), null);
+});
+
+test('pick() follows the faces of the last render', async () => {
+  const canvasRenderer = await renderer();
+  canvasRenderer.render();
+  canvasRenderer.meshes.get('cube').visible = false;
+  assert.equal(canvasRenderer.pick(-0.2, 0).name, 'cube');
+  canvasRenderer.render();
+  assert.equal(canvasRenderer.pick(-0.2, 0).name, 'far');
+});
+
+test('switched cameras look along their rotation', async () => {
+  const canvasRenderer = await renderer();
+  canvasRenderer.setActiveCamera('side');
+  canvasRenderer.render();
+  // From +X, looking down -X, the cube (at x = -1) is in the middle of the view
+  assert.equal(canvasRenderer.pick(0, 0).name, 'cube');
+  assert.equal(canvasRenderer.pick(0, 0.5), null);
+});
@@ -0,0 +1,171 @@
+/**
+ * SVG3 command-line tool tests
+ * Exit codes and --json output of run()
+ * Run with: node --test test/
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { run } from '../svg3-cli.js';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const TREE = fileURLToPath(new URL('../scenes/tree.svg3', import.meta.url));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg3-cli-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function scene(name, xml) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, xml);
+  return file;
+}
+
+const VALID = scene('valid.svg3', `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <geometry id="spare" type="sphere" />
+    <material id="red" type="standard" color="#ff0000" />
+  </defs>
+  <scene>
+    <mesh id="cube" geometry="box" material="red">
+      <animate attributeName="color" to="#00ff00" dur="1.5s" />
+    </mesh>
+  </scene>
+</svg3>`);
+
+const INVALID = scene('invalid.svg3', `<svg3>
+  <defs><material id="red" type="standard" color="#ff0000" /></defs>
+  <scene>
+    <mesh id="cube" geometry="box" material="red" />
+  </scene>
+</svg3>`);
+
+const WARNING = scene('warning.svg3', `<svg3>
+  <scene>
+    <sprite id="s" />
+  </scene>
+</svg3>`);
+
+// Run the CLI and capture what it prints and writes
+function cli(...argv) {
+  const captured = { out: [], err: [], files: {} };
+  captured.code = run(argv, {
+    out: text => captured.out.push(text),
+    err: text => captured.err.push(text),
+    write: (file, data) => { captured.files[file] = data; },
+  });
+  captured.json = () => JSON.parse(captured.out.join('\n'));
+  return captured;
+}
+
+// ============================================================================
+// 2. EXIT CODES
+// ============================================================================
+
+test('usage errors exit with 2', () => {
+  assert.equal(cli().code, 2);
+  assert.equal(cli('frobnicate', VALID).code, 2);
+  assert.equal(cli('validate', '--bogus', VALID).code, 2);
+  assert.equal(cli('validate').code, 2);
+  assert.equal(cli('info', VALID, INVALID).code, 2);
+  assert.equal(cli('convert', VALID, '--to', 'obj').code, 2);
+  assert.equal(cli('convert', VALID, '--json').code, 2);
+  assert.equal(cli('optimize', VALID, '--precision', '-1', '-o', 'out.svg3').code, 2);
+
+  const unknown = cli('frobnicate');
+  assert.match(unknown.err[0], /unknown command "frobnicate"/);
+});
+
+test('--help exits with 0', () => {
+  const help = cli('--help');
+  assert.equal(help.code, 0);
+  assert.match(help.out[0], /^Usage: svg3/);
+});
+
+test('validate exits with 0 for valid files and 1 for invalid ones', () => {
+  assert.equal(cli('validate', VALID, TREE).code, 0);
+  assert.equal(cli('validate', VALID, INVALID).code, 1);
+
+  // Warnings only fail with --strict
+  assert.equal(cli('validate', WARNING).code, 0);
+  assert.equal(cli('validate', WARNING, '--strict').code, 1);
+});
+
+test('a missing file exits with 1 and reports the error', () => {
+  const missing = path.join(dir, 'missing.svg3');
+  const plain = cli('info', missing);
+  assert.equal(plain.code, 1);
+  assert.match(plain.err[0], /^svg3 info: .*ENOENT/);
+
+  const json = cli('info', missing, '--json');
+  assert.equal(json.code, 1);
+  assert.match(json.json().error, /ENOENT/);
+});
+
+// ============================================================================
+// 3. --json OUTPUT
+// ============================================================================
+
+test('validate --json lists the diagnostics of every file', () => {
+  const result = cli('validate', VALID, INVALID, '--json');
+  const { valid, files } = result.json();
+  assert.equal(valid, false);
+  assert.deepEqual(files.map(file => [file.file, file.valid]), [[VALID, true], [INVALID, false]]);
+  assert.deepEqual(files[1].errors.map(d => [d.line, d.code]), [[4, 'dangling-reference']]);
+});
+
+test('info --json counts the scene', () => {
+  const { json } = cli('info', TREE, '--json');
+  assert.deepEqual(json(), {
+    file: TREE,
+    scenes: 1,
+    geometries: 5,
+    textures: 0,
+    materials: 3,
+    meshes: 15,
+    groups: 8,
+    lights: 1,
+    cameras: 1,
+    animations: 6,
+    duration: null,
+    warnings: [],
+  });
+  assert.equal(cli('info', VALID, '--json').json().duration, 1.5);
+});
+
+test('convert --json reports what the exporter left out', () => {
+  const output = path.join(dir, 'valid.gltf');
+  const result = cli('convert', VALID, '-o', output, '--json');
+  assert.equal(result.code, 0);
+  assert.deepEqual(result.json(), {
+    file: VALID,
+    output,
+    format: 'gltf',
+    warnings: ['<animate attributeName="color"> on "cube" skipped: glTF cannot animate "color"'],
+  });
+  assert.equal(JSON.parse(result.files[output]).asset.version, '2.0');
+
+  // Without --json the warnings go to stderr
+  const plain = cli('convert', VALID, '--to', 'gltf');
+  assert.deepEqual(plain.err, ['svg3 convert: warning: <animate attributeName="color"> on "cube" skipped: glTF cannot animate "color"']);
+});
+
+test('optimize --json reports what was removed', () => {
+  const output = path.join(dir, 'optimized.svg3');
+  const result = cli('optimize', VALID, '-o', output, '--json');
+  assert.equal(result.code, 0);
+  const report = result.json();
+  assert.deepEqual(report.removedGeometries, ['spare']);
+  assert.deepEqual(report.mergedMaterials, {});
+  assert.deepEqual(report.warnings, []);
+  assert.equal(report.bytesAfter, Buffer.byteLength(result.files[output]));
+  assert.equal(report.bytesBefore, fs.statSync(VALID).size);
+  assert.doesNotMatch(result.files[output], /spare/);
+});
@@ -0,0 +1,113 @@
+/**
+ * SVG3 Scene Evaluator tests
+ * evaluate(time) against the Three.js renderer's own objects, headless
+ * (skipped when the three package is not installed)
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3SceneEvaluator } from '../svg3-evaluator.js';
+import { THREE, threeRenderer } from './three-headless.js';
+
+const skip = THREE ? false : 'three is not installed';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+// Elements without an id get generated ones; animations must find them the same way in both
+const SCENE = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <material id="red" type="standard" color="#ff0000" emissive="#202020" />
+    <material id="blue" type="phong" color="#0000ff" opacity="0.5" />
+  </defs>
+  <scene camera="cam">
+    <camera id="cam" position="0,0,10" />
+    <light type="point" position="2,2,2" />
+    <group position="1,0,0" rotation="0,90,0">
+      <animate attributeName="position" from="0,0,0" to="0,4,0" dur="2s" />
+      <mesh geometry="box" material="red" position="1,0,0" rotationOrder="ZYX">
+        <animate attributeName="color" to="#0000ff" dur="2s" begin="1s" />
+        <animateTransform type="rotate" by="0,0,90" dur="1s" repeatCount="2" accumulate="sum" />
+      </mesh>
+      <mesh id="lid" geometry="box" material="blue" scale="2,2,2">
+        <animate attributeName="opacity" values="0.5;1;0" dur="3s" />
+        <animateMotion path="M 0 0 0 L 2 0 0 L 2 2 0" dur="2s" rotate="auto" />
+      </mesh>
+    </group>
+    <mesh geometry="box" material="red" position="0,-2,0">
+      <animate attributeName="scale" to="2,2,2" dur="1s" fill="remove" />
+      <animate attributeName="emissiveIntensity" from="0" to="2" dur="2s" />
+    </mesh>
+    <mesh geometry="box" material="blue" position="-2,0,0" />
+    <mesh geometry="box" material="blue" position="-4,0,0" />
+  </scene>
+</svg3>`;
+
+// sRGB components of a THREE.Color: r152+ keeps them in linear space (converting back is
+// accurate to about 1e-5), older releases as is
+function srgb(color) {
+  const { r, g, b } = color.getRGB ? color.getRGB({}, THREE.SRGBColorSpace) : color;
+  return [r, g, b];
+}
+
+function assertClose(actual, expected, message, tolerance = 1e-9) {
+  assert.equal(actual.length, expected.length, message);
+  actual.forEach((v, k) => assert.ok(Math.abs(v - expected[k]) < tolerance, `${message}: ${actual} != ${expected}`));
+}
+
+// ============================================================================
+// 2. EVALUATOR AGAINST THE THREE.JS RENDERER
+// ============================================================================
+
+test('evaluate(time) matches the Three.js renderer', { skip }, () => {
+  const parse = () => new SVG3Parser({ backend: 'headless' }).parse(SCENE);
+  const evaluator = new SVG3SceneEvaluator(parse());
+  const renderer = threeRenderer(parse());
+
+  // The Three.js renderer keeps no animation targets for lights
+  const compared = elements => Object.entries(elements).filter(([, state]) => state.tag !== 'light');
+  const ids = compared(evaluator.evaluate(0)).map(([id]) => id);
+  assert.deepEqual(ids.filter(id => !renderer.objects.has(id)), []);
+  assert.ok(ids.filter(id => id.startsWith('auto-')).length >= 4, 'elements without an id are evaluated');
+
+  for (const time of [0, 0.4, 1, 1.7, 2.5, 4]) {
+    const elements = evaluator.evaluate(time);
+    renderer.seek(time);
+    renderer.scene.updateMatrixWorld(true);
+
+    compared(elements).forEach(([id, state]) => {
+      const object = renderer.objects.get(id);
+      const at = `${id} at ${time}s`;
+      assertClose(state.position, object.position.toArray(), `${at} position`);
+      assertClose(state.rotation, [object.rotation.x, object.rotation.y, object.rotation.z], `${at} rotation`);
+      assertClose(state.scale, object.scale.toArray(), `${at} scale`);
+      assertClose(state.world.matrix, object.matrixWorld.elements, `${at} world matrix`);
+      if (!state.material) return;
+
+      Object.entries(state.material).forEach(([name, value]) => {
+        const actual = object.material[name];
+        if (Array.isArray(value)) assertClose(value, srgb(actual), `${at} ${name}`, 1e-4);
+        else assert.ok(Math.abs(value - actual) < 1e-9, `${at} ${name}: ${value} != ${actual}`);
+      });
+    });
+  }
+});
+
+test('elements without an id keep their generated id across evaluations', () => {
+  const evaluator = new SVG3SceneEvaluator(new SVG3Parser({ backend: 'headless' }).parse(SCENE));
+  const elements = evaluator.evaluate(0);
+  assert.deepEqual(Object.keys(elements), [
+    'cam', 'auto-light-1', 'auto-group-2', 'auto-mesh-3', 'lid', 'auto-mesh-4', 'auto-mesh-5', 'auto-mesh-6',
+  ]);
+  assert.equal(elements['auto-mesh-3'].parent, 'auto-group-2');
+
+  // The group's position animation and the mesh's color animation target the generated ids
+  assertClose(evaluator.evaluate(1)['auto-group-2'].position, [0, 2, 0], 'group position');
+  assertClose(evaluator.evaluate(1)['auto-mesh-3'].material.color, [1, 0, 0], 'mesh color before its begin');
+  assertClose(evaluator.evaluate(3)['auto-mesh-3'].material.color, [0, 0, 1], 'mesh color after its end');
+  assertClose(evaluator.evaluate(1)['auto-group-2'].position, [0, 2, 0], 'group position again');
+});
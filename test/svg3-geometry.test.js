@@ -0,0 +1,55 @@
+/**
+ * SVG3 Geometry tests
+ * Geometry defs of unknown types, or with bad path data, are errors everywhere they are built
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3CanvasRenderer } from '../svg3-canvas.js';
+import { SVG3GLTFExporter } from '../svg3-gltf.js';
+import { tessellateGeometry } from '../svg3-geometry.js';
+import { SVG3Validator } from '../svg3-validator.js';
+import { THREE, threeRenderer } from './three-headless.js';
+
+const SCENE = `<svg3>
+  <defs>
+    <geometry id="blob" type="blob" />
+    <material id="red" type="basic" color="#ff0000" />
+  </defs>
+  <scene>
+    <mesh geometry="blob" material="red" />
+  </scene>
+</svg3>`;
+
+const UNKNOWN = { message: 'Unknown geometry type "blob" for geometry "blob"' };
+const parse = () => new SVG3Parser({ backend: 'headless' }).parse(SCENE);
+
+test('tessellateGeometry throws for an unknown type', () => {
+  assert.throws(() => tessellateGeometry({ id: 'blob', type: 'blob', params: {} }), UNKNOWN);
+  assert.equal(tessellateGeometry({ id: 'cube', type: 'box', params: {} }).indices.length, 36);
+});
+
+test('renderers and exporters reject unknown geometry types', () => {
+  assert.throws(() => new SVG3CanvasRenderer(parse(), null).build(), UNKNOWN);
+  assert.throws(() => new SVG3GLTFExporter().toGLTF(parse()), UNKNOWN);
+});
+
+test('SVG3ThreeRenderer rejects unknown geometry types', { skip: THREE ? false : 'three is not installed' }, () => {
+  assert.throws(() => threeRenderer(parse()), UNKNOWN);
+});
+
+test('the validator reports them as unknown-geometry-type', () => {
+  const { errors } = new SVG3Validator().validate(SCENE);
+  assert.deepEqual(errors.map(error => error.code), ['unknown-geometry-type']);
+});
+
+test('extrude geometry with malformed path data throws, naming the geometry', () => {
+  const extrude = params => () => tessellateGeometry({ id: 'tag', type: 'extrude', params });
+  assert.throws(extrude({ d: 'M 0 0 L 1' }), { message: /^Invalid extrude geometry "tag": / });
+  assert.throws(extrude({ d: 'M0 0 H1 V1 Z', fillRule: 'sideways' }), {
+    message: 'Invalid extrude geometry "tag": Unknown fill-rule "sideways" (expected nonzero or evenodd)',
+  });
+  assert.ok(tessellateGeometry({ id: 'tag', type: 'extrude', params: { d: 'M0 0 H1 V1 Z' } }).indices.length > 0);
+});
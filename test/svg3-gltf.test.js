@@ -0,0 +1,158 @@
+/**
+ * SVG3 glTF exporter and importer tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3GLTFExporter, SVG3GLTFImporter } from '../svg3-gltf.js';
+import { SVG3SceneEvaluator } from '../svg3-evaluator.js';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const parse = xml => new SVG3Parser({ backend: 'headless' }).parse(xml);
+
+// glTF document with float accessors (one per array) in an embedded buffer
+function gltfWith(arrays, fields) {
+  const floats = arrays.flat();
+  const bytes = Buffer.from(new Float32Array(floats).buffer);
+  let offset = 0;
+  const accessors = arrays.map(array => {
+    const accessor = { bufferView: 0, byteOffset: offset * 4, componentType: 5126, count: array.length, type: 'SCALAR' };
+    offset += array.length;
+    return accessor;
+  });
+  return {
+    asset: { version: '2.0' },
+    buffers: [{ byteLength: bytes.length, uri: `data:application/octet-stream;base64,${bytes.toString('base64')}` }],
+    bufferViews: [{ buffer: 0, byteLength: bytes.length }],
+    accessors,
+    ...fields,
+  };
+}
+
+function assertClose(actual, expected, message) {
+  assert.equal(actual.length, expected.length, message);
+  actual.forEach((v, k) => assert.ok(Math.abs(v - expected[k]) < 1e-5, `${message}: ${actual} != ${expected}`));
+}
+
+// Run `fn` and return what it logged through console.warn
+function consoleWarnings(fn) {
+  const logged = [];
+  const original = console.warn;
+  console.warn = (...args) => logged.push(args.join(' '));
+  try {
+    fn();
+  } finally {
+    console.warn = original;
+  }
+  return logged;
+}
+
+// ============================================================================
+// 2. EXPORTER
+// ============================================================================
+
+test('the exporter collects what it leaves out without logging it', () => {
+  const sceneData = parse(`<svg3>
+    <defs>
+      <geometry id="box" type="box" />
+      <material id="red" type="standard" color="#ff0000" />
+    </defs>
+    <scene camera="cam">
+      <camera id="cam" position="0,0,5" />
+      <mesh id="cube" geometry="box" material="red">
+        <animate attributeName="color" to="#00ff00" dur="1s" />
+      </mesh>
+    </scene>
+  </svg3>`);
+  const exporter = new SVG3GLTFExporter();
+  assert.deepEqual(consoleWarnings(() => exporter.toGLTF(sceneData)), []);
+  assert.deepEqual(exporter.warnings, ['<animate attributeName="color"> on "cube" skipped: glTF cannot animate "color"']);
+
+  // Every export starts a new list
+  exporter.toGLTF(parse('<svg3><scene /></svg3>'));
+  assert.deepEqual(exporter.warnings, []);
+});
+
+// ============================================================================
+// 3. IMPORTER
+// ============================================================================
+
+test('the importer collects its approximations without logging them', () => {
+  const gltf = gltfWith([[0, 1], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0]], {
+    extensions: { KHR_lights_punctual: { lights: [{ type: 'spot' }] } },
+    nodes: [
+      { name: 'lamp', translation: [5, 0, 0], extensions: { KHR_lights_punctual: { light: 0 } } },
+      { name: 'box' },
+    ],
+    animations: [{
+      name: 'bounce',
+      samplers: [{ input: 0, output: 1, interpolation: 'CUBICSPLINE' }],
+      channels: [{ sampler: 0, target: { node: 1, path: 'translation' } }],
+    }],
+  });
+  gltf.accessors[1] = { ...gltf.accessors[1], count: 6, type: 'VEC3' };
+
+  const importer = new SVG3GLTFImporter();
+  let sceneData;
+  assert.deepEqual(consoleWarnings(() => { sceneData = importer.toSceneData(gltf); }), []);
+  assert.deepEqual(importer.warnings, [
+    'Animation "bounce": CUBICSPLINE translation of node "box" is imported as linear; its tangents are dropped',
+    'Spot light "lamp" does not point at the origin; SVG3 spot lights always do',
+  ]);
+  const box = sceneData.scenes[0].children.find(child => child.id === 'box');
+  assert.deepEqual(box.animations[0].values, ['0,0,0', '0,1,0']);
+});
+
+// ============================================================================
+// 4. ROUND TRIP
+// ============================================================================
+
+const ANIMATED = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <material id="red" type="standard" color="#ff0000" />
+  </defs>
+  <scene camera="cam">
+    <camera id="cam" position="0,0,10" />
+    <group id="arm" position="1,2,3" rotation="0,90,0" scale="2,2,2">
+      <mesh id="hand" geometry="box" material="red" position="0,1,0">
+        <animate attributeName="position" values="0,1,0;0,3,0;0,1,0" keyTimes="0;0.25;1" dur="2s" begin="1s" />
+        <animate attributeName="rotation" values="0,0,0;0,0,45" dur="1s" rotationInterpolation="slerp" />
+      </mesh>
+    </group>
+  </scene>
+</svg3>`;
+
+test('export -> import keeps node transforms and keyframes', () => {
+  const sceneData = parse(ANIMATED);
+  const importer = new SVG3GLTFImporter();
+  const imported = importer.toSceneData(new SVG3GLTFExporter().toGLB(sceneData));
+  assert.deepEqual(importer.warnings, []);
+
+  const arm = imported.scenes[0].children.find(child => child.id === 'arm');
+  assertClose(arm.attrs.position, [1, 2, 3], 'arm position');
+  assertClose(arm.attrs.rotation, [0, Math.PI / 2, 0], 'arm rotation');
+  assertClose(arm.attrs.scale, [2, 2, 2], 'arm scale');
+
+  const [hand] = arm.children;
+  assert.equal(hand.id, 'hand');
+  assertClose(hand.attrs.position, [0, 1, 0], 'hand position');
+  const [position, rotation] = hand.animations;
+  assert.deepEqual([position.attributeName, position.begin, position.dur], ['position', '1s', '2s']);
+  assert.deepEqual(position.values, ['0,1,0', '0,3,0', '0,1,0']);
+  assertClose(position.keyTimes, [0, 0.25, 1], 'position keyTimes');
+  assert.deepEqual([rotation.attributeName, rotation.begin, rotation.dur], ['rotation', '0s', '1s']);
+  rotation.values.forEach((value, i) => assertClose(value.split(',').map(Number), [[0, 0, 0], [0, 0, 45]][i], 'rotation values'));
+
+  // Both scenes move the same way
+  const before = new SVG3SceneEvaluator(sceneData);
+  const after = new SVG3SceneEvaluator(imported);
+  [0, 0.5, 1, 1.25, 2, 3.5].forEach(time => {
+    assertClose(after.evaluate(time).hand.world.matrix, before.evaluate(time).hand.world.matrix, `hand at ${time}s`);
+  });
+});
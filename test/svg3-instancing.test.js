@@ -0,0 +1,135 @@
+/**
+ * SVG3ThreeRenderer instancing tests
+ * Batched meshes, and taking one out of its batch
+ * (skipped when the three package is not installed)
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { THREE, threeRenderer } from './three-headless.js';
+
+const skip = THREE ? false : 'three is not installed';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const SCENE = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <material id="red" type="standard" color="#ff0000" />
+  </defs>
+  <scene camera="cam">
+    <camera id="cam" position="0,0,10" />
+    <mesh id="a" geometry="box" material="red" position="-2,0,0">
+      <animate attributeName="position" to="-2,2,0" dur="1s" />
+    </mesh>
+    <mesh id="b" geometry="box" material="red" position="2,0,0" />
+  </scene>
+</svg3>`;
+
+function build(options) {
+  const renderer = threeRenderer(new SVG3Parser({ backend: 'headless' }).parse(SCENE), options);
+  const [batch] = renderer.instanceBatches.values();
+  return { renderer, batch };
+}
+
+// World matrix the InstancedMesh draws instance `i` with
+function instanceMatrix(batch, i) {
+  const matrix = new THREE.Matrix4();
+  batch.mesh.getMatrixAt(i, matrix);
+  return matrix.elements;
+}
+
+// ============================================================================
+// 2. BATCHES
+// ============================================================================
+
+test('meshes sharing geometry and material are drawn as one InstancedMesh', { skip }, () => {
+  const { renderer, batch } = build();
+  assert.equal(batch.mesh.count, 2);
+  const a = renderer.meshes.get('a');
+  assert.deepEqual(batch.handles, [a, renderer.meshes.get('b')]);
+  assert.ok(a.isMesh);
+  // The handle itself is neither drawn nor picked
+  assert.equal(a.layers.mask, 0);
+
+  renderer.seek(0.5);
+  renderer.updateInstances();
+  assert.deepEqual(instanceMatrix(batch, 0), a.matrixWorld.elements);
+  assert.equal(batch.split.size, 0, 'transform animations keep the mesh in its batch');
+});
+
+test('{ instancing: false } draws every mesh on its own', { skip }, () => {
+  const { renderer, batch } = build({ instancing: false });
+  assert.equal(batch, undefined);
+  assert.ok(renderer.meshes.get('a').layers.test(new THREE.Layers()));
+});
+
+// ============================================================================
+// 3. TAKING A MESH OUT OF ITS BATCH
+// ============================================================================
+
+test('reading a batched mesh material keeps it in its batch', { skip }, () => {
+  const { renderer, batch } = build();
+  const [a] = batch.handles;
+  assert.equal(a.material, renderer.materials.get('red'));
+  assert.equal(a.geometry, renderer.geometries.get('box'));
+  assert.equal(batch.split.size, 0);
+  assert.equal(a.layers.mask, 0);
+});
+
+test('detachFromBatch() gives a mesh its own material and draws it on its own', { skip }, () => {
+  const { renderer, batch } = build();
+  const [a, b] = batch.handles;
+  assert.equal(renderer.detachFromBatch('a'), a);
+  a.material.color.set('#00ff00');
+
+  assert.ok(batch.split.has(a));
+  assert.ok(a.layers.test(new THREE.Layers()));
+  assert.notEqual(a.material, renderer.materials.get('red'));
+  assert.equal(renderer.materials.get('red').color.getHexString(), 'ff0000');
+  assert.equal(batch.mesh.material.color.getHexString(), 'ff0000');
+
+  renderer.updateInstances();
+  assert.deepEqual(instanceMatrix(batch, 0), renderer.hiddenInstanceMatrix.elements);
+  assert.deepEqual(instanceMatrix(batch, 1), b.matrixWorld.elements);
+  assert.ok(!batch.split.has(b));
+});
+
+test('assigning a material or geometry keeps the assigned one', { skip }, () => {
+  const { batch } = build();
+  const [a, b] = batch.handles;
+  const material = new THREE.MeshBasicMaterial();
+  const geometry = new THREE.SphereGeometry();
+  a.material = material;
+  b.geometry = geometry;
+  assert.equal(a.material, material);
+  assert.equal(b.geometry, geometry);
+  assert.deepEqual([...batch.split], [a, b]);
+});
+
+test('dispose() disposes the materials of detached meshes', { skip }, () => {
+  const { renderer } = build();
+  renderer.renderer = { dispose() {} };
+  const material = renderer.detachFromBatch('a').material;
+  let disposed = false;
+  material.addEventListener('dispose', () => { disposed = true; });
+  renderer.dispose();
+  assert.ok(disposed);
+});
+
+test('split meshes are picked themselves', { skip }, () => {
+  const { renderer, batch } = build();
+  const [a] = batch.handles;
+  const camera = renderer.activeCamera;
+  camera.updateMatrixWorld();
+  const x = new THREE.Vector3(-2, 0, 0).project(camera).x;
+
+  assert.equal(renderer.pick(x, 0), a);
+  renderer.detachFromBatch('a');
+  renderer.updateInstances();
+  assert.equal(renderer.pick(x, 0), a);
+});
@@ -0,0 +1,106 @@
+/**
+ * SVG3 Optimizer tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3Optimizer } from '../svg3-optimizer.js';
+
+const parse = xml => new SVG3Parser({ backend: 'headless' }).parse(xml);
+
+// ============================================================================
+// 1. NUMBERS
+// ============================================================================
+
+test('numbers are normalized in numeric attributes only', () => {
+  const { sceneData } = new SVG3Optimizer({ precision: 3 }).optimize(parse(`<svg3>
+    <defs>
+      <geometry id="box" type="box" width="2.50" height="1.00001" name="007" />
+      <material id="red" type="standard" color="#ff0000" version="1.10" />
+    </defs>
+    <scene>
+      <mesh id="cube" geometry="box" material="red" position="0.10000001,0,0" label="0042">
+        <animate attributeName="position" values="0, 1.50 ,2;0,0,0" dur="1s" />
+      </mesh>
+    </scene>
+  </svg3>`));
+
+  const [box] = sceneData.defs.geometries;
+  assert.equal(box.params.width, 2.5);
+  assert.equal(box.params.height, 1);
+  assert.equal(box.params.name, '007');
+  assert.equal(sceneData.defs.materials[0].params.version, '1.10');
+
+  const [cube] = sceneData.scenes[0].children;
+  assert.equal(cube.attrs.label, '0042');
+  assert.deepEqual(cube.animations[0].values, ['0,1.5,2', '0,0,0']);
+});
+
+// ============================================================================
+// 2. UNUSED DEFS
+// ============================================================================
+
+const DEFS = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <geometry id="ball" type="sphere" />
+    <geometry id="spare" type="torus" />
+    <texture id="wood" href="data:image/png;base64,AAAA" />
+    <texture id="stone" href="data:image/png;base64,AAAA" />
+    <material id="bark" type="standard" color="#884400" map="#wood" />
+    <material id="autumn" type="standard" color="#cc6600" />
+    <material id="unused" type="standard" color="#00ff00" map="#stone" />
+    <material id="red" type="standard" color="#ff0000" />
+    <symbol id="tree"><mesh id="trunk" geometry="ball" material="bark" /></symbol>
+    <symbol id="rock"><mesh geometry="spare" material="red" /></symbol>
+  </defs>
+  <scene>
+    <mesh id="cube" geometry="box" material="red" />
+    <use id="tree1" href="#tree" material-override="bark:autumn" />
+  </scene>
+</svg3>`;
+
+test('only defs nothing references are dropped', () => {
+  const { sceneData, report } = new SVG3Optimizer().optimize(parse(DEFS));
+  assert.deepEqual(report, {
+    removedGeometries: ['spare'],
+    removedTextures: ['stone'],
+    removedMaterials: ['unused'],
+    removedSymbols: ['rock'],
+    mergedMaterials: {},
+  });
+  const ids = list => list.map(def => def.id);
+  assert.deepEqual(ids(sceneData.defs.geometries), ['box', 'ball']);
+  // bark is still named by the symbol and the override, and keeps its texture
+  assert.deepEqual(ids(sceneData.defs.materials), ['bark', 'autumn', 'red']);
+  assert.deepEqual(ids(sceneData.defs.textures), ['wood']);
+  assert.deepEqual(ids(sceneData.defs.symbols), ['tree']);
+});
+
+test('removeUnusedDefs: false keeps every def, and the input is not modified', () => {
+  const input = parse(DEFS);
+  const copy = structuredClone(input);
+  const { sceneData, report } = new SVG3Optimizer({ removeUnusedDefs: false }).optimize(input);
+  assert.equal(sceneData.defs.geometries.length, 3);
+  assert.equal(sceneData.defs.symbols.length, 2);
+  assert.deepEqual(report.removedMaterials, []);
+  assert.deepEqual(input, copy);
+});
+
+test('materials with identical parameters are merged into the first', () => {
+  const { sceneData, report } = new SVG3Optimizer().optimize(parse(`<svg3>
+    <defs>
+      <geometry id="box" type="box" />
+      <material id="a" type="standard" color="#ff0000" roughness="0.50" />
+      <material id="b" type="standard" color="#ff0000" roughness="0.5" />
+    </defs>
+    <scene>
+      <mesh id="one" geometry="box" material="a" />
+      <mesh id="two" geometry="box" material="b" />
+    </scene>
+  </svg3>`));
+  assert.deepEqual(report.mergedMaterials, { b: 'a' });
+  assert.deepEqual(sceneData.scenes[0].children.map(mesh => mesh.attrs.material), ['a', 'a']);
+});
@@ -0,0 +1,149 @@
+/**
+ * SVG3 Serializer tests
+ * parse -> serialize -> parse round trips, and snapshots of a running renderer
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3CanvasRenderer } from '../svg3-canvas.js';
+import { SVG3Serializer } from '../svg3-serializer.js';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const SCENES = new URL('../scenes/', import.meta.url);
+
+const parse = xml => new SVG3Parser({ backend: 'headless' }).parse(xml);
+
+// Minimal stand-in for a 2D canvas: these tests never look at the pixels
+function headlessCanvas() {
+  const context = new Proxy({}, { get: () => () => {} });
+  return { width: 100, height: 100, getContext: () => context };
+}
+
+async function renderer(xml) {
+  const canvasRenderer = new SVG3CanvasRenderer(parse(xml), headlessCanvas());
+  await canvasRenderer.init();
+  return canvasRenderer;
+}
+
+// Deep equality, with numbers equal up to the serializer's 6 decimals
+function assertSame(actual, expected, path = 'scene') {
+  if (typeof expected === 'number') {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${path}: ${actual} != ${expected}`);
+  } else if (expected && typeof expected === 'object') {
+    assert.deepEqual(Object.keys(actual), Object.keys(expected), path);
+    Object.keys(expected).forEach(key => assertSame(actual[key], expected[key], `${path}.${key}`));
+  } else {
+    assert.equal(actual, expected, path);
+  }
+}
+
+// ============================================================================
+// 2. ROUND TRIPS
+// ============================================================================
+
+test('every scene in scenes/ survives parse -> serialize -> parse', () => {
+  const files = fs.readdirSync(SCENES).filter(name => name.endsWith('.svg3'));
+  assert.ok(files.length > 0);
+  files.forEach(name => {
+    const sceneData = parse(fs.readFileSync(new URL(name, SCENES), 'utf8'));
+    const xml = new SVG3Serializer().serialize(sceneData);
+    const reparsed = parse(xml);
+    ['metadata', 'defs', 'scenes', 'animations'].forEach(key => {
+      assertSame(reparsed[key], sceneData[key], `${name} ${key}`);
+    });
+    assert.equal(new SVG3Serializer().serialize(reparsed), xml, `${name} serializes the same twice`);
+  });
+});
+
+test('<use> instances are written back as references', () => {
+  const xml = new SVG3Serializer().serialize(parse(`<svg3>
+    <defs>
+      <symbol id="tree"><mesh id="trunk" geometry="box" material="bark" /></symbol>
+    </defs>
+    <scene><use id="tree1" href="#tree" position="1,0,0" /></scene>
+  </svg3>`));
+  assert.match(xml, /<use id="tree1" href="#tree" position="1,0,0" \/>/);
+  assert.doesNotMatch(xml, /tree1\/trunk/);
+});
+
+// ============================================================================
+// 3. LIVE RENDERERS
+// ============================================================================
+
+const ANIMATED = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <material id="red" type="basic" color="#ff0000" />
+  </defs>
+  <scene camera="cam">
+    <camera id="cam" position="0,0,10" />
+    <mesh id="climber" geometry="box" material="red" position="1,0,0">
+      <animate attributeName="position" values="0,0,0;0,2,0" additive="sum" accumulate="sum" dur="1s" repeatCount="2" />
+      <animate attributeName="rotation" to="0,90,0" dur="1s" />
+    </mesh>
+    <mesh id="still" geometry="box" material="red" />
+  </scene>
+</svg3>`;
+
+test('serializeRenderer() writes the values underneath animations', async () => {
+  const live = await renderer(ANIMATED);
+  live.seek(1.5);
+  assert.deepEqual(live.meshes.get('climber').position.toArray(), [1, 3, 0]);
+
+  const saved = parse(new SVG3Serializer().serializeRenderer(live));
+  const climber = saved.scenes[0].children.find(child => child.id === 'climber');
+  assertSame(climber.attrs.position, [1, 0, 0]);
+  assertSame(climber.attrs.rotation, [0, 0, 0]);
+  assert.equal(climber.animations.length, 2);
+
+  // Reloaded at the same time, the animations land where they were
+  const reloaded = await renderer(new SVG3Serializer().serializeRenderer(live));
+  reloaded.seek(1.5);
+  assertSame(reloaded.meshes.get('climber').position.toArray(), [1, 3, 0]);
+});
+
+test('serializeRenderer() keeps edits to properties without animations', async () => {
+  const live = await renderer(ANIMATED);
+  live.meshes.get('still').scale.set(2, 2, 2);
+  live.cameras.get('cam').position.set(0, 1, 10);
+
+  const saved = parse(new SVG3Serializer().serializeRenderer(live));
+  const byId = new Map(saved.scenes[0].children.map(child => [child.id, child]));
+  assertSame(byId.get('still').attrs.scale, [2, 2, 2]);
+  assertSame(byId.get('cam').attrs.position, [0, 1, 10]);
+});
+
+test('serializeRenderer() writes edited <use> copies as groups', async () => {
+  const live = await renderer(`<svg3>
+    <defs>
+      <geometry id="box" type="box" />
+      <material id="bark" type="basic" color="#884400" />
+      <symbol id="tree">
+        <mesh id="trunk" geometry="box" material="bark" />
+        <mesh geometry="box" material="bark" position="0,1,0" />
+      </symbol>
+    </defs>
+    <scene camera="cam">
+      <camera id="cam" position="0,0,10" />
+      <use id="tree1" href="#tree" position="-2,0,0" />
+      <use id="tree2" href="#tree" position="2,0,0" />
+    </scene>
+  </svg3>`);
+  live.meshes.get('tree2/trunk').position.set(0, 0.5, 0);
+
+  const xml = new SVG3Serializer().serializeRenderer(live);
+  assert.match(xml, /<use id="tree1" href="#tree"/);
+  assert.doesNotMatch(xml, /<use id="tree2"/);
+
+  const reloaded = await renderer(xml);
+  assert.deepEqual([...reloaded.meshes.keys()], [...live.meshes.keys()]);
+  reloaded.meshes.forEach((mesh, id) => {
+    assertSame(mesh.position.toArray(), live.meshes.get(id).position.toArray(), id);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * SVG3 Snapshot Exporter tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3SnapshotExporter } from '../svg3-snapshot.js';
+
+const SCENE = `<svg3 viewBox="0 0 100 100">
+  <metadata><title>Boxes &amp; "quotes"</title></metadata>
+  <defs>
+    <geometry id="box" type="box" />
+    <material id="red" type="basic" color="#ff0000" />
+  </defs>
+  <scene camera="cam">
+    <camera id="cam" fov="90" position="0,0,5" />
+    <mesh id="cube" geometry="box" material="red" position="-20,0,0">
+      <animate id="enter" attributeName="position" to="0,0,0" dur="1s" />
+      <animate attributeName="scale" to="2,2,2" dur="1s" begin="enter.end" />
+    </mesh>
+  </scene>
+</svg3>`;
+
+const snapshot = time => new SVG3SnapshotExporter({ shading: 'flat' })
+  .toSVG(new SVG3Parser({ backend: 'headless' }).parse(SCENE), time);
+
+// x coordinates of every polygon point
+const pointXs = svg => [...svg.matchAll(/points="([^"]*)"/g)]
+  .flatMap(match => match[1].split(' ').map(point => Number(point.split(',')[0])));
+
+test('toSVG() shows the scene at the given time', () => {
+  assert.ok(Math.max(...pointXs(snapshot(0))) < 0, 'the cube starts left of the view');
+  // At 2s the cube is centered, and its chained scale animation has doubled it: the front face,
+  // 4 units from the camera, spans 37.5..62.5
+  const xs = pointXs(snapshot(2));
+  assert.equal(Math.min(...xs), 37.5);
+  assert.equal(Math.max(...xs), 62.5);
+});
+
+test('metadata text is escaped', () => {
+  assert.match(snapshot(0), /<title>Boxes &amp; &quot;quotes&quot;<\/title>/);
+});
@@ -0,0 +1,144 @@
+/**
+ * SVG3 <symbol> / <use> tests
+ * Instance-scoped ids, material overrides and nested symbols
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser } from '../svg3-complete.js';
+import { SVG3SceneEvaluator } from '../svg3-evaluator.js';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const parse = xml => new SVG3Parser({ backend: 'headless' }).parse(xml);
+
+function sceneWith(symbols, scene) {
+  return parse(`<svg3>
+    <defs>
+      <geometry id="box" type="box" />
+      <material id="bark" type="standard" color="#884400" />
+      <material id="leaf" type="standard" color="#00aa00" />
+      <material id="autumn" type="standard" color="#cc6600" />
+      <material id="gold" type="standard" color="#ffcc00" />
+      ${symbols}
+    </defs>
+    <scene>${scene}</scene>
+  </svg3>`);
+}
+
+const TREE = `<symbol id="tree">
+  <mesh id="trunk" geometry="box" material="bark">
+    <animate id="grow" attributeName="scale" from="1,1,1" to="1,2,1" dur="1s" />
+  </mesh>
+  <group id="crown" position="0,2,0">
+    <mesh id="leaves" geometry="box" material="leaf">
+      <animate attributeName="position" to="0,1,0" dur="1s" begin="grow.end" />
+    </mesh>
+  </group>
+</symbol>`;
+
+// Ids of every element, depth first
+function ids(elements) {
+  return elements.flatMap(element => [element.id, ...ids(element.children || [])]);
+}
+
+// Element by id, anywhere in the tree
+function find(elements, id) {
+  for (const element of elements) {
+    if (element.id === id) return element;
+    const found = find(element.children || [], id);
+    if (found) return found;
+  }
+  return null;
+}
+
+// ============================================================================
+// 2. PARSER
+// ============================================================================
+
+test('<use> becomes a group holding a copy of the symbol with scoped ids', () => {
+  const sceneData = sceneWith(TREE, `
+    <use id="tree1" href="#tree" position="-2,0,0" />
+    <use id="tree2" xlink:href="#tree" position="2,0,0" />`);
+  const [tree1, tree2] = sceneData.scenes[0].children;
+  assert.equal(tree1.tag, 'group');
+  assert.equal(tree1.use, 'tree');
+  assert.deepEqual(tree1.attrs.position, [-2, 0, 0]);
+  assert.equal(tree2.use, 'tree');
+  assert.deepEqual(ids([tree1, tree2]), [
+    'tree1', 'tree1/trunk', 'tree1/crown', 'tree1/leaves',
+    'tree2', 'tree2/trunk', 'tree2/crown', 'tree2/leaves',
+  ]);
+
+  // The symbol itself keeps its own ids
+  assert.deepEqual(ids(sceneData.defs.symbols[0].children), ['trunk', 'crown', 'leaves']);
+});
+
+test('animation ids and the begin values that reference them are scoped too', () => {
+  const sceneData = sceneWith(TREE, `
+    <use id="tree1" href="#tree" />
+    <mesh id="grow" geometry="box" material="bark">
+      <animate attributeName="position" to="0,1,0" dur="1s" begin="tree1/grow.end+1s" />
+    </mesh>`);
+  const [tree1, outside] = sceneData.scenes[0].children;
+  assert.equal(find([tree1], 'tree1/trunk').animations[0].id, 'tree1/grow');
+  assert.equal(find([tree1], 'tree1/leaves').animations[0].begin, 'tree1/grow.end');
+  assert.equal(outside.animations[0].begin, 'tree1/grow.end+1s');
+});
+
+test('material-override replaces every material, or materials by id', () => {
+  const [all, some] = sceneWith(TREE, `
+    <use id="golden" href="#tree" material-override="gold" />
+    <use id="fall" href="#tree" material-override="leaf: autumn" />`).scenes[0].children;
+  assert.equal(find([all], 'golden/trunk').attrs.material, 'gold');
+  assert.equal(find([all], 'golden/leaves').attrs.material, 'gold');
+  assert.equal(find([some], 'fall/trunk').attrs.material, 'bark');
+  assert.equal(find([some], 'fall/leaves').attrs.material, 'autumn');
+});
+
+test('nested symbols are scoped by every instance on the way', () => {
+  const sceneData = sceneWith(`
+    <symbol id="grove">
+      <use id="left" href="#tree" material-override="leaf:autumn" />
+      <use id="right" href="#tree" position="3,0,0" />
+    </symbol>
+    ${TREE}`, '<use id="north" href="#grove" />');
+  const [north] = sceneData.scenes[0].children;
+  assert.deepEqual(ids([north]), [
+    'north',
+    'north/left', 'north/left/trunk', 'north/left/crown', 'north/left/leaves',
+    'north/right', 'north/right/trunk', 'north/right/crown', 'north/right/leaves',
+  ]);
+  assert.equal(find([north], 'north/left').use, 'tree');
+  assert.equal(find([north], 'north/left/leaves').attrs.material, 'autumn');
+  assert.equal(find([north], 'north/right/leaves').animations[0].begin, 'north/right/grow.end');
+});
+
+test('<use> cycles are an error', () => {
+  assert.throws(() => sceneWith(`
+    <symbol id="a"><use id="b1" href="#b" /></symbol>
+    <symbol id="b"><use id="a1" href="#a" /></symbol>`, '<use id="start" href="#a" />'), {
+    message: 'Invalid SVG3: <use> cycle a -> b -> a',
+  });
+});
+
+// ============================================================================
+// 3. ANIMATION
+// ============================================================================
+
+test('each instance animates on its own clock', () => {
+  const scene = new SVG3SceneEvaluator(sceneWith(TREE, `
+    <use id="tree1" href="#tree" />
+    <use id="tree2" href="#tree">
+      <animate attributeName="position" to="5,0,0" dur="1s" />
+    </use>`));
+  const state = scene.evaluate(1.5);
+  assert.deepEqual(state['tree1/trunk'].scale, [1, 2, 1]);
+  assert.deepEqual(state['tree1/leaves'].position, [0, 0.5, 0]);
+  assert.deepEqual(state['tree2/leaves'].position, [0, 0.5, 0]);
+  assert.deepEqual(state.tree1.position, [0, 0, 0]);
+  assert.deepEqual(state.tree2.position, [5, 0, 0]);
+});
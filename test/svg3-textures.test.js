@@ -0,0 +1,154 @@
+/**
+ * SVG3 texture tests
+ * <texture> defs, material texture slots, and waiting for the images
+ * (the renderer tests are skipped when the three package is not installed)
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SVG3Parser, SVG3ThreeRenderer } from '../svg3-complete.js';
+import { SVG3Validator } from '../svg3-validator.js';
+import { THREE, threeRenderer } from './three-headless.js';
+
+const skip = THREE ? false : 'three is not installed';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
+
+const SCENE = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <texture id="wood" href="${PIXEL}" repeat="2,3" offset="0.5" wrapS="clamp" wrapT="mirror" />
+    <texture id="bumps" href="bumps.png" colorSpace="linear" flipY="false" />
+    <texture id="mask" href="mask.png" />
+    <material id="oak" type="standard" map="#wood" normalMap="#bumps" roughnessMap="#bumps" emissiveMap="#wood" alphaMap="#mask" />
+    <material id="flat" type="basic" map="#wood" normalMap="#bumps" />
+  </defs>
+  <scene camera="cam">
+    <camera id="cam" position="0,0,5" />
+    <mesh id="crate" geometry="box" material="oak" />
+  </scene>
+</svg3>`;
+
+const parse = xml => new SVG3Parser({ backend: 'headless' }).parse(xml);
+
+// Run (and await) `fn` and return the messages it logged through console.warn
+async function consoleWarnings(fn) {
+  const logged = [];
+  const original = console.warn;
+  console.warn = (...args) => logged.push(String(args[0]));
+  try {
+    await fn();
+  } finally {
+    console.warn = original;
+  }
+  return logged;
+}
+
+// Renderer whose images arrive when the test says so
+class ManualImages extends SVG3ThreeRenderer {
+  loadImage(THREE, href) {
+    return new Promise((resolve, reject) => {
+      this.pending = this.pending || new Map();
+      this.pending.set(href, { resolve, reject });
+    });
+  }
+}
+
+const image = href => ({ href, width: 1, height: 1 });
+
+function colorSpaceOf(texture) {
+  return 'colorSpace' in texture ? texture.colorSpace : texture.encoding;
+}
+
+// ============================================================================
+// 2. PARSER AND VALIDATOR
+// ============================================================================
+
+test('<texture> defs keep their href, data: URIs included', () => {
+  const { defs } = parse(SCENE);
+  assert.deepEqual(defs.textures.map(tex => tex.id), ['wood', 'bumps', 'mask']);
+  assert.equal(defs.textures[0].params.href, PIXEL);
+  assert.equal(defs.textures[0].params.repeat, '2,3');
+  assert.equal(defs.materials[0].params.normalMap, '#bumps');
+});
+
+test('the validator checks texture attributes and references', () => {
+  const { diagnostics } = new SVG3Validator().validate(`<svg3>
+  <defs>
+    <texture id="wood" />
+    <texture id="grid" href="grid.png" wrapS="tile" />
+    <material id="oak" type="standard" map="#wood" normalMap="#nothing" />
+  </defs>
+  <scene />
+</svg3>`);
+  assert.deepEqual(diagnostics.map(d => `${d.line}:${d.column} ${d.code}`), [
+    '3:5 missing-attribute',
+    '4:40 invalid-value',
+    '5:52 dangling-reference',
+  ]);
+  assert.match(diagnostics[2].message, /normalMap="#nothing" does not match any texture/);
+});
+
+// ============================================================================
+// 3. THREE.JS RENDERER
+// ============================================================================
+
+test('materials take their textures in every slot', { skip }, () => {
+  const renderer = threeRenderer(parse(SCENE), {}, ManualImages);
+  const [wood, bumps, mask] = ['wood', 'bumps', 'mask'].map(id => renderer.textures.get(id));
+  const oak = renderer.materials.get('oak');
+  assert.equal(oak.map, wood);
+  assert.equal(oak.normalMap, bumps);
+  assert.equal(oak.roughnessMap, bumps);
+  assert.equal(oak.emissiveMap, wood);
+  assert.equal(oak.alphaMap, mask);
+  assert.equal(oak.transparent, true);
+
+  assert.deepEqual([wood.wrapS, wood.wrapT], [THREE.ClampToEdgeWrapping, THREE.MirroredRepeatWrapping]);
+  assert.deepEqual(wood.repeat.toArray(), [2, 3]);
+  assert.deepEqual(wood.offset.toArray(), [0.5, 0.5]);
+  assert.deepEqual([mask.wrapS, mask.wrapT], [THREE.RepeatWrapping, THREE.RepeatWrapping]);
+  assert.equal(bumps.flipY, false);
+  assert.equal(colorSpaceOf(bumps), THREE.LinearSRGBColorSpace ?? THREE.LinearEncoding);
+  if ('colorSpace' in wood) assert.equal(wood.colorSpace, THREE.SRGBColorSpace);
+});
+
+test('slots a material type does not have are skipped with a warning', { skip }, async () => {
+  let renderer;
+  const warnings = await consoleWarnings(() => { renderer = threeRenderer(parse(SCENE), {}, ManualImages); });
+  assert.deepEqual(warnings, ['SVG3: basic material "flat" has no normalMap']);
+  assert.equal(renderer.materials.get('flat').map, renderer.textures.get('wood'));
+});
+
+test('init() waits for every image, data: URIs included', { skip }, async () => {
+  const renderer = threeRenderer(parse(SCENE), {}, ManualImages);
+  assert.deepEqual([...renderer.pending.keys()], [PIXEL, 'bumps.png', 'mask.png']);
+  let loaded = false;
+  renderer.texturesLoaded.then(() => { loaded = true; });
+
+  renderer.pending.get(PIXEL).resolve(image(PIXEL));
+  renderer.pending.get('bumps.png').resolve(image('bumps.png'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(loaded, false);
+  assert.equal(renderer.textures.get('wood').image.href, PIXEL);
+
+  renderer.pending.get('mask.png').resolve(image('mask.png'));
+  await renderer.texturesLoaded;
+  assert.equal(renderer.textures.get('mask').image.href, 'mask.png');
+  assert.ok(renderer.textures.get('mask').version > 0);
+});
+
+test('an image that fails to load is reported without failing init()', { skip }, async () => {
+  const renderer = threeRenderer(parse(SCENE), {}, ManualImages);
+  renderer.pending.get(PIXEL).resolve(image(PIXEL));
+  renderer.pending.get('bumps.png').resolve(image('bumps.png'));
+  renderer.pending.get('mask.png').reject(new Error('404'));
+  const warnings = await consoleWarnings(() => renderer.texturesLoaded);
+  assert.deepEqual(warnings, ['SVG3: texture "mask" failed to load from "mask.png"']);
+  assert.equal(renderer.textures.get('mask').image?.href, undefined);
+});
@@ -0,0 +1,85 @@
+/**
+ * SVG3 Validator tests
+ * Diagnostics with codes, lines and columns for broken scene files
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { SVG3Validator } from '../svg3-validator.js';
+
+// ============================================================================
+// 1. FIXTURES
+// ============================================================================
+
+const SCENES = new URL('../scenes/', import.meta.url);
+
+// One mistake per line, so each diagnostic points at its own line
+const BROKEN = `<svg3>
+  <defs>
+    <geometry id="box" type="box" />
+    <geometry id="blob" type="blob" />
+    <material id="red" type="shiny" color="#ff0000" />
+  </defs>
+  <scene camera="nowhere">
+    <mesh id="cube" geometry="box" material="blue" position="1,2" />
+    <mesh id="cube" geometry="box" material="red" />
+    <sprite id="s" />
+    <group rotation="0,x,0">
+      <animate attributeName="position" to="0,1,0" dur="2 seconds" begin="cube.tap" />
+    </group>
+  </scene>
+</svg3>`;
+
+// "line:column severity code" for each diagnostic
+const summarize = diagnostics => diagnostics.map(d => `${d.line}:${d.column} ${d.severity} ${d.code}`);
+
+// ============================================================================
+// 2. DIAGNOSTICS
+// ============================================================================
+
+test('every scene in scenes/ is valid', () => {
+  fs.readdirSync(SCENES).filter(name => name.endsWith('.svg3')).forEach(name => {
+    const result = new SVG3Validator().validate(fs.readFileSync(new URL(name, SCENES), 'utf8'));
+    assert.deepEqual(summarize(result.diagnostics), [], name);
+    assert.equal(result.valid, true, name);
+  });
+});
+
+test('diagnostics point at the offending attribute or element', () => {
+  const result = new SVG3Validator().validate(BROKEN);
+  assert.deepEqual(summarize(result.diagnostics), [
+    '4:25 error unknown-geometry-type',
+    '5:24 warning unknown-material-type',
+    '7:10 error dangling-reference',
+    '8:36 error dangling-reference',
+    '8:52 error invalid-vector',
+    '9:11 error duplicate-id',
+    '10:5 warning unknown-element',
+    '11:12 error invalid-vector',
+    '12:52 error invalid-time',
+    '12:68 error invalid-time',
+  ]);
+  assert.equal(result.valid, false);
+  assert.equal(result.errors.length, 8);
+  assert.deepEqual(result.warnings.map(d => d.code), ['unknown-material-type', 'unknown-element']);
+});
+
+test('format() prints file:line:column: severity: message [code]', () => {
+  const { diagnostics } = new SVG3Validator().validate(BROKEN);
+  const duplicate = diagnostics.find(d => d.code === 'duplicate-id');
+  assert.equal(
+    SVG3Validator.format(duplicate, 'scene.svg3'),
+    'scene.svg3:9:11: error: Duplicate id "cube" (first defined at line 8, column 5) [duplicate-id]'
+  );
+});
+
+test('XML syntax errors are reported where the reader stopped', () => {
+  const result = new SVG3Validator().validate('<svg3>\n  <scene>\n    <mesh id="a"\n  </scene>');
+  assert.deepEqual(summarize(result.diagnostics), ['4:3 error xml-syntax']);
+});
+
+test('a root other than <svg3> is an error', () => {
+  assert.deepEqual(summarize(new SVG3Validator().validate('<svg>\n</svg>').diagnostics), ['1:1 error invalid-root']);
+});
@@ -0,0 +1,27 @@
+/**
+ * SVG3ThreeRenderer built without a WebGL context, for tests
+ * THREE is null when the three package is not installed.
+ */
+
+import { SVG3ThreeRenderer } from '../svg3-complete.js';
+
+export const THREE = await import('three').catch(() => null);
+
+/**
+ * The scene graph init() builds, minus the WebGLRenderer and the DOM.
+ * renderer.texturesLoaded is what init() waits for before it resolves.
+ * @param Renderer - SVG3ThreeRenderer or a subclass, e.g. one overriding loadImage()
+ */
+export function threeRenderer(sceneData, options = {}, Renderer = SVG3ThreeRenderer) {
+  globalThis.window = { THREE };
+  const renderer = new Renderer(sceneData, { clientWidth: 100, clientHeight: 100 }, options);
+  renderer.scene = new THREE.Scene();
+  renderer.buildGeometries(THREE);
+  renderer.texturesLoaded = renderer.buildTextures(THREE);
+  renderer.buildMaterials(THREE);
+  renderer.planInstancing();
+  renderer.buildScenes(THREE);
+  renderer.buildInstances(THREE);
+  renderer.setupAnimations();
+  return renderer;
+}